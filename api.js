@@ -0,0 +1,248 @@
+// Shared API client for FulfillME pages
+//
+// Set the backend URL with <meta name="fulfillme-api-url" content="https://..."> or
+// window.FULFILLME_API_URL before this script loads; defaults to the local server.
+
+class ApiError extends Error {
+    constructor(message, status, details) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class FulfillMEApi {
+    constructor() {
+        const meta = document.querySelector('meta[name="fulfillme-api-url"]');
+        this.baseUrl = (window.FULFILLME_API_URL || (meta && meta.content) || 'http://localhost:5000/api')
+            .replace(/\/$/, '');
+    }
+
+    // Session storage
+
+    getToken() {
+        return localStorage.getItem('fulfillme_token');
+    }
+
+    getUser() {
+        const user = localStorage.getItem('fulfillme_user');
+        return user ? JSON.parse(user) : null;
+    }
+
+    setSession(token, user) {
+        localStorage.setItem('fulfillme_token', token);
+        localStorage.setItem('fulfillme_user', JSON.stringify(user));
+    }
+
+    updateUser(user) {
+        localStorage.setItem('fulfillme_user', JSON.stringify(user));
+    }
+
+    clearSession() {
+        localStorage.removeItem('fulfillme_token');
+        localStorage.removeItem('fulfillme_user');
+    }
+
+    isLoggedIn() {
+        return !!this.getToken();
+    }
+
+    // Pages live in pages/ (or backend/ for the auth pages); index.html is at the root
+    pageUrl(page) {
+        return /\/(pages|backend)\//.test(window.location.pathname) ? page : `pages/${page}`;
+    }
+
+    homeUrl() {
+        return /\/(pages|backend)\//.test(window.location.pathname) ? '../index.html' : 'index.html';
+    }
+
+    redirectToLogin() {
+        const returnTo = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.href = `${this.pageUrl('login.html')}?returnTo=${returnTo}`;
+    }
+
+    // Requests
+
+    // Swap the refresh cookie for a new access token. Concurrent callers share
+    // one request so the rotating refresh token is only spent once.
+    refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = fetch(`${this.baseUrl}/auth/refresh`, { method: 'POST', credentials: 'include' })
+                .then(response => response.ok ? response.json() : null)
+                .then(data => {
+                    if (!data || !data.token) return false;
+                    this.setSession(data.token, data.user);
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    async logout() {
+        try {
+            await this.request('/auth/logout', { method: 'POST', redirectOn401: false });
+        } catch (error) {
+            // Signing out locally still works if the server can't be reached
+        }
+        this.clearSession();
+    }
+
+    // Resolves with the JSON body; rejects with ApiError on network or HTTP errors.
+    // An expired access token is refreshed once and the request retried; after that a
+    // 401 clears the session and sends the user to login unless redirectOn401 is false.
+    async request(endpoint, { method = 'GET', body, headers = {}, redirectOn401 = true, retried = false } = {}) {
+        const config = {
+            method,
+            headers: { ...headers },
+            credentials: 'include'
+        };
+
+        const token = this.getToken();
+        if (token) {
+            config.headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        if (body instanceof FormData) {
+            config.body = body;
+        } else if (body !== undefined && body !== null) {
+            config.headers['Content-Type'] = 'application/json';
+            config.body = JSON.stringify(body);
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${endpoint}`, config);
+        } catch (error) {
+            throw new ApiError(
+                navigator.onLine ? 'Could not reach FulfillME. Please try again.' : 'You are offline. Check your connection and try again.',
+                0
+            );
+        }
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401 && token && !retried && endpoint !== '/auth/logout' && await this.refreshSession()) {
+            return this.request(endpoint, { method, body, headers, redirectOn401, retried: true });
+        }
+
+        if (response.status === 401 && redirectOn401) {
+            this.clearSession();
+            this.redirectToLogin();
+        }
+
+        if (!response.ok) {
+            const message = data.error ||
+                (data.errors && data.errors[0] && `${data.errors[0].path || data.errors[0].param}: ${data.errors[0].msg}`) ||
+                `Request failed (${response.status})`;
+            throw new ApiError(message, response.status, data);
+        }
+
+        return data;
+    }
+
+    get(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'GET' });
+    }
+
+    post(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'POST', body });
+    }
+
+    patch(endpoint, body, options = {}) {
+        return this.request(endpoint, { ...options, method: 'PATCH', body });
+    }
+
+    delete(endpoint, options = {}) {
+        return this.request(endpoint, { ...options, method: 'DELETE' });
+    }
+
+    // Fetch a file (CSV, PDF) with the session and save it as `filename`.
+    // Rejects with ApiError like request() does.
+    async download(endpoint, filename, { retried = false } = {}) {
+        const token = this.getToken();
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${endpoint}`, {
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+                credentials: 'include'
+            });
+        } catch (error) {
+            throw new ApiError('Could not reach FulfillME. Please try again.', 0);
+        }
+
+        if (response.status === 401 && token && !retried && await this.refreshSession()) {
+            return this.download(endpoint, filename, { retried: true });
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new ApiError(data.error || `Download failed (${response.status})`, response.status, data);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Error display
+
+    // Show a message in a toast at the bottom of the page
+    showToast(message, type = 'error') {
+        let container = document.getElementById('toastContainer');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toastContainer';
+            container.className = 'toast-container';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 5000);
+    }
+
+    showError(error) {
+        // 401s are already on their way to the login page
+        if (error && error.status === 401) return;
+        this.showToast(error && error.message ? error.message : String(error), 'error');
+    }
+
+    showSuccess(message) {
+        this.showToast(message, 'success');
+    }
+
+    // User-written text is stored as typed, so escape it before putting it in innerHTML
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[ch]);
+    }
+
+    // Key for Idempotency-Key headers so retried payments aren't charged twice
+    idempotencyKey() {
+        if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+}
+
+const api = new FulfillMEApi();
+window.api = api;
+window.ApiError = ApiError;
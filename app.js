@@ -15,65 +15,25 @@ class FulfillMEApp {
         this.checkForUpdates();
     }
 
-    // Load user data from localStorage
+    // Load the signed-in user saved by api.setSession()
     loadUserData() {
-        const userData = localStorage.getItem('fulfillme_user');
-        if (userData) {
-            this.currentUser = JSON.parse(userData);
+        if (api.isLoggedIn()) {
+            this.currentUser = api.getUser();
             this.updateUIForUser();
         }
     }
 
-    // Load needs data (in production, this would be from an API)
-    loadNeeds() {
-        const sampleNeeds = [
-            {
-                id: 1,
-                title: "Plumber for kitchen sink",
-                description: "Need a plumber to fix leaking kitchen sink in Nairobi West",
-                budget: 1000,
-                location: "Nairobi",
-                category: "services",
-                user: { name: "John D.", avatar: "JD" },
-                time: "Tomorrow",
-                photo: null
-            },
-            {
-                id: 2,
-                title: "Used laptop under KSh 15,000",
-                description: "Looking for a used laptop in good condition for student use",
-                budget: 15000,
-                location: "Kisumu",
-                category: "products",
-                user: { name: "Sarah M.", avatar: "SM" },
-                time: "ASAP",
-                photo: null
-            },
-            {
-                id: 3,
-                title: "Wedding DJ",
-                description: "Need professional DJ for wedding ceremony in Nakuru",
-                budget: 5000,
-                location: "Nakuru",
-                category: "services",
-                user: { name: "Mike K.", avatar: "MK" },
-                time: "Next weekend",
-                photo: null
-            },
-            {
-                id: 4,
-                title: "House cleaning",
-                description: "Full house cleaning in Mombasa, 3 bedrooms",
-                budget: 800,
-                location: "Mombasa",
-                category: "services",
-                user: { name: "Amina A.", avatar: "AA" },
-                time: "This Saturday",
-                photo: null
-            }
-        ];
-
-        this.needs = sampleNeeds;
+    // Load the latest needs from the API
+    async loadNeeds() {
+        if (!document.getElementById('latestRequests')) return;
+        
+        try {
+            const result = await api.get('/needs?limit=4');
+            this.needs = result.needs || [];
+        } catch (error) {
+            this.needs = [];
+            api.showError(error);
+        }
         this.renderLatestNeeds();
     }
 
@@ -82,28 +42,33 @@ class FulfillMEApp {
         const container = document.getElementById('latestRequests');
         if (!container) return;
 
+        if (this.needs.length === 0) {
+            container.innerHTML = '<p class="no-requests">No needs posted yet. Check back soon!</p>';
+            return;
+        }
+
         container.innerHTML = this.needs.map(need => `
-            <div class="request-card" data-id="${need.id}">
+            <div class="request-card" data-id="${need._id}">
                 <div class="request-image">
                     <i class="fas fa-image"></i>
                 </div>
                 <div class="request-content">
                     <div class="request-header">
-                        <div class="request-title">${need.title}</div>
+                        <div class="request-title">${api.escapeHtml(need.title)}</div>
                         <div class="request-budget">KSh ${need.budget.toLocaleString()}</div>
                     </div>
-                    <p>${need.description}</p>
+                    <p>${api.escapeHtml(need.description)}</p>
                     <div class="request-location">
-                        <i class="fas fa-map-marker-alt"></i> ${need.location}
+                        <i class="fas fa-map-marker-alt"></i> ${api.escapeHtml(need.location)}
                     </div>
                     <div class="request-time">
-                        <i class="far fa-clock"></i> ${need.time}
+                        <i class="far fa-clock"></i> ${this.formatTimeframe(need.timeframe)}
                     </div>
                     <div class="request-user">
-                        <div class="user-avatar">${need.user.avatar}</div>
-                        <span>${need.user.name}</span>
+                        <div class="user-avatar">${api.escapeHtml(this.initials(need.user?.fullName))}</div>
+                        <span>${api.escapeHtml(need.user?.fullName || 'FulfillME user')}</span>
                     </div>
-                    <button class="btn-view-details" onclick="app.viewNeedDetails(${need.id})">
+                    <button class="btn-view-details" onclick="app.viewNeedDetails('${need._id}')">
                         View Details
                     </button>
                 </div>
@@ -111,6 +76,23 @@ class FulfillMEApp {
         `).join('');
     }
 
+    formatTimeframe(timeframe) {
+        const labels = {
+            asap: 'ASAP',
+            today: 'Today',
+            tomorrow: 'Tomorrow',
+            week: 'This week',
+            month: 'This month',
+            flexible: 'Flexible'
+        };
+        return labels[timeframe] || 'Flexible';
+    }
+
+    initials(name) {
+        if (!name) return '?';
+        return name.split(' ').filter(Boolean).map(n => n[0]).join('').slice(0, 2).toUpperCase();
+    }
+
     // Setup event listeners
     setupEventListeners() {
         // Menu toggle
@@ -178,11 +160,7 @@ class FulfillMEApp {
 
     // View need details
     viewNeedDetails(needId) {
-        const need = this.needs.find(n => n.id === needId);
-        if (need) {
-            localStorage.setItem('selectedNeed', JSON.stringify(need));
-            window.location.href = 'pages/need-details.html';
-        }
+        window.location.href = `${api.pageUrl('browse.html')}?need=${encodeURIComponent(needId)}`;
     }
 
     // PWA Install functionality
@@ -245,7 +223,7 @@ class FulfillMEApp {
         const authButtons = document.querySelector('.auth-buttons');
         if (authButtons && this.currentUser) {
             authButtons.innerHTML = `
-                <a href="pages/dashboard.html" class="btn-login">
+                <a href="${api.pageUrl('dashboard.html')}" class="btn-login">
                     <i class="fas fa-user-circle"></i> Dashboard
                 </a>
                 <a href="#" class="btn-register" onclick="app.logout()">
@@ -256,41 +234,121 @@ class FulfillMEApp {
     }
 
     // User logout
-    logout() {
-        localStorage.removeItem('fulfillme_user');
+    async logout() {
+        await api.logout();
         this.currentUser = null;
-        window.location.href = 'index.html';
+        window.location.href = api.homeUrl();
     }
 
-    // Simulate API calls
+    // Call the backend through the shared client (see api.js)
     async apiRequest(endpoint, method = 'GET', data = null) {
-        const baseUrl = 'http://localhost:3000/api'; // Change this in production
-        const token = localStorage.getItem('fulfillme_token');
+        return api.request(endpoint, { method, body: data });
+    }
+
+    // Subscribe this device to Web Push (shown by the service worker's push handler)
+    async enablePushNotifications() {
+        if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+            return false;
+        }
         
-        const headers = {
-            'Content-Type': 'application/json',
-        };
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            return false;
+        }
         
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
+        const { publicKey } = await this.apiRequest('/push/vapid-public-key');
+        if (!publicKey) {
+            return false;
         }
         
-        const config = {
-            method,
-            headers,
-        };
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: this.urlBase64ToUint8Array(publicKey)
+        });
+        
+        const result = await this.apiRequest('/push/subscribe', 'POST', subscription.toJSON());
+        return !!result.success;
+    }
+
+    async disablePushNotifications() {
+        if (!('serviceWorker' in navigator)) return;
         
-        if (data && (method === 'POST' || method === 'PUT')) {
-            config.body = JSON.stringify(data);
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.getSubscription();
+        if (subscription) {
+            await this.apiRequest('/push/unsubscribe', 'POST', { endpoint: subscription.endpoint });
+            await subscription.unsubscribe();
         }
+    }
+
+    // VAPID keys are base64url; PushManager wants raw bytes
+    urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = window.atob(base64);
+        return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+    }
+
+    // Live messages for a conversation: SSE when available, polling otherwise.
+    // Calls onMessage for each new message; returns a function that stops watching.
+    watchConversation(conversationId, lastMessageId, onMessage) {
+        let lastId = lastMessageId;
+        let pollTimer = null;
+        let source = null;
+        let stopped = false;
         
-        try {
-            const response = await fetch(`${baseUrl}${endpoint}`, config);
-            return await response.json();
-        } catch (error) {
-            console.error('API request failed:', error);
-            throw error;
+        const deliver = (message) => {
+            lastId = message._id;
+            onMessage(message);
+        };
+        
+        // Fetch anything newer than the last message we have
+        const poll = async () => {
+            try {
+                const query = lastId ? `?after=${lastId}` : '';
+                const result = await this.apiRequest(`/conversations/${conversationId}/messages${query}`);
+                (result.messages || []).forEach(deliver);
+            } catch (error) {
+                // Offline; try again on the next tick
+            }
+        };
+        
+        const startPolling = () => {
+            if (pollTimer || stopped) return;
+            pollTimer = setInterval(poll, 20000);
+        };
+        
+        const stopPolling = () => {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        };
+        
+        const token = api.getToken();
+        if ('EventSource' in window && token) {
+            source = new EventSource(`${api.baseUrl}/conversations/stream?token=${encodeURIComponent(token)}`);
+            
+            source.addEventListener('message', (e) => {
+                const data = JSON.parse(e.data);
+                if (data.conversationId === conversationId) deliver(data.message);
+            });
+            
+            // Catch up on anything missed while the stream was down
+            source.addEventListener('open', () => {
+                stopPolling();
+                poll();
+            });
+            
+            source.addEventListener('error', startPolling);
+        } else {
+            startPolling();
         }
+        
+        return () => {
+            stopped = true;
+            stopPolling();
+            if (source) source.close();
+        };
     }
 }
 
@@ -0,0 +1,12 @@
+// Ask M-Pesa again about withdrawals that no status result has settled yet
+
+const cron = require('node-cron');
+const wallet = require('../services/wallet');
+
+const run = () => wallet.checkPending();
+
+const schedule = () => cron.schedule(process.env.WITHDRAWAL_CHECK_CRON || '*/5 * * * *', () => {
+    run().catch(error => console.error('Withdrawal check error:', error));
+});
+
+module.exports = { run, schedule };
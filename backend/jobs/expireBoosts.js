@@ -0,0 +1,18 @@
+// Turn off urgent boosts whose paid period has ended
+
+const cron = require('node-cron');
+const Need = require('../models/Need');
+
+const run = async () => {
+    const result = await Need.updateMany(
+        { isUrgent: true, urgentUntil: { $lte: new Date() } },
+        { $set: { isUrgent: false } }
+    );
+    return result.modifiedCount;
+};
+
+const schedule = () => cron.schedule(process.env.BOOST_EXPIRY_CRON || '*/10 * * * *', () => {
+    run().catch(error => console.error('Boost expiry error:', error));
+});
+
+module.exports = { run, schedule };
@@ -0,0 +1,99 @@
+// Need lifecycle: remind askers before expiry, mark needs expired, archive old ones.
+// Needs are never deleted; unlocks, transactions and reviews keep pointing at them.
+
+const cron = require('node-cron');
+const Need = require('../models/Need');
+const notifications = require('../services/notifications');
+
+const REMIND_BEFORE_MS = 48 * 60 * 60 * 1000;
+const ARCHIVE_AFTER_DAYS = parseInt(process.env.NEED_ARCHIVE_AFTER_DAYS || 90);
+
+const remind = async (now) => {
+    let reminded = 0;
+    
+    const needs = Need.find({
+        status: 'active',
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + REMIND_BEFORE_MS) },
+        expiryReminderSentAt: null
+    }).cursor();
+    
+    for await (const need of needs) {
+        await notifications.notify(need.user, {
+            type: 'need_expiring',
+            title: 'Your need is about to expire',
+            body: `"${need.title}" expires on ${need.expiresAt.toDateString()}. Renew it from your dashboard to keep it listed.`,
+            url: '/pages/dashboard.html',
+            data: { need: need._id }
+        });
+        
+        await Need.updateOne({ _id: need._id }, { $set: { expiryReminderSentAt: new Date() } });
+        reminded++;
+    }
+    
+    return reminded;
+};
+
+const expire = async (now) => {
+    let expired = 0;
+    
+    const needs = Need.find({ status: 'active', expiresAt: { $lte: now } }).select('user title').cursor();
+    
+    for await (const need of needs) {
+        // Conditional so a renewal that lands first wins
+        const result = await Need.updateOne(
+            { _id: need._id, status: 'active', expiresAt: { $lte: now } },
+            { $set: { status: 'expired', isUrgent: false, updatedAt: new Date() } }
+        );
+        if (result.modifiedCount === 0) continue;
+        
+        await notifications.notify(need.user, {
+            type: 'need_expired',
+            title: 'Your need has expired',
+            body: `"${need.title}" is no longer listed. You can renew it from your dashboard.`,
+            url: '/pages/dashboard.html',
+            data: { need: need._id }
+        });
+        expired++;
+    }
+    
+    return expired;
+};
+
+// Finished needs drop out of the asker's default list after ARCHIVE_AFTER_DAYS
+const archive = async (now) => {
+    const cutoff = new Date(now.getTime() - ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    const result = await Need.updateMany(
+        { status: { $in: ['expired', 'cancelled', 'fulfilled'] }, updatedAt: { $lte: cutoff }, archivedAt: null },
+        { $set: { archivedAt: now } }
+    );
+    return result.modifiedCount;
+};
+
+const run = async () => {
+    const now = new Date();
+    return {
+        reminded: await remind(now),
+        expired: await expire(now),
+        archived: await archive(now)
+    };
+};
+
+// Needs used to be deleted by a TTL index on expiresAt; make sure it's gone
+const dropTtlIndex = async () => {
+    const indexes = await Need.collection.indexes().catch(() => []);
+    const ttl = indexes.find(index => index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined);
+    if (ttl) {
+        await Need.collection.dropIndex(ttl.name);
+        console.log(`Dropped TTL index ${ttl.name} on needs`);
+    }
+};
+
+const schedule = () => {
+    dropTtlIndex().catch(error => console.error('Need TTL index removal error:', error));
+    
+    return cron.schedule(process.env.NEED_EXPIRY_CRON || '*/15 * * * *', () => {
+        run().catch(error => console.error('Need expiry error:', error));
+    });
+};
+
+module.exports = { run, schedule };
@@ -0,0 +1,20 @@
+// Nightly check that every User.credits matches its Transaction history
+
+const cron = require('node-cron');
+const ledger = require('../services/ledger');
+
+const run = async () => {
+    const { checked, flagged } = await ledger.reconcile();
+    if (flagged > 0) {
+        console.warn(`Credit reconciliation: ${flagged} of ${checked} balances disagree with the ledger`);
+    } else {
+        console.log(`Credit reconciliation: ${checked} balances match the ledger`);
+    }
+    return { checked, flagged };
+};
+
+const schedule = () => cron.schedule(process.env.RECONCILE_CREDITS_CRON || '0 3 * * *', () => {
+    run().catch(error => console.error('Credit reconciliation error:', error));
+});
+
+module.exports = { run, schedule };
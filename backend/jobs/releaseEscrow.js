@@ -0,0 +1,12 @@
+// Pay out escrows the asker neither confirmed nor disputed in time
+
+const cron = require('node-cron');
+const escrow = require('../services/escrow');
+
+const run = () => escrow.releaseDue();
+
+const schedule = () => cron.schedule(process.env.ESCROW_RELEASE_CRON || '15 * * * *', () => {
+    run().catch(error => console.error('Escrow auto-release error:', error));
+});
+
+module.exports = { run, schedule };
@@ -0,0 +1,12 @@
+// End finished subscription periods, request renewals and expire lapsed plans
+
+const cron = require('node-cron');
+const subscriptions = require('../services/subscriptions');
+
+const run = () => subscriptions.processRenewals();
+
+const schedule = () => cron.schedule(process.env.SUBSCRIPTION_RENEWAL_CRON || '30 * * * *', () => {
+    run().catch(error => console.error('Subscription renewal error:', error));
+});
+
+module.exports = { run, schedule };
@@ -0,0 +1,16 @@
+// Daily digest of needs matching saved searches set to 'daily'
+
+const cron = require('node-cron');
+const savedSearches = require('../services/savedSearches');
+
+const run = async () => {
+    const sent = await savedSearches.sendDigests();
+    console.log(`Saved search digest: sent ${sent} digests`);
+    return sent;
+};
+
+const schedule = () => cron.schedule(process.env.SAVED_SEARCH_DIGEST_CRON || '0 7 * * *', () => {
+    run().catch(error => console.error('Saved search digest error:', error));
+});
+
+module.exports = { run, schedule };
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Something that happened on the marketplace, shown in the activity feed of
+// every participant (see services/activity.js)
+const activityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: [
+            'need_posted', 'need_unlocked', 'offer_made', 'offer_accepted', 'offer_rejected',
+            'need_fulfilled', 'need_cancelled', 'review_posted', 'credits_purchased'
+        ],
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    participants: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    need: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need'
+    },
+    data: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+activityEventSchema.index({ participants: 1, createdAt: -1 });
+activityEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: parseInt(process.env.ACTIVITY_RETENTION_DAYS || 365) * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('ActivityEvent', activityEventSchema);
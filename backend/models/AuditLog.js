@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Append-only record of admin actions (see services/audit.js)
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['user', 'need', 'dispute', 'transaction', 'ledger_discrepancy', 'escrow', 'credit_bundle', 'promo_code', 'subscription_plan'],
+        required: true
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    details: mongoose.Schema.Types.Mixed,
+    ip: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+// Entries can be added but never changed or removed through the model
+const refuse = function() {
+    throw new Error('The audit log is append-only');
+};
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) return next(new Error('The audit log is append-only'));
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    auditLogSchema.pre(operation, refuse);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
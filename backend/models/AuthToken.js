@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Single-use secrets for password reset, email verification and SMS codes.
+// Only a SHA-256 hash is stored; the plain value goes out by email or SMS.
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['password_reset', 'email_verification', 'phone_otp', 'phone_change'],
+        required: true
+    },
+    // Email address or phone number being verified, when it isn't the user's current one
+    target: String,
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // Failed guesses against an SMS code
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+authTokenSchema.index({ tokenHash: 1 });
+authTokenSchema.index({ user: 1, type: 1 });
+
+// Expired tokens are useless, so let MongoDB remove them
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
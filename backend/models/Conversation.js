@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+    need: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need',
+        required: true
+    },
+    asker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    fulfiller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Unread message counts for each side
+    askerUnread: {
+        type: Number,
+        default: 0
+    },
+    fulfillerUnread: {
+        type: Number,
+        default: 0
+    },
+    lastMessage: String,
+    lastMessageAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One thread per (need, fulfiller) pair
+conversationSchema.index({ need: 1, fulfiller: 1 }, { unique: true });
+conversationSchema.index({ asker: 1, lastMessageAt: -1 });
+conversationSchema.index({ fulfiller: 1, lastMessageAt: -1 });
+
+// Which side of the conversation a user is on, or null if not a participant
+conversationSchema.methods.sideOf = function(userId) {
+    if (this.asker.equals(userId)) return 'asker';
+    if (this.fulfiller.equals(userId)) return 'fulfiller';
+    return null;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
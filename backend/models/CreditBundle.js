@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A credit package on sale, e.g. 5 credits for KSh 450
+const creditBundleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        unique: true
+    },
+    credits: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // KSh
+    price: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+creditBundleSchema.index({ active: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('CreditBundle', creditBundleSchema);
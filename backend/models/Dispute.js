@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A fulfiller asking for an unlock fee back. The asker may respond; an admin decides.
+const disputeSchema = new mongoose.Schema({
+    need: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need',
+        required: true
+    },
+    fulfiller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    asker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The unlock being disputed
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['fake_contact', 'already_filled', 'unresponsive', 'other'],
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'responded', 'approved', 'rejected'],
+        default: 'open'
+    },
+    askerResponse: {
+        text: {
+            type: String,
+            trim: true
+        },
+        createdAt: Date
+    },
+    resolution: {
+        decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        note: {
+            type: String,
+            trim: true
+        },
+        decidedAt: Date
+    },
+    refundTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One dispute per unlock
+disputeSchema.index({ transaction: 1 }, { unique: true });
+disputeSchema.index({ fulfiller: 1, createdAt: -1 });
+disputeSchema.index({ asker: 1, createdAt: -1 });
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
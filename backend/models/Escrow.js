@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Money an asker pays in for an accepted offer, held until the job is confirmed
+// (or auto-released) and then paid to the fulfiller's wallet less commission.
+const escrowSchema = new mongoose.Schema({
+    need: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need',
+        required: true
+    },
+    offer: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    asker: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    fulfiller: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // KSh
+    amount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['awaiting_payment', 'held', 'disputed', 'released', 'refunded', 'cancelled'],
+        default: 'awaiting_payment'
+    },
+    // Set at release
+    commissionPercent: Number,
+    commission: Number,
+    payout: Number,
+    depositTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    releaseTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    refundTransaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    heldAt: Date,
+    // The fulfiller says the job is done; starts the auto-release clock
+    deliveredAt: Date,
+    autoReleaseAt: Date,
+    releasedAt: Date,
+    refundedAt: Date,
+    dispute: {
+        openedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        openedAt: Date
+    },
+    resolution: {
+        decidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        outcome: {
+            type: String,
+            enum: ['release', 'refund']
+        },
+        note: {
+            type: String,
+            trim: true
+        },
+        decidedAt: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One escrow per accepted offer
+escrowSchema.index({ offer: 1 }, { unique: true });
+escrowSchema.index({ need: 1 });
+escrowSchema.index({ status: 1, autoReleaseAt: 1 });
+escrowSchema.index({ fulfiller: 1, createdAt: -1 });
+escrowSchema.index({ asker: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Escrow', escrowSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const ledgerDiscrepancySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expected: {
+        type: Number,
+        required: true
+    },
+    actual: {
+        type: Number,
+        required: true
+    },
+    difference: Number,
+    // The same comparison for bonus credits
+    expectedBonus: Number,
+    actualBonus: Number,
+    bonusDifference: Number,
+    status: {
+        type: String,
+        enum: ['open', 'resolved'],
+        default: 'open'
+    },
+    note: String,
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    resolvedAt: Date
+});
+
+ledgerDiscrepancySchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('LedgerDiscrepancy', ledgerDiscrepancySchema);
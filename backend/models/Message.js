@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    readAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+messageSchema.index({ conversation: 1, _id: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -31,6 +31,17 @@ const needSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // GeoJSON point, [longitude, latitude]
+    geoLocation: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
     timeframe: {
         type: String,
         enum: ['asap', 'today', 'tomorrow', 'week', 'month', 'flexible'],
@@ -38,10 +49,23 @@ const needSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['active', 'fulfilled', 'expired', 'cancelled'],
+        enum: ['active', 'pending_review', 'in_progress', 'fulfilled', 'expired', 'cancelled', 'removed'],
         default: 'active'
     },
+    // Cover image URL; always the first entry of `photos`
     photo: String,
+    photos: [{
+        url: String,
+        thumbnailUrl: String,
+        key: String,
+        thumbnailKey: String,
+        width: Number,
+        height: Number,
+        uploadedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     contactMethods: [{
         type: String,
         enum: ['whatsapp', 'sms', 'call', 'email']
@@ -59,22 +83,66 @@ const needSchema = new mongoose.Schema({
         message: String,
         status: {
             type: String,
-            enum: ['pending', 'accepted', 'rejected'],
+            enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
             default: 'pending'
         },
         createdAt: {
             type: Date,
             default: Date.now
-        }
+        },
+        respondedAt: Date
     }],
     selectedFulfiller: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Paid boost; jobs/expireBoosts.js clears isUrgent once urgentUntil passes
     isUrgent: {
         type: Boolean,
         default: false
     },
+    urgentUntil: Date,
+    // One entry per PATCH: the fields that changed and their old and new values
+    editHistory: [{
+        editedAt: {
+            type: Date,
+            default: Date.now
+        },
+        changes: [{
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+        }]
+    }],
+    cancelledAt: Date,
+    cancellationReason: String,
+    renewedAt: Date,
+    // Why the need is (or was) held for review, and the moderator's decision
+    moderation: {
+        flags: [{
+            _id: false,
+            check: String,
+            message: String
+        }],
+        decision: {
+            type: String,
+            enum: ['approved', 'rejected']
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        note: String
+    },
+    // Taken down by an admin
+    removedAt: Date,
+    removalReason: String,
+    // Set by jobs/needExpiry.js on long-finished needs; hides them from the asker's default list
+    archivedAt: Date,
+    completedAt: Date,
+    expiryReminderSentAt: Date,
     expiresAt: {
         type: Date,
         default: () => new Date(+new Date() + 30*24*60*60*1000) // 30 days from now
@@ -95,7 +163,18 @@ needSchema.pre('save', function(next) {
     next();
 });
 
-// Auto-expire needs
-needSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Browse and search
+needSchema.index(
+    { title: 'text', description: 'text' },
+    { weights: { title: 5, description: 1 }, name: 'need_text' }
+);
+needSchema.index({ geoLocation: '2dsphere' });
+needSchema.index({ status: 1, createdAt: -1, _id: -1 });
+needSchema.index({ status: 1, budget: -1, _id: -1 });
+needSchema.index({ status: 1, isUrgent: -1, createdAt: -1, _id: -1 });
+needSchema.index({ isUrgent: 1, urgentUntil: 1 });
+
+// Expiry job (needs are marked expired, never deleted)
+needSchema.index({ status: 1, expiresAt: 1 });
 
 module.exports = mongoose.model('Need', needSchema);
\ No newline at end of file
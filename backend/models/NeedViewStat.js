@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Views of a need per day (Nairobi time), for analytics
+const needViewStatSchema = new mongoose.Schema({
+    need: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need',
+        required: true
+    },
+    // The asker, so their totals don't need a join
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Start of the day the views happened on
+    day: {
+        type: Date,
+        required: true
+    },
+    views: {
+        type: Number,
+        default: 0
+    }
+});
+
+needViewStatSchema.index({ need: 1, day: 1 }, { unique: true });
+needViewStatSchema.index({ owner: 1, day: 1 });
+
+module.exports = mongoose.model('NeedViewStat', needViewStatSchema);
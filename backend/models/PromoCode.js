@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A code that grants bonus credits once per user, until it expires or runs out
+const promoCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    bonusCredits: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Total uses across all users; null for no cap
+    maxRedemptions: {
+        type: Number,
+        default: null
+    },
+    redemptions: {
+        type: Number,
+        default: 0
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+    promo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The bonus entry it produced
+    transaction: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Each user can use a code once
+promoRedemptionSchema.index({ promo: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const pushSubscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    endpoint: {
+        type: String,
+        required: true
+    },
+    keys: {
+        p256dh: {
+            type: String,
+            required: true
+        },
+        auth: {
+            type: String,
+            required: true
+        }
+    },
+    userAgent: String,
+    lastUsedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A browser endpoint belongs to whoever subscribed with it last
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ user: 1 });
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// A user flagging a need or another user for moderators
+const reportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['need', 'user'],
+        required: true
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'scam', 'offensive', 'contact_in_listing', 'duplicate', 'other'],
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'actioned', 'dismissed'],
+        default: 'open'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One open report per reporter per target
+reportSchema.index(
+    { reporter: 1, targetType: 1, target: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ target: 1, status: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    need: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need',
+        required: true
+    },
+    reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reviewee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Which side of the job the reviewer was on
+    reviewerRole: {
+        type: String,
+        enum: ['asker', 'fulfiller'],
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    comment: {
+        type: String,
+        trim: true
+    },
+    reply: {
+        text: {
+            type: String,
+            trim: true
+        },
+        createdAt: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One review per side per need
+reviewSchema.index({ need: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
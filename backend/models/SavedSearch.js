@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const savedSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Same parameters GET /api/needs accepts (see services/needSearch.js)
+    filters: {
+        search: String,
+        category: String,
+        location: String,
+        timeframe: String,
+        minBudget: Number,
+        maxBudget: Number,
+        lat: Number,
+        lng: Number,
+        radius: Number
+    },
+    frequency: {
+        type: String,
+        enum: ['instant', 'daily', 'off'],
+        default: 'instant'
+    },
+    // Needs waiting for the next daily digest
+    pendingMatches: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Need'
+    }],
+    // Lets a link in a notification switch alerts off without logging in
+    unsubscribeToken: {
+        type: String,
+        default: () => crypto.randomBytes(24).toString('hex')
+    },
+    lastNotifiedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Update timestamp on save
+savedSearchSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+savedSearchSchema.index({ user: 1 });
+savedSearchSchema.index({ frequency: 1, 'filters.category': 1 });
+savedSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token rotates on every use; old hashes are
+// kept so a replayed token can be spotted and the whole session killed.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    rotatedHashes: [{
+        type: String
+    }],
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'password_changed', 'token_reuse', 'revoked', 'suspended']
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ rotatedHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Keep dead sessions around for a while for reuse detection, then drop them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A fulfiller's plan. The plan's terms are copied in at signup so later edits
+// to the plan only apply to new subscribers.
+const subscriptionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SubscriptionPlan',
+        required: true
+    },
+    planName: String,
+    price: {
+        type: Number,
+        required: true
+    },
+    periodDays: {
+        type: Number,
+        required: true
+    },
+    unlockLimit: {
+        type: Number,
+        default: null
+    },
+    categories: [String],
+    // pending: first payment not confirmed yet
+    // past_due: period ended and the renewal isn't paid; unlocks still work
+    // until the grace period runs out, then it expires
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'past_due', 'cancelled', 'expired'],
+        default: 'pending'
+    },
+    currentPeriodStart: Date,
+    currentPeriodEnd: Date,
+    graceEndsAt: Date,
+    unlocksUsed: {
+        type: Number,
+        default: 0
+    },
+    // Set by the subscriber; the plan runs to the end of the paid period
+    cancelAtPeriodEnd: {
+        type: Boolean,
+        default: false
+    },
+    // M-Pesa number renewals are requested from
+    phone: String,
+    lastPayment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    renewalRequestedAt: Date,
+    cancelledAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+subscriptionSchema.index({ user: 1, status: 1 });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A fulfiller plan billed every periodDays over M-Pesa, covering unlocks in
+// place of credits
+const subscriptionPlanSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // KSh per period
+    price: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    periodDays: {
+        type: Number,
+        default: 30,
+        min: 1
+    },
+    // Unlocks included per period; null for unlimited
+    unlockLimit: {
+        type: Number,
+        default: null
+    },
+    // Need categories the plan covers; empty covers every category
+    categories: [String],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+subscriptionPlanSchema.index({ active: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('SubscriptionPlan', subscriptionPlanSchema);
@@ -15,17 +15,50 @@ const transactionSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Signed change to User.credits once completed (see services/ledger.js)
+    credits: Number,
+    // Signed change to User.bonusCredits (promo and referral credits, spent first)
+    bonusCredits: Number,
+    // Signed change to User.walletBalance in KSh (see services/wallet.js)
+    wallet: Number,
     type: {
         type: String,
-        enum: ['unlock', 'credit_purchase', 'job_completed', 'refund'],
+        enum: [
+            'unlock', 'credit_purchase', 'job_completed', 'refund', 'boost', 'adjustment', 'bonus',
+            'escrow_deposit', 'escrow_release', 'escrow_refund', 'withdrawal', 'subscription_payment'
+        ],
         required: true
     },
+    escrow: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Escrow'
+    },
+    // Plan payments, and unlocks covered by a plan instead of credits
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subscription'
+    },
     mpesaCode: String,
+    // Numbered receipt for a completed credit purchase (see services/receipts.js)
+    receiptNumber: String,
+    checkoutRequestId: String,
+    // B2C payouts: Daraja's ConversationID, and the random OriginatorConversationID
+    // we send (kept server-side) that matches the result to the withdrawal
+    conversationId: String,
+    originatorConversationId: String,
+    // The transaction status query that confirms a payout (see services/wallet.js)
+    statusConversationId: String,
     status: {
         type: String,
         enum: ['pending', 'completed', 'failed', 'refunded'],
         default: 'pending'
     },
+    idempotencyKey: String,
+    // On refund entries: the debit being returned (which is then marked `refunded`)
+    refundOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
     metadata: mongoose.Schema.Types.Mixed,
     createdAt: {
         type: Date,
@@ -34,4 +67,19 @@ const transactionSchema = new mongoose.Schema({
     completedAt: Date
 });
 
+// An M-Pesa receipt can only ever be credited once
+transactionSchema.index({ mpesaCode: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ user: 1, createdAt: -1 });
+transactionSchema.index({ checkoutRequestId: 1 }, { sparse: true });
+transactionSchema.index({ conversationId: 1 }, { sparse: true });
+transactionSchema.index({ originatorConversationId: 1 }, { unique: true, sparse: true });
+transactionSchema.index({ statusConversationId: 1 }, { sparse: true });
+transactionSchema.index({ escrow: 1 }, { sparse: true });
+transactionSchema.index({ subscription: 1 }, { sparse: true });
+transactionSchema.index(
+    { user: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
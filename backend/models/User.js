@@ -26,6 +26,17 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // GeoJSON point, [longitude, latitude]
+    geoLocation: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
     gender: {
         type: String,
         enum: ['male', 'female', 'other', 'prefer-not-to-say'],
@@ -33,7 +44,8 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['asker', 'fulfiller'],
+        // Admin accounts are created directly in the database, never through registration
+        enum: ['asker', 'fulfiller', 'admin'],
         required: true
     },
     nationalId: {
@@ -48,6 +60,27 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Free credits from promo codes and referrals, kept apart from paid ones
+    bonusCredits: {
+        type: Number,
+        default: 0
+    },
+    referralCode: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    referredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set once both sides have been rewarded for the referee's first purchase
+    referralRewardedAt: Date,
+    // KSh released from escrow (or refunded into it) that can be withdrawn to M-Pesa
+    walletBalance: {
+        type: Number,
+        default: 0
+    },
     rating: {
         type: Number,
         default: 5.0,
@@ -62,11 +95,48 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Set by an admin after checking nationalId
     isVerified: {
         type: Boolean,
         default: false
     },
+    verifiedAt: Date,
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Suspended and banned accounts can't sign in
+    status: {
+        type: String,
+        enum: ['active', 'suspended', 'banned'],
+        default: 'active'
+    },
+    suspendedUntil: Date,
+    statusReason: String,
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: Date,
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
+    phoneVerifiedAt: Date,
+    // New email/phone waiting for the user to confirm it; swapped in on verification
+    pendingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    pendingPhone: String,
     profilePhoto: String,
+    profilePhotoThumbnail: String,
+    // Storage keys for the files behind profilePhoto/profilePhotoThumbnail
+    profilePhotoKeys: {
+        type: [String],
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -83,4 +153,6 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+userSchema.index({ geoLocation: '2dsphere' });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
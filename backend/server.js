@@ -6,12 +6,32 @@ const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const MAX_SAVED_SEARCHES = 20;
+const PORTFOLIO_SIZE = 12;
+const MAX_NEED_PHOTOS = 6;
+const MAX_UPLOAD_MB = 8;
+const NEED_LIFETIME_DAYS = 30;
+const RENEW_WINDOW_DAYS = 7;
+const BOOST_CREDITS_PER_DAY = 1;
+const BOOST_DAYS = [1, 3, 7];
+const UNLOCK_AUTO_REFUND_HOURS = parseInt(process.env.UNLOCK_AUTO_REFUND_HOURS || 48);
+const DISPUTE_WINDOW_DAYS = 14;
+const REPORT_HOLD_THRESHOLD = 3;
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const API_URL = (process.env.API_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const OTP_TTL = 10 * 60 * 1000; // 10 minutes
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_COOKIE = 'fulfillme_refresh';
 
 // Middleware
 app.use(helmet());
@@ -21,6 +41,7 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Rate limiting
 const limiter = rateLimit({
@@ -29,6 +50,20 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Per-account limits for sign-in and recovery routes, so one account can't be
+// hammered from many IPs. Keyed on the email/phone in the body, or the signed-in user.
+const accountLimiter = (max, windowMinutes, options = {}) => rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    max,
+    keyGenerator: (req) => {
+        const account = req.body.email || req.body.phone || (req.user && req.user.userId) || req.ip;
+        const phone = mpesa.normalizePhone(account);
+        return `${req.path}:${phone || String(account).trim().toLowerCase()}`;
+    },
+    message: { error: 'Too many attempts for this account. Please try again later.' },
+    ...options
+});
+
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/fulfillme', {
     useNewUrlParser: true,
@@ -39,12 +74,71 @@ const db = mongoose.connection;
 db.on('error', console.error.bind(console, 'MongoDB connection error:'));
 db.once('open', () => {
     console.log('Connected to MongoDB');
+    if (require.main !== module) return;
+    reconcileCreditsJob.schedule();
+    savedSearchDigestJob.schedule();
+    needExpiryJob.schedule();
+    expireBoostsJob.schedule();
+    releaseEscrowJob.schedule();
+    renewSubscriptionsJob.schedule();
+    checkWithdrawalsJob.schedule();
 });
 
 // Models
 const User = require('./models/User');
 const Need = require('./models/Need');
 const Transaction = require('./models/Transaction');
+const Review = require('./models/Review');
+const Conversation = require('./models/Conversation');
+const Message = require('./models/Message');
+const SavedSearch = require('./models/SavedSearch');
+const Notification = require('./models/Notification');
+const PushSubscription = require('./models/PushSubscription');
+const Dispute = require('./models/Dispute');
+const AuditLog = require('./models/AuditLog');
+const LedgerDiscrepancy = require('./models/LedgerDiscrepancy');
+const Report = require('./models/Report');
+const Escrow = require('./models/Escrow');
+const CreditBundle = require('./models/CreditBundle');
+const PromoCode = require('./models/PromoCode');
+const Subscription = require('./models/Subscription');
+const SubscriptionPlan = require('./models/SubscriptionPlan');
+
+// Services
+const mpesa = require('./services/mpesa');
+const ledger = require('./services/ledger');
+const wallet = require('./services/wallet');
+const escrow = require('./services/escrow');
+const creditBundles = require('./services/creditBundles');
+const promotions = require('./services/promotions');
+const subscriptions = require('./services/subscriptions');
+const receipts = require('./services/receipts');
+const statements = require('./services/statements');
+const analytics = require('./services/analytics');
+const activity = require('./services/activity');
+const realtime = require('./services/realtime');
+const needSearch = require('./services/needSearch');
+const savedSearches = require('./services/savedSearches');
+const notifications = require('./services/notifications');
+const push = require('./services/push');
+const mailer = require('./services/mailer');
+const sms = require('./services/sms');
+const authTokens = require('./services/authTokens');
+const sessions = require('./services/sessions');
+const audit = require('./services/audit');
+const moderation = require('./services/moderation');
+const contactMasking = require('./services/contactMasking');
+const storage = require('./services/storage');
+const images = require('./services/images');
+
+// Scheduled jobs
+const reconcileCreditsJob = require('./jobs/reconcileCredits');
+const savedSearchDigestJob = require('./jobs/savedSearchDigest');
+const needExpiryJob = require('./jobs/needExpiry');
+const expireBoostsJob = require('./jobs/expireBoosts');
+const releaseEscrowJob = require('./jobs/releaseEscrow');
+const renewSubscriptionsJob = require('./jobs/renewSubscriptions');
+const checkWithdrawalsJob = require('./jobs/checkWithdrawals');
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -57,13 +151,200 @@ const authenticateToken = (req, res, next) => {
     
     jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
         if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+            return res.status(401).json({ error: 'Invalid or expired token' });
         }
         req.user = user;
         next();
     });
 };
 
+// Role check; use after authenticateToken, e.g. requireRole('admin')
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+};
+
+// Why a suspended or banned account can't sign in, or null if it can
+const accountBlock = (user) => {
+    if (user.status === 'banned') {
+        return 'This account has been banned';
+    }
+    if (user.status === 'suspended' && (!user.suspendedUntil || user.suspendedUntil > new Date())) {
+        return user.suspendedUntil
+            ? `This account is suspended until ${user.suspendedUntil.toDateString()}`
+            : 'This account is suspended';
+    }
+    return null;
+};
+
+// EventSource can't set headers, so streams may pass the token as ?token=
+const authenticateStream = (req, res, next) => {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    authenticateToken(req, res, next);
+};
+
+// Sets req.user when a valid token is sent; anonymous requests still go through
+const optionalAuth = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    
+    if (!token) {
+        return next();
+    }
+    
+    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+        if (!err) req.user = user;
+        next();
+    });
+};
+
+// Access tokens are short-lived and not checked against the session store;
+// revoking a session stops it refreshing, so access ends within ACCESS_TOKEN_TTL.
+const signToken = (user, session) => jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// The refresh token lives in an httpOnly cookie scoped to the auth routes.
+// A frontend on another site needs COOKIE_SAMESITE=none (which implies Secure).
+const refreshCookieOptions = () => {
+    const sameSite = process.env.COOKIE_SAMESITE || 'lax';
+    return {
+        httpOnly: true,
+        secure: sameSite === 'none' || process.env.NODE_ENV === 'production',
+        sameSite,
+        path: '/api/auth'
+    };
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...refreshCookieOptions(),
+        maxAge: sessions.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+// Open a session for a newly signed-in user; returns the access token
+const startSession = async (req, res, user) => {
+    const { session, refreshToken } = await sessions.create(user._id, {
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+    });
+    setRefreshCookie(res, refreshToken);
+    return signToken(user, session);
+};
+
+const publicUser = (user) => ({
+    id: user._id,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    fullName: user.fullName,
+    location: user.location,
+    credits: user.credits,
+    bonusCredits: user.bonusCredits,
+    walletBalance: user.walletBalance,
+    referralCode: user.referralCode,
+    rating: user.rating,
+    emailVerified: user.emailVerified,
+    phoneVerified: user.phoneVerified
+});
+
+// `email` is the address to confirm: the current one, or a pending change
+const sendVerificationEmail = async (user, email = user.email) => {
+    const token = await authTokens.issue(user._id, 'email_verification', EMAIL_TOKEN_TTL, { target: email });
+    const link = `${API_URL}/api/auth/verify-email/${token}`;
+    await mailer.send({
+        to: email,
+        subject: 'Confirm your FulfillME email',
+        text: `Hi ${user.fullName},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+    });
+};
+
+const sendPhoneCode = async (user) => {
+    const code = await authTokens.issue(user._id, 'phone_otp', OTP_TTL, { numeric: true });
+    await sms.send({
+        to: user.phone,
+        message: `Your FulfillME code is ${code}. It expires in 10 minutes. Do not share it.`
+    });
+};
+
+// Confirms a pending phone number change (see PATCH /api/user/profile)
+const sendPhoneChangeCode = async (user) => {
+    const code = await authTokens.issue(user._id, 'phone_change', OTP_TTL, {
+        numeric: true,
+        target: user.pendingPhone
+    });
+    await sms.send({
+        to: user.pendingPhone,
+        message: `Your FulfillME code to confirm this number is ${code}. It expires in 10 minutes.`
+    });
+};
+
+const findUserByPhone = (phone) => User.findOne({ phone: { $in: sms.phoneVariants(phone) } });
+
+// Photo uploads are held in memory, checked and re-encoded by services/images
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: MAX_NEED_PHOTOS },
+    fileFilter: (req, file, cb) => {
+        if (!images.ALLOWED_TYPES.includes(file.mimetype)) {
+            return cb(new images.ImageError('Only JPEG, PNG and WebP images are allowed'));
+        }
+        cb(null, true);
+    }
+});
+
+// Parse up to maxCount files from `field` into req.files; bad uploads get a 400
+const acceptPhotos = (field, maxCount) => (req, res, next) => {
+    upload.array(field, maxCount)(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = err.code === 'LIMIT_FILE_SIZE'
+                ? `Photos must be ${MAX_UPLOAD_MB} MB or smaller`
+                : ['LIMIT_FILE_COUNT', 'LIMIT_UNEXPECTED_FILE'].includes(err.code)
+                    ? `Upload up to ${maxCount} photo${maxCount === 1 ? '' : 's'} in the "${field}" field`
+                    : err.message;
+            return res.status(400).json({ error: message });
+        }
+        if (err instanceof images.ImageError) {
+            return res.status(400).json({ error: err.message });
+        }
+        next(err);
+    });
+};
+
+// Process uploads one at a time; if one fails, the ones already stored are deleted
+const savePhotos = async (files, prefix) => {
+    const saved = [];
+    try {
+        for (const file of files) {
+            saved.push(await images.save(file.buffer, prefix));
+        }
+    } catch (error) {
+        await images.remove(...saved.flatMap(photo => [photo.key, photo.thumbnailKey]));
+        throw error;
+    }
+    return saved;
+};
+
+// Uploaded photos, when they are stored on this server's disk
+if (storage.localRoot()) {
+    app.use('/uploads', express.static(storage.localRoot(), {
+        maxAge: '365d',
+        immutable: true,
+        setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+    }));
+}
+
 // Routes
 
 // Health check
@@ -76,7 +357,12 @@ app.post('/api/auth/register', [
     body('email').isEmail().normalizeEmail(),
     body('phone').isMobilePhone(),
     body('password').isLength({ min: 6 }),
-    body('role').isIn(['asker', 'fulfiller'])
+    body('role').isIn(['asker', 'fulfiller']),
+    body('categories').optional().isArray({ max: 20 }),
+    body('categories.*').optional().isString().trim(),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('nationalId').optional().trim().isLength({ max: 20 }),
+    body('referralCode').optional({ checkFalsy: true }).trim().isAlphanumeric().isLength({ max: 20 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -84,7 +370,7 @@ app.post('/api/auth/register', [
             return res.status(400).json({ errors: errors.array() });
         }
         
-        const { email, phone, password, role, fullName, location, gender } = req.body;
+        const { email, phone, password, role, fullName, location, gender, lat, lng, categories, description, nationalId, referralCode } = req.body;
         
         // Check if user exists
         const existingUser = await User.findOne({ $or: [{ email }, { phone }] });
@@ -92,6 +378,11 @@ app.post('/api/auth/register', [
             return res.status(400).json({ error: 'User already exists' });
         }
         
+        const referrer = referralCode ? await promotions.findReferrer(referralCode) : null;
+        if (referralCode && !referrer) {
+            return res.status(400).json({ error: 'That referral code is not valid' });
+        }
+        
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
         
@@ -103,34 +394,34 @@ app.post('/api/auth/register', [
             role,
             fullName,
             location,
+            geoLocation: needSearch.toPoint(lat, lng) || undefined,
             gender,
-            credits: role === 'fulfiller' ? 0 : null,
+            categories: role === 'fulfiller' ? categories : undefined,
+            description,
+            nationalId: nationalId || undefined,
+            credits: 0,
+            referredBy: referrer ? referrer._id : undefined,
             rating: 5.0,
             createdAt: new Date()
         });
         
         await user.save();
         
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        try {
+            user.referralCode = await promotions.ensureReferralCode(user);
+        } catch (error) {
+            // They get one later from GET /api/referrals
+            console.error('Referral code error:', error);
+        }
+        
+        sendVerificationEmail(user).catch(error => {
+            console.error('Verification email error:', error);
+        });
         
         res.status(201).json({
             success: true,
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                phone: user.phone,
-                role: user.role,
-                fullName: user.fullName,
-                location: user.location,
-                credits: user.credits,
-                rating: user.rating
-            }
+            token: await startSession(req, res, user),
+            user: publicUser(user)
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -139,7 +430,7 @@ app.post('/api/auth/register', [
 });
 
 // User Login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', accountLimiter(10, 15, { skipSuccessfulRequests: true }), async (req, res) => {
     try {
         const { email, password } = req.body;
         
@@ -158,26 +449,15 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
         
-        // Create JWT token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '7d' }
-        );
+        const blocked = accountBlock(user);
+        if (blocked) {
+            return res.status(403).json({ error: blocked });
+        }
         
         res.json({
             success: true,
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                phone: user.phone,
-                role: user.role,
-                fullName: user.fullName,
-                location: user.location,
-                credits: user.credits,
-                rating: user.rating
-            }
+            token: await startSession(req, res, user),
+            user: publicUser(user)
         });
     } catch (error) {
         console.error('Login error:', error);
@@ -185,265 +465,5228 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
-// Get User Profile
-app.get('/api/user/profile', authenticateToken, async (req, res) => {
+// Refresh Access Token (rotates the refresh cookie)
+app.post('/api/auth/refresh', async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId).select('-password');
+        const { session, refreshToken } = await sessions.rotate(req.cookies[REFRESH_COOKIE], { ip: req.ip });
+        
+        const user = await User.findById(session.user);
         if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+            await sessions.revoke({ _id: session._id }, 'revoked');
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: 'Invalid or expired session' });
         }
         
-        res.json({ success: true, user });
+        const blocked = accountBlock(user);
+        if (blocked) {
+            await sessions.revoke({ _id: session._id }, 'suspended');
+            clearRefreshCookie(res);
+            return res.status(403).json({ error: blocked });
+        }
+        
+        if (refreshToken) setRefreshCookie(res, refreshToken);
+        
+        res.json({
+            success: true,
+            token: signToken(user, session),
+            user: publicUser(user)
+        });
     } catch (error) {
-        console.error('Profile error:', error);
-        res.status(500).json({ error: 'Failed to fetch profile' });
+        if (error instanceof sessions.SessionError) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        console.error('Refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh session' });
     }
 });
 
-// Post a Need
-app.post('/api/needs', authenticateToken, [
-    body('title').notEmpty().trim().escape(),
-    body('description').notEmpty().trim().escape(),
-    body('budget').isNumeric(),
-    body('category').notEmpty(),
-    body('location').notEmpty()
-], async (req, res) => {
+// Logout (this device)
+app.post('/api/auth/logout', async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-        
-        const { title, description, budget, category, location, timeframe, photo } = req.body;
-        
-        // Check if user is an asker
-        const user = await User.findById(req.user.userId);
-        if (user.role !== 'asker') {
-            return res.status(403).json({ error: 'Only askers can post needs' });
+        const refreshToken = req.cookies[REFRESH_COOKIE];
+        if (refreshToken) {
+            const session = await sessions.findByToken(refreshToken);
+            if (session) await sessions.revoke({ _id: session._id }, 'logout');
         }
         
-        // Create need
-        const need = new Need({
-            user: req.user.userId,
-            title,
-            description,
-            budget,
-            category,
-            location,
-            timeframe,
-            photo,
-            status: 'active',
-            createdAt: new Date()
-        });
-        
-        await need.save();
-        
-        res.status(201).json({
-            success: true,
-            need: {
-                id: need._id,
-                title: need.title,
-                description: need.description,
-                budget: need.budget,
-                category: need.category,
-                location: need.location,
-                status: need.status,
-                createdAt: need.createdAt
-            }
-        });
+        clearRefreshCookie(res);
+        res.json({ success: true });
     } catch (error) {
-        console.error('Post need error:', error);
-        res.status(500).json({ error: 'Failed to post need' });
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
     }
 });
 
-// Get Needs (Browse)
-app.get('/api/needs', async (req, res) => {
-    try {
-        const { 
-            category, 
-            location, 
-            minBudget, 
-            maxBudget, 
-            sort = 'newest',
-            page = 1,
-            limit = 10 
-        } = req.query;
-        
-        // Build query
-        let query = { status: 'active' };
-        
-        if (category) query.category = category;
-        if (location) query.location = { $regex: location, $options: 'i' };
-        if (minBudget || maxBudget) {
-            query.budget = {};
-            if (minBudget) query.budget.$gte = parseFloat(minBudget);
-            if (maxBudget) query.budget.$lte = parseFloat(maxBudget);
-        }
-        
-        // Build sort
-        let sortOption = { createdAt: -1 };
-        if (sort === 'budget_high') sortOption = { budget: -1 };
-        if (sort === 'budget_low') sortOption = { budget: 1 };
-        if (sort === 'urgent') sortOption = { timeframe: 1, createdAt: -1 };
-        
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        
-        // Execute query
-        const needs = await Need.find(query)
-            .populate('user', 'fullName location rating')
-            .sort(sortOption)
-            .skip(skip)
-            .limit(parseInt(limit));
+// Logout All Devices
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await sessions.revokeAll(req.user.userId, 'logout_all');
         
-        const total = await Need.countDocuments(query);
+        clearRefreshCookie(res);
+        res.json({ success: true, revoked: result.modifiedCount });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Failed to sign out all devices' });
+    }
+});
+
+// List Active Sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const active = await sessions.listActive(req.user.userId);
         
         res.json({
             success: true,
-            needs,
-            pagination: {
-                total,
-                page: parseInt(page),
-                pages: Math.ceil(total / parseInt(limit)),
-                limit: parseInt(limit)
-            }
+            sessions: active.map(session => ({
+                id: session._id,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session._id.toString() === req.user.sid
+            }))
         });
     } catch (error) {
-        console.error('Get needs error:', error);
-        res.status(500).json({ error: 'Failed to fetch needs' });
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
     }
 });
 
-// Get Single Need
-app.get('/api/needs/:id', async (req, res) => {
+// Revoke One Session
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
     try {
-        const need = await Need.findById(req.params.id)
-            .populate('user', 'fullName location rating createdAt');
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
         
-        if (!need) {
-            return res.status(404).json({ error: 'Need not found' });
+        const result = await sessions.revoke({ _id: req.params.id, user: req.user.userId }, 'revoked');
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Session not found' });
         }
         
-        res.json({ success: true, need });
+        if (req.params.id === req.user.sid) clearRefreshCookie(res);
+        res.json({ success: true });
     } catch (error) {
-        console.error('Get need error:', error);
-        res.status(500).json({ error: 'Failed to fetch need' });
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
     }
 });
 
-// Unlock Contact (Fulfiller pays KSh 100)
-app.post('/api/needs/:id/unlock', authenticateToken, async (req, res) => {
+// Change Password (signs out every other device)
+app.post('/api/auth/change-password', authenticateToken, accountLimiter(5, 15), [
+    body('currentPassword').isString().notEmpty(),
+    body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
     try {
-        const need = await Need.findById(req.params.id);
-        if (!need) {
-            return res.status(404).json({ error: 'Need not found' });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
         
         const user = await User.findById(req.user.userId);
-        
-        // Check if user is a fulfiller
-        if (user.role !== 'fulfiller') {
-            return res.status(403).json({ error: 'Only fulfillers can unlock needs' });
-        }
-        
-        // Check if already unlocked
-        if (need.unlockedBy.includes(req.user.userId)) {
-            return res.status(400).json({ error: 'Already unlocked this need' });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
         
-        // Check if user has enough credits
-        if (user.credits < 1) {
-            return res.status(400).json({ error: 'Insufficient credits. Please add credits first.' });
+        const validPassword = await bcrypt.compare(req.body.currentPassword, user.password);
+        if (!validPassword) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
         }
         
-        // Deduct credit and unlock
-        user.credits -= 1;
-        need.unlockedBy.push(req.user.userId);
-        
+        user.password = await bcrypt.hash(req.body.newPassword, 10);
         await user.save();
-        await need.save();
-        
-        // Record transaction
-        const transaction = new Transaction({
-            user: req.user.userId,
-            need: need._id,
-            amount: 100,
-            type: 'unlock',
-            status: 'completed',
-            createdAt: new Date()
-        });
-        
-        await transaction.save();
+        await sessions.revokeAll(user._id, 'password_changed', { except: req.user.sid });
         
-        // Get asker contact info (without sensitive data)
-        const asker = await User.findById(need.user).select('fullName phone email location rating');
-        
-        res.json({
-            success: true,
-            message: 'Need unlocked successfully',
-            contactInfo: {
-                fullName: asker.fullName,
-                phone: asker.phone,
-                email: asker.email,
-                location: asker.location,
-                rating: asker.rating
-            }
-        });
+        res.json({ success: true, message: 'Password changed. Other devices have been signed out.' });
     } catch (error) {
-        console.error('Unlock need error:', error);
-        res.status(500).json({ error: 'Failed to unlock need' });
+        console.error('Change password error:', error);
+        res.status(500).json({ error: 'Failed to change password' });
     }
 });
 
-// Add Credits (M-Pesa Integration)
-app.post('/api/credits/add', authenticateToken, async (req, res) => {
+// Forgot Password
+app.post('/api/auth/forgot-password', [
+    body('email').isEmail().normalizeEmail()
+], accountLimiter(5, 60), async (req, res) => {
     try {
-        const { amount, mpesaCode } = req.body;
-        const user = await User.findById(req.user.userId);
-        
-        // Validate M-Pesa code (in production, integrate with M-Pesa API)
-        if (!mpesaCode || !mpesaCode.startsWith('MPS')) {
-            return res.status(400).json({ error: 'Invalid M-Pesa code' });
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
         
-        // Calculate credits (KSh 100 = 1 credit)
-        const credits = amount / 100;
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            const token = await authTokens.issue(user._id, 'password_reset', RESET_TOKEN_TTL);
+            const link = `${APP_URL}/backend/login.html?resetToken=${token}`;
+            await mailer.send({
+                to: user.email,
+                subject: 'Reset your FulfillME password',
+                text: `Hi ${user.fullName},\n\nReset your password here:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, ignore this email.`
+            });
+        }
         
-        // Add credits
-        user.credits += credits;
-        await user.save();
+        // Same answer either way so this can't be used to discover accounts
+        res.json({ success: true, message: 'If that email is registered, a reset link is on its way' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to send reset link' });
+    }
+});
+
+// Reset Password
+app.post('/api/auth/reset-password', [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 6 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
         
-        // Record transaction
-        const transaction = new Transaction({
-            user: req.user.userId,
-            amount: amount,
-            mpesaCode: mpesaCode,
-            type: 'credit_purchase',
-            status: 'completed',
-            createdAt: new Date()
-        });
+        const token = await authTokens.consume('password_reset', req.body.token);
+        if (!token) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
         
-        await transaction.save();
+        const hashedPassword = await bcrypt.hash(req.body.password, 10);
+        await User.updateOne(
+            { _id: token.user },
+            { $set: { password: hashedPassword, updatedAt: new Date() } }
+        );
+        await sessions.revokeAll(token.user, 'password_changed');
         
-        res.json({
-            success: true,
-            message: `Added ${credits} credits to your account`,
-            credits: user.credits
-        });
+        res.json({ success: true, message: 'Password updated. You can now log in.' });
     } catch (error) {
-        console.error('Add credits error:', error);
-        res.status(500).json({ error: 'Failed to add credits' });
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
     }
 });
 
-// Get Dashboard Stats
-app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+// Resend Email Verification
+app.post('/api/auth/verify-email/send', authenticateToken, accountLimiter(3, 60), async (req, res) => {
     try {
         const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.emailVerified && !user.pendingEmail) {
+            return res.status(400).json({ error: 'Email is already verified' });
+        }
+        
+        await sendVerificationEmail(user, user.pendingEmail || user.email);
+        res.json({ success: true, message: 'Verification email sent' });
+    } catch (error) {
+        console.error('Send verification email error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// Verify Email (link from the verification email)
+app.get('/api/auth/verify-email/:token', async (req, res) => {
+    try {
+        const done = (verified) => res.redirect(`${APP_URL}/pages/dashboard.html?emailVerified=${verified ? 1 : 0}`);
+        
+        const token = await authTokens.consume('email_verification', req.params.token);
+        if (!token) {
+            return done(false);
+        }
+        
+        const user = await User.findById(token.user);
+        if (!user) {
+            return done(false);
+        }
+        
+        // Links for a pending email change swap the new address in
+        if (token.target && token.target !== user.email) {
+            if (token.target !== user.pendingEmail) {
+                return done(false);
+            }
+            const taken = await User.exists({ email: token.target, _id: { $ne: user._id } });
+            if (taken) {
+                return done(false);
+            }
+            user.email = token.target;
+            user.pendingEmail = undefined;
+        }
+        
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+        
+        done(true);
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// Request Login Code (SMS)
+app.post('/api/auth/otp/request', [
+    body('phone').isString().trim().notEmpty()
+], accountLimiter(3, 15), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const user = await findUserByPhone(req.body.phone);
+        if (user) {
+            await sendPhoneCode(user);
+        }
+        
+        // Same answer either way so this can't be used to discover accounts
+        res.json({ success: true, message: 'If that number is registered, a code is on its way' });
+    } catch (error) {
+        console.error('OTP request error:', error);
+        res.status(500).json({ error: 'Failed to send login code' });
+    }
+});
+
+// Login With Code (SMS)
+app.post('/api/auth/otp/login', [
+    body('phone').isString().trim().notEmpty(),
+    body('code').isString().trim().matches(/^\d{6}$/)
+], accountLimiter(10, 15), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const user = await findUserByPhone(req.body.phone);
+        if (!user || !(await authTokens.verifyCode(user._id, 'phone_otp', req.body.code))) {
+            return res.status(401).json({ error: 'Invalid or expired code' });
+        }
+        
+        const blocked = accountBlock(user);
+        if (blocked) {
+            return res.status(403).json({ error: blocked });
+        }
+        
+        // Receiving the code proves the number belongs to this user
+        if (!user.phoneVerified) {
+            user.phoneVerified = true;
+            user.phoneVerifiedAt = new Date();
+            await user.save();
+        }
+        
+        res.json({
+            success: true,
+            token: await startSession(req, res, user),
+            user: publicUser(user)
+        });
+    } catch (error) {
+        console.error('OTP login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+// Send Phone Verification Code
+app.post('/api/auth/verify-phone/send', authenticateToken, accountLimiter(3, 15), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.phoneVerified) {
+            return res.status(400).json({ error: 'Phone is already verified' });
+        }
+        
+        await sendPhoneCode(user);
+        res.json({ success: true, message: 'Verification code sent' });
+    } catch (error) {
+        console.error('Send phone code error:', error);
+        res.status(500).json({ error: 'Failed to send verification code' });
+    }
+});
+
+// Verify Phone
+app.post('/api/auth/verify-phone', authenticateToken, accountLimiter(10, 15), [
+    body('code').isString().trim().matches(/^\d{6}$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const valid = await authTokens.verifyCode(req.user.userId, 'phone_otp', req.body.code);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid or expired code' });
+        }
+        
+        await User.updateOne(
+            { _id: req.user.userId },
+            { $set: { phoneVerified: true, phoneVerifiedAt: new Date() } }
+        );
+        
+        res.json({ success: true, message: 'Phone number verified' });
+    } catch (error) {
+        console.error('Verify phone error:', error);
+        res.status(500).json({ error: 'Failed to verify phone' });
+    }
+});
+
+// Get User Profile
+app.get('/api/user/profile', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('-password');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('Profile error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+// Update User Profile
+// Email and phone changes are held as pending until the new address is confirmed.
+// Text fields are stored as typed, as at registration; clients escape them.
+app.patch('/api/user/profile', authenticateToken, [
+    body('fullName').optional().trim().isLength({ min: 2, max: 100 }),
+    body('location').optional().trim().isLength({ min: 2, max: 100 }),
+    body('lat').optional().isFloat({ min: -90, max: 90 }),
+    body('lng').optional().isFloat({ min: -180, max: 180 }),
+    body('gender').optional().isIn(['male', 'female', 'other', 'prefer-not-to-say']),
+    body('description').optional().trim().isLength({ max: 1000 }),
+    body('categories').optional().isArray({ max: 20 }),
+    body('categories.*').optional().isString().trim(),
+    body('nationalId').optional().trim().isLength({ max: 20 }),
+    body('email').optional().isEmail().normalizeEmail(),
+    body('phone').optional().isMobilePhone(),
+    body('currentPassword').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const { email, phone, categories, lat, lng, nationalId, currentPassword } = req.body;
+        
+        if (categories !== undefined && user.role !== 'fulfiller') {
+            return res.status(400).json({ error: 'Only fulfillers have service categories' });
+        }
+        
+        if ((lat !== undefined || lng !== undefined) && !needSearch.toPoint(lat, lng)) {
+            return res.status(400).json({ error: 'lat and lng must be sent together' });
+        }
+        
+        if (nationalId !== undefined && user.isVerified && nationalId !== user.nationalId) {
+            return res.status(400).json({ error: 'National ID cannot be changed after verification' });
+        }
+        
+        const emailChange = email !== undefined && email !== user.email;
+        const phoneChange = phone !== undefined && !sms.phoneVariants(user.phone).includes(phone.trim());
+        
+        if (emailChange || phoneChange) {
+            const validPassword = currentPassword && await bcrypt.compare(currentPassword, user.password);
+            if (!validPassword) {
+                return res.status(400).json({ error: 'Current password is required to change email or phone' });
+            }
+        }
+        
+        if (emailChange && await User.exists({ email, _id: { $ne: user._id } })) {
+            return res.status(400).json({ error: 'Email is already in use' });
+        }
+        
+        if (phoneChange && await User.exists({ phone: { $in: sms.phoneVariants(phone) }, _id: { $ne: user._id } })) {
+            return res.status(400).json({ error: 'Phone number is already in use' });
+        }
+        
+        ['fullName', 'location', 'gender', 'description'].forEach(field => {
+            if (req.body[field] !== undefined) user[field] = req.body[field];
+        });
+        if (categories !== undefined) user.categories = [...new Set(categories)];
+        if (lat !== undefined) user.geoLocation = needSearch.toPoint(lat, lng);
+        if (nationalId !== undefined) user.nationalId = nationalId || undefined;
+        // Sending the current email/phone again cancels a pending change
+        if (email !== undefined) user.pendingEmail = emailChange ? email : undefined;
+        if (phone !== undefined) user.pendingPhone = phoneChange ? phone.trim() : undefined;
+        
+        await user.save();
+        
+        if (emailChange) await sendVerificationEmail(user, user.pendingEmail);
+        if (phoneChange) await sendPhoneChangeCode(user);
+        
+        const { password, ...profile } = user.toObject();
+        
+        res.json({
+            success: true,
+            user: profile,
+            pendingVerification: {
+                email: emailChange ? user.pendingEmail : null,
+                phone: phoneChange ? user.pendingPhone : null
+            }
+        });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({ error: 'Failed to update profile' });
+    }
+});
+
+// Upload Profile Photo (replaces the current one)
+app.post('/api/user/profile/photo', authenticateToken, acceptPhotos('photo', 1), async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No photo uploaded' });
+        }
+        
+        const user = await User.findById(req.user.userId).select('+profilePhotoKeys');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const [photo] = await savePhotos(req.files, `users/${user._id}`);
+        const oldKeys = user.profilePhotoKeys || [];
+        
+        user.profilePhoto = photo.url;
+        user.profilePhotoThumbnail = photo.thumbnailUrl;
+        user.profilePhotoKeys = [photo.key, photo.thumbnailKey];
+        await user.save();
+        
+        await images.remove(...oldKeys);
+        
+        res.json({
+            success: true,
+            profilePhoto: user.profilePhoto,
+            profilePhotoThumbnail: user.profilePhotoThumbnail
+        });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Upload profile photo error:', error);
+        res.status(500).json({ error: 'Failed to upload profile photo' });
+    }
+});
+
+// Remove Profile Photo
+app.delete('/api/user/profile/photo', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('+profilePhotoKeys');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const oldKeys = user.profilePhotoKeys || [];
+        user.profilePhoto = undefined;
+        user.profilePhotoThumbnail = undefined;
+        user.profilePhotoKeys = [];
+        await user.save();
+        
+        await images.remove(...oldKeys);
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Remove profile photo error:', error);
+        res.status(500).json({ error: 'Failed to remove profile photo' });
+    }
+});
+
+// Confirm Phone Number Change
+app.post('/api/user/phone/confirm', authenticateToken, accountLimiter(10, 15), [
+    body('code').isString().trim().matches(/^\d{6}$/)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const user = await User.findById(req.user.userId);
+        if (!user || !user.pendingPhone) {
+            return res.status(400).json({ error: 'No phone number change is pending' });
+        }
+        
+        const token = await authTokens.verifyCode(user._id, 'phone_change', req.body.code);
+        if (!token || token.target !== user.pendingPhone) {
+            return res.status(400).json({ error: 'Invalid or expired code' });
+        }
+        
+        const taken = await User.exists({ phone: { $in: sms.phoneVariants(user.pendingPhone) }, _id: { $ne: user._id } });
+        if (taken) {
+            return res.status(400).json({ error: 'Phone number is already in use' });
+        }
+        
+        user.phone = user.pendingPhone;
+        user.pendingPhone = undefined;
+        user.phoneVerified = true;
+        user.phoneVerifiedAt = new Date();
+        await user.save();
+        
+        res.json({ success: true, phone: user.phone });
+    } catch (error) {
+        console.error('Confirm phone error:', error);
+        res.status(500).json({ error: 'Failed to confirm phone number' });
+    }
+});
+
+// Public User Profile (no contact details)
+app.get('/api/users/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const user = await User.findById(req.params.id)
+            .select('fullName role location categories description profilePhoto profilePhotoThumbnail rating totalRatings completedJobs isVerified createdAt');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // Portfolio: the most recent needs this user fulfilled, with the asker's review
+        const needs = await Need.find({ selectedFulfiller: user._id, status: 'fulfilled' })
+            .select('title category location photo photos completedAt')
+            .sort({ completedAt: -1 })
+            .limit(PORTFOLIO_SIZE);
+        
+        const reviews = await Review.find({
+            reviewee: user._id,
+            need: { $in: needs.map(need => need._id) }
+        }).select('need rating comment');
+        const reviewsByNeed = new Map(reviews.map(review => [review.need.toString(), review]));
+        
+        res.json({
+            success: true,
+            user: {
+                id: user._id,
+                fullName: user.fullName,
+                role: user.role,
+                location: user.location,
+                categories: user.categories,
+                description: user.description,
+                profilePhoto: user.profilePhoto,
+                profilePhotoThumbnail: user.profilePhotoThumbnail,
+                rating: user.rating,
+                totalRatings: user.totalRatings,
+                completedJobs: user.completedJobs,
+                isVerified: user.isVerified,
+                memberSince: user.createdAt
+            },
+            portfolio: needs.map(need => {
+                const review = reviewsByNeed.get(need._id.toString());
+                return {
+                    id: need._id,
+                    title: contactMasking.mask(need.title).text,
+                    category: need.category,
+                    location: need.location,
+                    photo: need.photo,
+                    thumbnailUrl: need.photos.length ? need.photos[0].thumbnailUrl : null,
+                    completedAt: need.completedAt,
+                    review: review ? { rating: review.rating, comment: review.comment } : null
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Get public profile error:', error);
+        res.status(500).json({ error: 'Failed to fetch profile' });
+    }
+});
+
+// Get My Posted Needs (Asker)
+app.get('/api/user/needs', authenticateToken, async (req, res) => {
+    try {
+        const query = { user: req.user.userId };
+        if (req.query.status) query.status = req.query.status;
+        if (req.query.archived !== 'true') query.archivedAt = null;
+        
+        const needs = await Need.find(query).sort({ createdAt: -1 });
+        
+        const escrows = await Escrow.find({ need: { $in: needs.map(need => need._id) }, status: { $ne: 'cancelled' } })
+            .select('need status');
+        const escrowByNeed = new Map(escrows.map(record => [record.need.toString(), record.status]));
+        
+        res.json({
+            success: true,
+            needs: needs.map(need => ({
+                id: need._id,
+                title: need.title,
+                budget: need.budget,
+                category: need.category,
+                location: need.location,
+                status: need.status,
+                offers: need.offers.length,
+                pendingOffers: need.offers.filter(offer => offer.status === 'pending').length,
+                unlocks: need.unlockedBy.length,
+                escrowStatus: escrowByNeed.get(need._id.toString()) || null,
+                isUrgent: need.isUrgent,
+                urgentUntil: need.urgentUntil,
+                expiresAt: need.expiresAt,
+                createdAt: need.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get my needs error:', error);
+        res.status(500).json({ error: 'Failed to fetch your needs' });
+    }
+});
+
+// Contact Masking
+// Phone numbers, emails and handles typed into a need are hidden from everyone
+// except the asker, fulfillers who paid to unlock it, and admins.
+const canSeeContact = (need, viewer) => {
+    if (!viewer) return false;
+    if (viewer.role === 'admin') return true;
+    
+    const askerId = need.user && need.user._id ? need.user._id : need.user;
+    return String(askerId) === viewer.userId ||
+        (need.unlockedBy || []).some(id => String(id) === viewer.userId);
+};
+
+const presentNeed = (need, viewer) => {
+    const view = typeof need.toJSON === 'function' ? need.toJSON() : { ...need };
+    if (canSeeContact(need, viewer)) return view;
+    
+    const title = contactMasking.mask(view.title);
+    const description = contactMasking.mask(view.description);
+    view.title = title.text;
+    view.description = description.text;
+    view.contactHidden = title.found.length > 0 || description.found.length > 0;
+    return view;
+};
+
+// Offer messages protect the fulfiller the other way round: their contact
+// details stay hidden from the asker until the asker accepts the offer, so
+// a deal can't be moved off the platform from an offer. The fulfiller who
+// wrote it and admins always see it as typed.
+const offerMessage = (offer, viewer) => {
+    const fulfillerId = offer.fulfiller && offer.fulfiller._id ? offer.fulfiller._id : offer.fulfiller;
+    const visible = offer.status === 'accepted' ||
+        (viewer && (viewer.role === 'admin' || String(fulfillerId) === viewer.userId));
+    return visible ? offer.message : contactMasking.mask(offer.message).text;
+};
+
+// Post a Need
+// Accepts JSON, or multipart with up to MAX_NEED_PHOTOS files in `photos`
+// Title, description and location are stored as typed; clients escape them when rendering
+app.post('/api/needs', authenticateToken, acceptPhotos('photos', MAX_NEED_PHOTOS), [
+    body('title').notEmpty().trim().isLength({ max: 150 }),
+    body('description').notEmpty().trim().isLength({ max: 5000 }),
+    body('budget').isNumeric(),
+    body('category').notEmpty(),
+    body('location').notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const { title, description, budget, category, location, timeframe, lat, lng } = req.body;
+        
+        // Check if user is an asker
+        const user = await User.findById(req.user.userId);
+        if (user.role !== 'asker') {
+            return res.status(403).json({ error: 'Only askers can post needs' });
+        }
+        
+        // Create need
+        const need = new Need({
+            user: req.user.userId,
+            title,
+            description,
+            budget,
+            category,
+            location,
+            geoLocation: needSearch.toPoint(lat, lng) || undefined,
+            timeframe,
+            status: 'active',
+            createdAt: new Date()
+        });
+        
+        // Anything the automated checks flag waits for an admin instead of going live
+        const flags = await moderation.review(need);
+        if (flags.length) {
+            need.status = 'pending_review';
+            need.moderation = { flags };
+        }
+        
+        if (req.files && req.files.length) {
+            need.photos = await savePhotos(req.files, `needs/${need._id}`);
+            need.photo = need.photos[0].url;
+        }
+        
+        await need.save();
+        
+        activity.recordLater({
+            type: 'need_posted',
+            actor: req.user.userId,
+            participants: [req.user.userId],
+            need: need._id
+        });
+        
+        // Alert fulfillers with matching saved searches without holding up the response
+        if (need.status === 'active') {
+            savedSearches.matchNeed(need).catch(error => {
+                console.error('Saved search matching error:', error);
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            need: {
+                id: need._id,
+                title: need.title,
+                description: need.description,
+                budget: need.budget,
+                category: need.category,
+                location: need.location,
+                photo: need.photo,
+                photos: need.photos,
+                status: need.status,
+                createdAt: need.createdAt
+            },
+            message: need.status === 'pending_review'
+                ? 'Your need will go live once a moderator has reviewed it'
+                : undefined
+        });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Post need error:', error);
+        res.status(500).json({ error: 'Failed to post need' });
+    }
+});
+
+// Add Photos to a Need (asker)
+app.post('/api/needs/:id/photos', authenticateToken, acceptPhotos('photos', MAX_NEED_PHOTOS), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user photos');
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.user.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the asker can add photos' });
+        }
+        
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No photos uploaded' });
+        }
+        
+        if (need.photos.length + req.files.length > MAX_NEED_PHOTOS) {
+            return res.status(400).json({ error: `A need can have up to ${MAX_NEED_PHOTOS} photos` });
+        }
+        
+        const saved = await savePhotos(req.files, `needs/${need._id}`);
+        
+        // Re-check the limit in the write itself in case of parallel uploads
+        const updated = await Need.findOneAndUpdate(
+            { _id: need._id, [`photos.${MAX_NEED_PHOTOS - saved.length}`]: { $exists: false } },
+            { $push: { photos: { $each: saved } }, $set: { updatedAt: new Date() } },
+            { new: true }
+        );
+        
+        if (!updated) {
+            await images.remove(...saved.flatMap(photo => [photo.key, photo.thumbnailKey]));
+            return res.status(400).json({ error: `A need can have up to ${MAX_NEED_PHOTOS} photos` });
+        }
+        
+        if (updated.photo !== updated.photos[0].url) {
+            updated.photo = updated.photos[0].url;
+            await Need.updateOne({ _id: updated._id }, { $set: { photo: updated.photo } });
+        }
+        
+        res.status(201).json({ success: true, photo: updated.photo, photos: updated.photos });
+    } catch (error) {
+        if (error instanceof images.ImageError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Add need photos error:', error);
+        res.status(500).json({ error: 'Failed to upload photos' });
+    }
+});
+
+// Remove a Photo from a Need (asker)
+app.delete('/api/needs/:id/photos/:photoId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (!mongoose.isValidObjectId(req.params.photoId)) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user photo photos');
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.user.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the asker can remove photos' });
+        }
+        
+        const photo = need.photos.id(req.params.photoId);
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        
+        need.photos.pull(photo._id);
+        need.photo = need.photos.length ? need.photos[0].url : undefined;
+        await need.save();
+        
+        await images.remove(photo.key, photo.thumbnailKey);
+        
+        res.json({ success: true, photo: need.photo, photos: need.photos });
+    } catch (error) {
+        console.error('Remove need photo error:', error);
+        res.status(500).json({ error: 'Failed to remove photo' });
+    }
+});
+
+// Get Needs (Browse)
+// Filters: search, category, location, timeframe, minBudget, maxBudget, lat + lng + radius (km)
+// Paging: pass pagination.nextCursor back as ?cursor= for the next page
+app.get('/api/needs', optionalAuth, async (req, res) => {
+    try {
+        const { sort = 'newest', cursor, limit = 10 } = req.query;
+        
+        const filters = needSearch.parseFilters(req.query);
+        
+        const page = await needSearch.findPage(Need, {
+            filters,
+            sort,
+            cursor,
+            limit,
+            select: { offers: 0 },
+            populate: ['user', 'fullName location rating']
+        });
+        
+        res.json({
+            success: true,
+            needs: page.items.map(need => presentNeed(need, req.user)),
+            pagination: {
+                nextCursor: page.nextCursor,
+                hasMore: page.hasMore,
+                limit: page.limit,
+                sort: page.sort
+            }
+        });
+    } catch (error) {
+        console.error('Get needs error:', error);
+        res.status(500).json({ error: 'Failed to fetch needs' });
+    }
+});
+
+// Get Single Need
+app.get('/api/needs/:id', optionalAuth, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id)
+            .select('-offers -editHistory')
+            .populate('user', 'fullName location rating createdAt');
+        
+        if (!need || ['removed', 'pending_review'].includes(need.status)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        analytics.recordView(need, req.user && req.user.userId).catch(error => {
+            console.error('Need view count error:', error);
+        });
+        
+        res.json({ success: true, need: presentNeed(need, req.user) });
+    } catch (error) {
+        console.error('Get need error:', error);
+        res.status(500).json({ error: 'Failed to fetch need' });
+    }
+});
+
+// Edit a Need (asker, while active)
+app.patch('/api/needs/:id', authenticateToken, [
+    body('title').optional().notEmpty().trim().isLength({ max: 150 }),
+    body('description').optional().notEmpty().trim().isLength({ max: 5000 }),
+    body('budget').optional().isNumeric(),
+    body('category').optional().isIn(['services', 'products', 'rentals', 'pets', 'transport', 'other']),
+    body('location').optional().notEmpty().trim(),
+    body('lat').optional().isFloat({ min: -90, max: 90 }),
+    body('lng').optional().isFloat({ min: -180, max: 180 }),
+    body('timeframe').optional().isIn(['asap', 'today', 'tomorrow', 'week', 'month', 'flexible']),
+    body('contactMethods').optional().isArray(),
+    body('contactMethods.*').optional().isIn(['whatsapp', 'sms', 'call', 'email'])
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.user.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the asker can edit this need' });
+        }
+        
+        if (!['active', 'pending_review'].includes(need.status)) {
+            return res.status(400).json({ error: 'Only active needs can be edited' });
+        }
+        
+        const { lat, lng } = req.body;
+        if ((lat !== undefined || lng !== undefined) && !needSearch.toPoint(lat, lng)) {
+            return res.status(400).json({ error: 'lat and lng must be sent together' });
+        }
+        
+        const updates = {};
+        ['title', 'description', 'category', 'location', 'timeframe', 'contactMethods'].forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+        if (req.body.budget !== undefined) updates.budget = Number(req.body.budget);
+        if (lat !== undefined) updates.geoLocation = needSearch.toPoint(lat, lng);
+        
+        const changes = Object.entries(updates)
+            .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(need.toObject()[field]))
+            .map(([field, value]) => ({ field, from: need.toObject()[field], to: value }));
+        
+        if (changes.length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        
+        changes.forEach(({ field, to }) => need.set(field, to));
+        need.editHistory.push({ editedAt: new Date(), changes });
+        
+        // Edits go through the same checks as new needs
+        if (changes.some(({ field }) => field === 'title' || field === 'description')) {
+            const flags = await moderation.review(need);
+            if (flags.length) {
+                need.status = 'pending_review';
+                need.moderation = { flags };
+            }
+        }
+        
+        await need.save();
+        
+        res.json({
+            success: true,
+            need: {
+                id: need._id,
+                title: need.title,
+                description: need.description,
+                budget: need.budget,
+                category: need.category,
+                location: need.location,
+                timeframe: need.timeframe,
+                contactMethods: need.contactMethods,
+                status: need.status,
+                updatedAt: need.updatedAt
+            },
+            changes
+        });
+    } catch (error) {
+        console.error('Edit need error:', error);
+        res.status(500).json({ error: 'Failed to update need' });
+    }
+});
+
+// Get a Need's Edit History (asker)
+app.get('/api/needs/:id/history', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user editHistory');
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.user.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the asker can view the edit history' });
+        }
+        
+        res.json({ success: true, history: [...need.editHistory].reverse() });
+    } catch (error) {
+        console.error('Get need history error:', error);
+        res.status(500).json({ error: 'Failed to fetch edit history' });
+    }
+});
+
+// Cancel a Need (asker)
+app.post('/api/needs/:id/cancel', authenticateToken, [
+    body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        // Paid escrow has to be released or refunded through a dispute first
+        const openEscrow = await escrow.findOpen(req.params.id);
+        if (openEscrow && openEscrow.asker.equals(req.user.userId) &&
+            (openEscrow.status !== 'awaiting_payment' || await escrow.depositInProgress(openEscrow._id))) {
+            return res.status(400).json({ error: 'This need has money in escrow. Open an escrow dispute to get it refunded.' });
+        }
+        
+        const need = await Need.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.userId, status: { $in: ['active', 'in_progress'] } },
+            {
+                $set: {
+                    status: 'cancelled',
+                    cancelledAt: new Date(),
+                    cancellationReason: req.body.reason,
+                    isUrgent: false,
+                    'offers.$[pending].status': 'rejected',
+                    'offers.$[pending].respondedAt': new Date(),
+                    updatedAt: new Date()
+                }
+            },
+            { new: true, arrayFilters: [{ 'pending.status': 'pending' }] }
+        );
+        
+        if (!need) {
+            const exists = await Need.findById(req.params.id).select('user status');
+            if (!exists) {
+                return res.status(404).json({ error: 'Need not found' });
+            }
+            if (exists.user.toString() !== req.user.userId) {
+                return res.status(403).json({ error: 'Only the asker can cancel this need' });
+            }
+            return res.status(400).json({ error: `A ${exists.status} need cannot be cancelled` });
+        }
+        
+        // A late payment into a cancelled escrow is refunded to the wallet on arrival
+        await Escrow.updateMany({ need: need._id, status: 'awaiting_payment' }, { $set: { status: 'cancelled' } });
+        
+        // Unlocks made shortly before the cancellation are refunded automatically
+        const refundedUsers = new Set();
+        const recentUnlocks = await Transaction.find({
+            need: need._id,
+            type: 'unlock',
+            status: 'completed',
+            createdAt: { $gte: new Date(Date.now() - UNLOCK_AUTO_REFUND_HOURS * 60 * 60 * 1000) }
+        }).select('user');
+        
+        for (const unlock of recentUnlocks) {
+            try {
+                const refund = await ledger.withTransaction(session =>
+                    ledger.refund(unlock._id, { reason: 'need_cancelled' }, session)
+                );
+                if (refund) refundedUsers.add(unlock.user.toString());
+            } catch (error) {
+                console.error(`Auto-refund of unlock ${unlock._id} failed:`, error);
+            }
+        }
+        
+        activity.recordLater({
+            type: 'need_cancelled',
+            actor: req.user.userId,
+            participants: [need.user, ...need.unlockedBy],
+            need: need._id
+        });
+        
+        // Fulfillers who paid to unlock it should hear it's off
+        need.unlockedBy.forEach(fulfillerId => {
+            const refunded = refundedUsers.has(fulfillerId.toString());
+            notifications.notifyLater(fulfillerId, {
+                type: 'need_cancelled',
+                title: 'A need you unlocked was cancelled',
+                body: refunded
+                    ? `"${need.title}" was cancelled by the asker. Your unlock credit has been refunded.`
+                    : `"${need.title}" was cancelled by the asker.`,
+                url: '/pages/dashboard.html',
+                data: { need: need._id }
+            });
+        });
+        
+        res.json({ success: true, message: 'Need cancelled', status: need.status, refunds: refundedUsers.size });
+    } catch (error) {
+        console.error('Cancel need error:', error);
+        res.status(500).json({ error: 'Failed to cancel need' });
+    }
+});
+
+// Renew a Need (asker, within RENEW_WINDOW_DAYS of expiry or after it expired)
+app.post('/api/needs/:id/renew', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.user.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the asker can renew this need' });
+        }
+        
+        if (!['active', 'expired'].includes(need.status)) {
+            return res.status(400).json({ error: `A ${need.status} need cannot be renewed` });
+        }
+        
+        const now = Date.now();
+        const day = 24 * 60 * 60 * 1000;
+        if (need.status === 'active' && need.expiresAt.getTime() - now > RENEW_WINDOW_DAYS * day) {
+            return res.status(400).json({ error: `Needs can be renewed in the last ${RENEW_WINDOW_DAYS} days before they expire` });
+        }
+        
+        const from = Math.max(now, need.expiresAt.getTime());
+        const renewed = await Need.findOneAndUpdate(
+            { _id: need._id, status: need.status, expiresAt: need.expiresAt },
+            {
+                $set: {
+                    status: 'active',
+                    expiresAt: new Date(from + NEED_LIFETIME_DAYS * day),
+                    renewedAt: new Date(),
+                    expiryReminderSentAt: null,
+                    archivedAt: null,
+                    updatedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+        
+        if (!renewed) {
+            return res.status(409).json({ error: 'This need was just changed. Please try again.' });
+        }
+        
+        res.json({ success: true, message: 'Need renewed', expiresAt: renewed.expiresAt });
+    } catch (error) {
+        console.error('Renew need error:', error);
+        res.status(500).json({ error: 'Failed to renew need' });
+    }
+});
+
+// Boost a Need (asker pays BOOST_CREDITS_PER_DAY credits per day to rank first under "urgent")
+app.post('/api/needs/:id/boost', authenticateToken, [
+    body('days').isIn(BOOST_DAYS)
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user status title urgentUntil');
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.user.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the asker can boost this need' });
+        }
+        
+        const days = parseInt(req.body.days);
+        const credits = days * BOOST_CREDITS_PER_DAY;
+        
+        // Replay of a request we've already processed
+        const idempotencyKey = req.get('Idempotency-Key');
+        const previous = await ledger.findByIdempotencyKey(req.user.userId, idempotencyKey);
+        if (previous) {
+            if (previous.type !== 'boost' || !need._id.equals(previous.need) || ledger.creditsSpent(previous) !== credits) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            if (previous.status !== 'completed') {
+                return res.status(409).json({ error: 'This boost is still being processed' });
+            }
+            return res.json({ success: true, message: 'Need boosted', urgentUntil: need.urgentUntil });
+        }
+        
+        if (need.status !== 'active') {
+            return res.status(400).json({ error: 'Only active needs can be boosted' });
+        }
+        
+        // Boosting an already boosted need extends it
+        const from = Math.max(Date.now(), need.urgentUntil ? need.urgentUntil.getTime() : 0);
+        const urgentUntil = new Date(from + days * 24 * 60 * 60 * 1000);
+        
+        let charge = null;
+        try {
+            await ledger.withTransaction(async (session) => {
+                charge = await ledger.debit({
+                    userId: req.user.userId,
+                    credits,
+                    type: 'boost',
+                    amount: credits * creditBundles.CREDIT_PRICE,
+                    need: need._id,
+                    idempotencyKey,
+                    metadata: { days, urgentUntil }
+                }, session);
+                
+                const result = await Need.updateOne(
+                    { _id: need._id, status: 'active' },
+                    { $set: { isUrgent: true, urgentUntil } },
+                    { session }
+                );
+                if (result.modifiedCount === 0) {
+                    throw new ledger.LedgerError('Only active needs can be boosted');
+                }
+            });
+        } catch (error) {
+            // Without a Mongo transaction, give the credits back ourselves
+            if (charge && charge.status === 'completed' && !ledger.transactionsEnabled()) {
+                await ledger.refund(charge._id, { reason: 'boost_failed' });
+            }
+            if (error instanceof ledger.LedgerError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        res.json({ success: true, message: 'Need boosted', urgentUntil });
+    } catch (error) {
+        console.error('Boost need error:', error);
+        res.status(500).json({ error: 'Failed to boost need' });
+    }
+});
+
+// Unlock Contact (covered by the fulfiller's plan, otherwise 1 credit)
+app.post('/api/needs/:id/unlock', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        // Check if user is a fulfiller
+        if (user.role !== 'fulfiller') {
+            return res.status(403).json({ error: 'Only fulfillers can unlock needs' });
+        }
+        
+        // Replay of a request we've already processed
+        const idempotencyKey = req.get('Idempotency-Key');
+        const previous = await ledger.findByIdempotencyKey(req.user.userId, idempotencyKey);
+        let coveredByPlan = Boolean(previous && previous.subscription);
+        if (previous) {
+            if (previous.type !== 'unlock' || !need._id.equals(previous.need)) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            if (previous.status !== 'completed') {
+                return res.status(409).json({ error: 'This unlock is still being processed' });
+            }
+        } else {
+            if (need.status !== 'active' || need.expiresAt <= new Date()) {
+                return res.status(400).json({ error: 'This need is no longer available' });
+            }
+            
+            // Check if already unlocked
+            if (need.unlockedBy.includes(req.user.userId)) {
+                return res.status(400).json({ error: 'Already unlocked this need' });
+            }
+            
+            // Check if user has enough credits (bonus credits count too)
+            const planCovers = await subscriptions.covers(user._id, need);
+            if (!planCovers && (user.credits || 0) + (user.bonusCredits || 0) < 1) {
+                return res.status(400).json({ error: 'Insufficient credits. Please add credits first.' });
+            }
+            
+            // Unlock and use the plan or deduct the credit with conditional writes
+            // so concurrent requests can't unlock twice or spend the same credit
+            let unlocked = false;
+            try {
+                await ledger.withTransaction(async (session) => {
+                    const result = await Need.updateOne(
+                        { _id: need._id, unlockedBy: { $ne: user._id } },
+                        { $addToSet: { unlockedBy: user._id } },
+                        { session }
+                    );
+                    if (result.modifiedCount === 0) {
+                        throw new ledger.LedgerError('Already unlocked this need');
+                    }
+                    unlocked = true;
+                    
+                    const planUnlock = await subscriptions.useUnlock({ userId: user._id, need, idempotencyKey }, session);
+                    coveredByPlan = Boolean(planUnlock);
+                    if (planUnlock) return;
+                    
+                    await ledger.debit({
+                        userId: user._id,
+                        credits: 1,
+                        type: 'unlock',
+                        amount: creditBundles.CREDIT_PRICE,
+                        need: need._id,
+                        idempotencyKey
+                    }, session);
+                });
+            } catch (error) {
+                // Without a Mongo transaction, undo the unlock ourselves
+                if (unlocked && !ledger.transactionsEnabled()) {
+                    await Need.updateOne({ _id: need._id }, { $pull: { unlockedBy: user._id } });
+                }
+                if (error instanceof ledger.LedgerError) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                throw error;
+            }
+        }
+        
+        if (!previous) {
+            activity.recordLater({
+                type: 'need_unlocked',
+                actor: user._id,
+                participants: [user._id, need.user],
+                need: need._id,
+                data: { coveredByPlan }
+            });
+            notifications.notifyLater(need.user, {
+                type: 'need_unlocked',
+                title: 'A fulfiller unlocked your need',
+                body: `Someone is interested in "${need.title}". Expect to hear from them soon.`,
+                url: '/pages/dashboard.html',
+                data: { need: need._id }
+            });
+        }
+        
+        // Get asker contact info (without sensitive data)
+        const asker = await User.findById(need.user).select('fullName phone email location rating');
+        
+        res.json({
+            success: true,
+            message: 'Need unlocked successfully',
+            coveredByPlan,
+            need: {
+                title: need.title,
+                description: need.description
+            },
+            contactInfo: {
+                fullName: asker.fullName,
+                phone: asker.phone,
+                email: asker.email,
+                location: asker.location,
+                rating: asker.rating
+            }
+        });
+    } catch (error) {
+        console.error('Unlock need error:', error);
+        res.status(500).json({ error: 'Failed to unlock need' });
+    }
+});
+
+// Make an Offer (Fulfiller must have unlocked the need)
+app.post('/api/needs/:id/offers', authenticateToken, [
+    body('amount').isFloat({ min: 0 }),
+    body('message').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (req.user.role !== 'fulfiller') {
+            return res.status(403).json({ error: 'Only fulfillers can make offers' });
+        }
+        
+        if (!need.unlockedBy.includes(req.user.userId)) {
+            return res.status(403).json({ error: 'Unlock this need before making an offer' });
+        }
+        
+        if (need.status !== 'active') {
+            return res.status(400).json({ error: 'This need is no longer accepting offers' });
+        }
+        
+        // One open offer per fulfiller; withdraw it to make a new one
+        const existingOffer = need.offers.find(offer =>
+            offer.fulfiller.equals(req.user.userId) && offer.status === 'pending'
+        );
+        if (existingOffer) {
+            return res.status(400).json({ error: 'You already have a pending offer on this need' });
+        }
+        
+        need.offers.push({
+            fulfiller: req.user.userId,
+            amount: parseFloat(req.body.amount),
+            message: req.body.message,
+            status: 'pending',
+            createdAt: new Date()
+        });
+        
+        await need.save();
+        
+        const offer = need.offers[need.offers.length - 1];
+        
+        activity.recordLater({
+            type: 'offer_made',
+            actor: req.user.userId,
+            participants: [req.user.userId, need.user],
+            need: need._id,
+            data: { offer: offer._id, amount: offer.amount }
+        });
+        
+        notifications.notifyLater(need.user, {
+            type: 'new_offer',
+            title: 'New offer on your need',
+            body: `KSh ${offer.amount.toLocaleString()} offered for "${need.title}"`,
+            url: '/pages/dashboard.html',
+            data: { need: need._id, offer: offer._id }
+        });
+        
+        res.status(201).json({ success: true, offer });
+    } catch (error) {
+        console.error('Make offer error:', error);
+        res.status(500).json({ error: 'Failed to make offer' });
+    }
+});
+
+// Get Offers on a Need (asker sees all, fulfiller sees own)
+app.get('/api/needs/:id/offers', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id)
+            .populate('offers.fulfiller', 'fullName location rating completedJobs');
+        
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        let offers;
+        if (need.user.equals(req.user.userId)) {
+            offers = need.offers;
+        } else {
+            offers = need.offers.filter(offer => offer.fulfiller && offer.fulfiller._id.equals(req.user.userId));
+        }
+        
+        res.json({
+            success: true,
+            offers: offers.map(offer => ({ ...offer.toJSON(), message: offerMessage(offer, req.user) }))
+        });
+    } catch (error) {
+        console.error('Get offers error:', error);
+        res.status(500).json({ error: 'Failed to fetch offers' });
+    }
+});
+
+// Get My Offers (received for askers, sent for fulfillers)
+app.get('/api/offers', authenticateToken, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const isAsker = req.user.role === 'asker';
+        
+        const query = isAsker
+            ? { user: req.user.userId }
+            : { 'offers.fulfiller': req.user.userId };
+        
+        const needs = await Need.find(query)
+            .select('title budget status offers')
+            .populate('offers.fulfiller', 'fullName location rating');
+        
+        const offers = [];
+        needs.forEach(need => {
+            need.offers.forEach(offer => {
+                if (!offer.fulfiller) return;
+                if (!isAsker && !offer.fulfiller._id.equals(req.user.userId)) return;
+                if (status && offer.status !== status) return;
+                
+                offers.push({
+                    id: offer._id,
+                    need: {
+                        id: need._id,
+                        title: need.title,
+                        budget: need.budget,
+                        status: need.status
+                    },
+                    fulfiller: offer.fulfiller,
+                    amount: offer.amount,
+                    message: offerMessage(offer, req.user),
+                    status: offer.status,
+                    createdAt: offer.createdAt,
+                    respondedAt: offer.respondedAt
+                });
+            });
+        });
+        
+        offers.sort((a, b) => b.createdAt - a.createdAt);
+        
+        res.json({ success: true, offers });
+    } catch (error) {
+        console.error('Get my offers error:', error);
+        res.status(500).json({ error: 'Failed to fetch offers' });
+    }
+});
+
+// Withdraw an Offer (Fulfiller)
+app.delete('/api/needs/:id/offers/:offerId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (!mongoose.isValidObjectId(req.params.offerId)) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const offer = need.offers.id(req.params.offerId);
+        if (!offer || !offer.fulfiller.equals(req.user.userId)) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        
+        if (offer.status !== 'pending') {
+            return res.status(400).json({ error: `Cannot withdraw an offer that is ${offer.status}` });
+        }
+        
+        offer.status = 'withdrawn';
+        offer.respondedAt = new Date();
+        await need.save();
+        
+        res.json({ success: true, message: 'Offer withdrawn', offer });
+    } catch (error) {
+        console.error('Withdraw offer error:', error);
+        res.status(500).json({ error: 'Failed to withdraw offer' });
+    }
+});
+
+// Accept an Offer (Asker)
+app.post('/api/needs/:id/offers/:offerId/accept', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (!mongoose.isValidObjectId(req.params.offerId)) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need || !need.user.equals(req.user.userId)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.status !== 'active') {
+            return res.status(400).json({ error: 'An offer has already been accepted for this need' });
+        }
+        
+        const offer = need.offers.id(req.params.offerId);
+        if (!offer) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        
+        if (offer.status !== 'pending') {
+            return res.status(400).json({ error: `Cannot accept an offer that is ${offer.status}` });
+        }
+        
+        // Accept this offer and reject every other open one in a single
+        // conditional write, so two accepts at once can't both succeed
+        const now = new Date();
+        const accepted = await Need.findOneAndUpdate(
+            {
+                _id: need._id,
+                user: req.user.userId,
+                status: 'active',
+                offers: { $elemMatch: { _id: offer._id, status: 'pending' } }
+            },
+            {
+                $set: {
+                    status: 'in_progress',
+                    selectedFulfiller: offer.fulfiller,
+                    'offers.$[chosen].status': 'accepted',
+                    'offers.$[chosen].respondedAt': now,
+                    'offers.$[other].status': 'rejected',
+                    'offers.$[other].respondedAt': now,
+                    updatedAt: now
+                }
+            },
+            {
+                new: true,
+                arrayFilters: [
+                    { 'chosen._id': offer._id },
+                    { 'other.status': 'pending', 'other._id': { $ne: offer._id } }
+                ]
+            }
+        );
+        
+        if (!accepted) {
+            return res.status(409).json({ error: 'This need or offer changed while you were accepting it; please reload' });
+        }
+        
+        offer.status = 'accepted';
+        offer.respondedAt = now;
+        
+        activity.recordLater({
+            type: 'offer_accepted',
+            actor: req.user.userId,
+            participants: [req.user.userId, offer.fulfiller],
+            need: need._id,
+            data: { offer: offer._id, amount: offer.amount }
+        });
+        
+        notifications.notifyLater(offer.fulfiller, {
+            type: 'offer_accepted',
+            title: 'Your offer was accepted',
+            body: `The asker accepted your KSh ${offer.amount.toLocaleString()} offer for "${need.title}"`,
+            url: '/pages/dashboard.html',
+            data: { need: need._id, offer: offer._id }
+        });
+        
+        res.json({ success: true, message: 'Offer accepted', offer, need: { id: accepted._id, status: accepted.status } });
+    } catch (error) {
+        console.error('Accept offer error:', error);
+        res.status(500).json({ error: 'Failed to accept offer' });
+    }
+});
+
+// Reject an Offer (Asker)
+app.post('/api/needs/:id/offers/:offerId/reject', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (!mongoose.isValidObjectId(req.params.offerId)) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need || !need.user.equals(req.user.userId)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const offer = need.offers.id(req.params.offerId);
+        if (!offer) {
+            return res.status(404).json({ error: 'Offer not found' });
+        }
+        
+        if (offer.status !== 'pending') {
+            return res.status(400).json({ error: `Cannot reject an offer that is ${offer.status}` });
+        }
+        
+        offer.status = 'rejected';
+        offer.respondedAt = new Date();
+        await need.save();
+        
+        activity.recordLater({
+            type: 'offer_rejected',
+            actor: req.user.userId,
+            participants: [req.user.userId, offer.fulfiller],
+            need: need._id,
+            data: { offer: offer._id, amount: offer.amount }
+        });
+        
+        res.json({ success: true, message: 'Offer rejected', offer: { ...offer.toJSON(), message: offerMessage(offer, req.user) } });
+    } catch (error) {
+        console.error('Reject offer error:', error);
+        res.status(500).json({ error: 'Failed to reject offer' });
+    }
+});
+
+// Mark a Need Fulfilled (Asker confirms the selected fulfiller did the job)
+app.post('/api/needs/:id/complete', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need || !need.user.equals(req.user.userId)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.status !== 'in_progress' || !need.selectedFulfiller) {
+            return res.status(400).json({ error: 'Accept an offer before marking this need fulfilled' });
+        }
+        
+        // Money held in escrow is paid out as part of the confirmation
+        const openEscrow = await escrow.findOpen(need._id);
+        if (openEscrow && openEscrow.status === 'disputed') {
+            return res.status(400).json({ error: 'The escrow for this job is disputed; an admin will settle it' });
+        }
+        if (openEscrow && openEscrow.status === 'awaiting_payment' && await escrow.depositInProgress(openEscrow._id)) {
+            return res.status(409).json({ error: 'Wait for the escrow payment to finish before confirming' });
+        }
+        
+        let transaction;
+        let released = null;
+        await ledger.withTransaction(async (session) => {
+            // Only an in_progress need moves, so a double submit is a no-op
+            transaction = await escrow.fulfilNeed(need._id, session);
+            if (!transaction || !openEscrow) return;
+            
+            if (openEscrow.status === 'held') {
+                released = await escrow.release(openEscrow._id, {}, session);
+            } else {
+                await Escrow.updateOne(
+                    { _id: openEscrow._id, status: 'awaiting_payment' },
+                    { $set: { status: 'cancelled' } },
+                    { session }
+                );
+            }
+        });
+        
+        if (!transaction) {
+            return res.status(400).json({ error: 'This need has already been marked fulfilled' });
+        }
+        
+        if (released) escrow.notifyReleased(released, need.title);
+        
+        activity.recordLater({
+            type: 'need_fulfilled',
+            actor: req.user.userId,
+            participants: [need.user, need.selectedFulfiller],
+            need: need._id,
+            data: { amount: transaction.amount }
+        });
+        
+        res.json({
+            success: true,
+            message: 'Need marked as fulfilled',
+            need: { id: need._id, status: 'fulfilled' },
+            transaction: {
+                id: transaction._id,
+                amount: transaction.amount,
+                fulfiller: transaction.user
+            },
+            escrow: released ? escrowView(released) : null
+        });
+    } catch (error) {
+        console.error('Complete need error:', error);
+        res.status(500).json({ error: 'Failed to mark need as fulfilled' });
+    }
+});
+
+// Review the Other Side of a Fulfilled Need
+app.post('/api/needs/:id/reviews', authenticateToken, [
+    body('rating').isInt({ min: 1, max: 5 }),
+    body('comment').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        if (need.status !== 'fulfilled' || !need.selectedFulfiller) {
+            return res.status(400).json({ error: 'Reviews open once the need has been fulfilled' });
+        }
+        
+        // The asker reviews the fulfiller and vice versa
+        let reviewerRole;
+        let reviewee;
+        if (need.user.equals(req.user.userId)) {
+            reviewerRole = 'asker';
+            reviewee = need.selectedFulfiller;
+        } else if (need.selectedFulfiller.equals(req.user.userId)) {
+            reviewerRole = 'fulfiller';
+            reviewee = need.user;
+        } else {
+            return res.status(403).json({ error: 'Only the asker and the selected fulfiller can review this need' });
+        }
+        
+        const rating = parseInt(req.body.rating);
+        
+        const review = new Review({
+            need: need._id,
+            reviewer: req.user.userId,
+            reviewee,
+            reviewerRole,
+            rating,
+            comment: req.body.comment,
+            createdAt: new Date()
+        });
+        
+        try {
+            await review.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(400).json({ error: 'You have already reviewed this need' });
+            }
+            throw error;
+        }
+        
+        // Fold the score into the running average in a single atomic update
+        await User.updateOne({ _id: reviewee }, [{
+            $set: {
+                rating: {
+                    $round: [{
+                        $divide: [
+                            { $add: [{ $multiply: ['$rating', '$totalRatings'] }, rating] },
+                            { $add: ['$totalRatings', 1] }
+                        ]
+                    }, 2]
+                },
+                totalRatings: { $add: ['$totalRatings', 1] }
+            }
+        }]);
+        
+        activity.recordLater({
+            type: 'review_posted',
+            actor: req.user.userId,
+            participants: [req.user.userId, reviewee],
+            need: need._id,
+            data: { rating }
+        });
+        
+        res.status(201).json({ success: true, review });
+    } catch (error) {
+        console.error('Post review error:', error);
+        res.status(500).json({ error: 'Failed to post review' });
+    }
+});
+
+// Get Reviews for a User (public)
+app.get('/api/users/:id/reviews', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const { page, limit, skip } = pageParams(req.query, 10);
+        
+        const user = await User.findById(req.params.id).select('fullName rating totalRatings');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const reviews = await Review.find({ reviewee: user._id })
+            .populate('reviewer', 'fullName')
+            .populate('need', 'title category')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Review.countDocuments({ reviewee: user._id });
+        
+        res.json({
+            success: true,
+            user: {
+                id: user._id,
+                fullName: user.fullName,
+                rating: user.rating,
+                totalRatings: user.totalRatings
+            },
+            reviews,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Get reviews error:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+});
+
+// Reply to a Review (reviewed user, once)
+app.post('/api/reviews/:id/reply', authenticateToken, [
+    body('text').notEmpty().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const review = await Review.findById(req.params.id);
+        if (!review || !review.reviewee.equals(req.user.userId)) {
+            return res.status(404).json({ error: 'Review not found' });
+        }
+        
+        if (review.reply && review.reply.text) {
+            return res.status(400).json({ error: 'You have already replied to this review' });
+        }
+        
+        review.reply = { text: req.body.text, createdAt: new Date() };
+        await review.save();
+        
+        res.json({ success: true, review });
+    } catch (error) {
+        console.error('Reply to review error:', error);
+        res.status(500).json({ error: 'Failed to reply to review' });
+    }
+});
+
+// Open a Conversation about a Need (only after the fulfiller has unlocked it)
+app.post('/api/needs/:id/conversations', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id);
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        // Askers pick which unlocking fulfiller to talk to
+        const fulfillerId = need.user.equals(req.user.userId) ? req.body.fulfillerId : req.user.userId;
+        if (!fulfillerId || !need.unlockedBy.some(id => id.equals(fulfillerId))) {
+            return res.status(403).json({ error: 'Messaging opens once the fulfiller has unlocked this need' });
+        }
+        
+        const filter = { need: need._id, fulfiller: fulfillerId };
+        let conversation;
+        try {
+            conversation = await Conversation.findOneAndUpdate(
+                filter,
+                { $setOnInsert: { asker: need.user, createdAt: new Date() } },
+                { upsert: true, new: true }
+            );
+        } catch (error) {
+            // Both sides opened the thread at the same moment
+            if (error.code !== 11000) throw error;
+            conversation = await Conversation.findOne(filter);
+        }
+        
+        res.json({ success: true, conversation });
+    } catch (error) {
+        console.error('Open conversation error:', error);
+        res.status(500).json({ error: 'Failed to open conversation' });
+    }
+});
+
+// Get My Conversations
+app.get('/api/conversations', authenticateToken, async (req, res) => {
+    try {
+        const conversations = await Conversation.find({
+            $or: [{ asker: req.user.userId }, { fulfiller: req.user.userId }]
+        })
+            .populate('need', 'title status')
+            .populate('asker', 'fullName')
+            .populate('fulfiller', 'fullName')
+            .sort({ lastMessageAt: -1, createdAt: -1 });
+        
+        res.json({
+            success: true,
+            conversations: conversations.map(conversation => {
+                const side = conversation.asker._id.equals(req.user.userId) ? 'asker' : 'fulfiller';
+                return {
+                    id: conversation._id,
+                    need: conversation.need,
+                    with: side === 'asker' ? conversation.fulfiller : conversation.asker,
+                    lastMessage: conversation.lastMessage,
+                    lastMessageAt: conversation.lastMessageAt,
+                    unread: conversation[`${side}Unread`]
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Get conversations error:', error);
+        res.status(500).json({ error: 'Failed to fetch conversations' });
+    }
+});
+
+// Live Message Stream (Server-Sent Events)
+app.get('/api/conversations/stream', authenticateStream, (req, res) => {
+    realtime.subscribe(req.user.userId, req, res);
+});
+
+// Get Messages (paginated; `after` doubles as the polling fallback)
+app.get('/api/conversations/:id/messages', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const { before, after } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+        
+        if ([before, after].some(cursor => cursor && !mongoose.isValidObjectId(cursor))) {
+            return res.status(400).json({ error: 'before and after must be message ids' });
+        }
+        
+        const conversation = await Conversation.findById(req.params.id);
+        if (!conversation || !conversation.sideOf(req.user.userId)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const query = { conversation: conversation._id };
+        let messages;
+        
+        if (after) {
+            // Everything newer than the last message the client has, oldest first
+            query._id = { $gt: after };
+            messages = await Message.find(query).sort({ _id: 1 }).limit(limit + 1);
+        } else {
+            // Page backwards through history, returned oldest first
+            if (before) query._id = { $lt: before };
+            messages = await Message.find(query).sort({ _id: -1 }).limit(limit + 1);
+        }
+        
+        const hasMore = messages.length > limit;
+        messages = messages.slice(0, limit);
+        if (!after) messages.reverse();
+        
+        res.json({ success: true, messages, hasMore });
+    } catch (error) {
+        console.error('Get messages error:', error);
+        res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+});
+
+// Send a Message
+// The body is stored as typed (so previews never cut an HTML entity in half);
+// clients escape it when rendering
+app.post('/api/conversations/:id/messages', authenticateToken, [
+    body('body').notEmpty().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const conversation = await Conversation.findById(req.params.id);
+        const side = conversation && conversation.sideOf(req.user.userId);
+        if (!side) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const message = new Message({
+            conversation: conversation._id,
+            sender: req.user.userId,
+            body: req.body.body,
+            createdAt: new Date()
+        });
+        
+        await message.save();
+        
+        const recipientSide = side === 'asker' ? 'fulfiller' : 'asker';
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            {
+                $inc: { [`${recipientSide}Unread`]: 1 },
+                $set: { lastMessage: message.body.slice(0, 100), lastMessageAt: message.createdAt }
+            }
+        );
+        
+        const delivered = realtime.publish(conversation[recipientSide], 'message', {
+            conversationId: conversation._id,
+            message
+        });
+        
+        // Push only when the recipient isn't watching the stream; the
+        // conversation's unread count is the in-app record
+        if (!delivered) {
+            notifications.notifyLater(conversation[recipientSide], {
+                type: 'new_message',
+                title: 'New message',
+                body: message.body.slice(0, 100),
+                url: '/pages/dashboard.html',
+                data: { conversation: conversation._id }
+            }, { store: false });
+        }
+        
+        res.status(201).json({ success: true, message });
+    } catch (error) {
+        console.error('Send message error:', error);
+        res.status(500).json({ error: 'Failed to send message' });
+    }
+});
+
+// Mark Conversation Read
+app.post('/api/conversations/:id/read', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const conversation = await Conversation.findById(req.params.id);
+        const side = conversation && conversation.sideOf(req.user.userId);
+        if (!side) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+        
+        const readAt = new Date();
+        
+        await Message.updateMany(
+            { conversation: conversation._id, sender: { $ne: req.user.userId }, readAt: null },
+            { $set: { readAt } }
+        );
+        
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $set: { [`${side}Unread`]: 0 } }
+        );
+        
+        // Read receipt for the other side
+        const otherSide = side === 'asker' ? 'fulfiller' : 'asker';
+        realtime.publish(conversation[otherSide], 'read', {
+            conversationId: conversation._id,
+            readAt
+        });
+        
+        res.json({ success: true, readAt });
+    } catch (error) {
+        console.error('Mark read error:', error);
+        res.status(500).json({ error: 'Failed to mark conversation read' });
+    }
+});
+
+// Get My Saved Searches
+app.get('/api/saved-searches', authenticateToken, async (req, res) => {
+    try {
+        const savedSearches = await SavedSearch.find({ user: req.user.userId })
+            .select('-pendingMatches')
+            .sort({ createdAt: -1 });
+        
+        res.json({ success: true, savedSearches });
+    } catch (error) {
+        console.error('Get saved searches error:', error);
+        res.status(500).json({ error: 'Failed to fetch saved searches' });
+    }
+});
+
+// Save a Search (filters take the same parameters as GET /api/needs)
+// The name is stored as typed; clients and the unsubscribe page escape it
+app.post('/api/saved-searches', authenticateToken, [
+    body('name').notEmpty().trim().isLength({ max: 100 }),
+    body('filters').isObject(),
+    body('frequency').optional().isIn(['instant', 'daily', 'off'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        if (req.user.role !== 'fulfiller') {
+            return res.status(403).json({ error: 'Only fulfillers can save searches' });
+        }
+        
+        const filters = needSearch.parseFilters(req.body.filters);
+        if (Object.keys(filters).length === 0) {
+            return res.status(400).json({ error: 'Add at least one filter to save this search' });
+        }
+        
+        const count = await SavedSearch.countDocuments({ user: req.user.userId });
+        if (count >= MAX_SAVED_SEARCHES) {
+            return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+        }
+        
+        const savedSearch = new SavedSearch({
+            user: req.user.userId,
+            name: req.body.name,
+            filters,
+            frequency: req.body.frequency || 'instant',
+            createdAt: new Date()
+        });
+        
+        await savedSearch.save();
+        
+        res.status(201).json({ success: true, savedSearch });
+    } catch (error) {
+        console.error('Save search error:', error);
+        res.status(500).json({ error: 'Failed to save search' });
+    }
+});
+
+// Update a Saved Search (name, filters or alert frequency)
+app.patch('/api/saved-searches/:id', authenticateToken, [
+    body('name').optional().notEmpty().trim().isLength({ max: 100 }),
+    body('filters').optional().isObject(),
+    body('frequency').optional().isIn(['instant', 'daily', 'off'])
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+        if (!savedSearch) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        
+        if (req.body.filters) {
+            const filters = needSearch.parseFilters(req.body.filters);
+            if (Object.keys(filters).length === 0) {
+                return res.status(400).json({ error: 'Add at least one filter to save this search' });
+            }
+            savedSearch.filters = filters;
+            savedSearch.pendingMatches = [];
+        }
+        if (req.body.name) savedSearch.name = req.body.name;
+        if (req.body.frequency) {
+            savedSearch.frequency = req.body.frequency;
+            if (req.body.frequency !== 'daily') savedSearch.pendingMatches = [];
+        }
+        
+        await savedSearch.save();
+        
+        res.json({ success: true, savedSearch });
+    } catch (error) {
+        console.error('Update saved search error:', error);
+        res.status(500).json({ error: 'Failed to update saved search' });
+    }
+});
+
+// Delete a Saved Search
+app.delete('/api/saved-searches/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        
+        const result = await SavedSearch.deleteOne({ _id: req.params.id, user: req.user.userId });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        
+        res.json({ success: true, message: 'Saved search deleted' });
+    } catch (error) {
+        console.error('Delete saved search error:', error);
+        res.status(500).json({ error: 'Failed to delete saved search' });
+    }
+});
+
+// Unsubscribe from Saved Search Alerts (link in alert notifications, no login needed)
+// The link opens a confirmation page; only its POST turns the alerts off, so
+// link previewers and prefetchers can't unsubscribe anyone
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+})[ch]);
+
+const unsubscribePage = (res, status, message, form = '') => res.status(status).type('html').send(
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">` +
+    `<title>FulfillME alerts</title></head><body style="font-family: sans-serif; max-width: 32rem; margin: 3rem auto; padding: 0 1rem;">` +
+    `<h1>FulfillME alerts</h1><p>${message}</p>${form}</body></html>`
+);
+
+app.get('/api/saved-searches/unsubscribe/:token', async (req, res) => {
+    try {
+        const savedSearch = await SavedSearch.findOne({ unsubscribeToken: String(req.params.token) }).select('name frequency');
+        if (!savedSearch) {
+            return unsubscribePage(res, 404, 'This unsubscribe link is no longer valid.');
+        }
+        
+        if (savedSearch.frequency === 'off') {
+            return unsubscribePage(res, 200, `Alerts for "${escapeHtml(savedSearch.name)}" are already off.`);
+        }
+        
+        unsubscribePage(res, 200, `Stop alerts for your saved search "${escapeHtml(savedSearch.name)}"?`,
+            `<form method="post"><button type="submit">Turn off alerts</button></form>`);
+    } catch (error) {
+        console.error('Unsubscribe page error:', error);
+        unsubscribePage(res, 500, 'Something went wrong. Please try again later.');
+    }
+});
+
+app.post('/api/saved-searches/unsubscribe/:token', async (req, res) => {
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+    
+    try {
+        const savedSearch = await SavedSearch.findOneAndUpdate(
+            { unsubscribeToken: String(req.params.token) },
+            { $set: { frequency: 'off', pendingMatches: [], updatedAt: new Date() } }
+        );
+        
+        if (!savedSearch) {
+            if (wantsHtml) {
+                return unsubscribePage(res, 404, 'This unsubscribe link is no longer valid.');
+            }
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        
+        const message = `Alerts for "${savedSearch.name}" are now off`;
+        if (wantsHtml) {
+            return unsubscribePage(res, 200, `${escapeHtml(message)}. You can turn them back on from your dashboard.`);
+        }
+        res.json({ success: true, message });
+    } catch (error) {
+        console.error('Unsubscribe saved search error:', error);
+        if (wantsHtml) {
+            return unsubscribePage(res, 500, 'Something went wrong. Please try again later.');
+        }
+        res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+});
+
+// Get My Notifications
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const { before, unread } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        
+        if (before && !mongoose.isValidObjectId(before)) {
+            return res.status(400).json({ error: 'before must be a notification id' });
+        }
+        
+        const query = { user: req.user.userId };
+        if (before) query._id = { $lt: before };
+        if (unread === 'true') query.readAt = null;
+        
+        const notifications = await Notification.find(query)
+            .sort({ _id: -1 })
+            .limit(limit + 1);
+        
+        const unreadCount = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+        
+        res.json({
+            success: true,
+            notifications: notifications.slice(0, limit),
+            hasMore: notifications.length > limit,
+            unreadCount
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Mark Notifications Read (given ids, or all)
+app.post('/api/notifications/read', authenticateToken, async (req, res) => {
+    try {
+        const ids = req.body.ids;
+        if (Array.isArray(ids) && !ids.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+        
+        const query = { user: req.user.userId, readAt: null };
+        if (Array.isArray(ids)) query._id = { $in: ids };
+        
+        await Notification.updateMany(query, { $set: { readAt: new Date() } });
+        
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Mark notifications read error:', error);
+        res.status(500).json({ error: 'Failed to mark notifications read' });
+    }
+});
+
+// Get VAPID Public Key (for PushManager.subscribe)
+app.get('/api/push/vapid-public-key', (req, res) => {
+    const publicKey = push.publicKey();
+    if (!publicKey) {
+        return res.status(503).json({ error: 'Push notifications are not configured' });
+    }
+    
+    res.json({ success: true, publicKey });
+});
+
+// Subscribe this Device to Push Notifications
+app.post('/api/push/subscribe', authenticateToken, [
+    body('endpoint').isURL({ protocols: ['https'], require_tld: false }),
+    body('keys.p256dh').notEmpty(),
+    body('keys.auth').notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const { endpoint, keys } = req.body;
+        
+        await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            {
+                $set: {
+                    user: req.user.userId,
+                    keys: { p256dh: keys.p256dh, auth: keys.auth },
+                    userAgent: req.get('User-Agent')
+                },
+                $setOnInsert: { createdAt: new Date() }
+            },
+            { upsert: true }
+        );
+        
+        res.status(201).json({ success: true, message: 'Push notifications enabled' });
+    } catch (error) {
+        console.error('Push subscribe error:', error);
+        res.status(500).json({ error: 'Failed to enable push notifications' });
+    }
+});
+
+// Unsubscribe a Device from Push Notifications
+app.post('/api/push/unsubscribe', authenticateToken, [
+    body('endpoint').notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.user.userId });
+        
+        res.json({ success: true, message: 'Push notifications disabled' });
+    } catch (error) {
+        console.error('Push unsubscribe error:', error);
+        res.status(500).json({ error: 'Failed to disable push notifications' });
+    }
+});
+
+// Disputes
+
+const disputeView = (dispute) => ({
+    id: dispute._id,
+    need: dispute.need,
+    fulfiller: dispute.fulfiller,
+    asker: dispute.asker,
+    transaction: dispute.transaction,
+    reason: dispute.reason,
+    details: dispute.details,
+    status: dispute.status,
+    askerResponse: dispute.askerResponse && dispute.askerResponse.text ? dispute.askerResponse : null,
+    resolution: dispute.resolution && dispute.resolution.decidedAt ? dispute.resolution : null,
+    refundTransaction: dispute.refundTransaction,
+    createdAt: dispute.createdAt
+});
+
+// Open a Dispute (fulfiller, about their unlock of this need)
+app.post('/api/needs/:id/disputes', authenticateToken, [
+    body('reason').isIn(['fake_contact', 'already_filled', 'unresponsive', 'other']),
+    body('details').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user title');
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const unlock = await Transaction.findOne({
+            user: req.user.userId,
+            need: need._id,
+            type: 'unlock',
+            status: 'completed'
+        }).sort({ createdAt: -1 });
+        
+        if (!unlock) {
+            return res.status(400).json({ error: 'You have no refundable unlock for this need' });
+        }
+        
+        if (unlock.createdAt < new Date(Date.now() - DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000)) {
+            return res.status(400).json({ error: `Disputes must be opened within ${DISPUTE_WINDOW_DAYS} days of unlocking` });
+        }
+        
+        let dispute;
+        try {
+            dispute = await Dispute.create({
+                need: need._id,
+                fulfiller: req.user.userId,
+                asker: need.user,
+                transaction: unlock._id,
+                reason: req.body.reason,
+                details: req.body.details
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(400).json({ error: 'You already opened a dispute for this unlock' });
+            }
+            throw error;
+        }
+        
+        notifications.notifyLater(need.user, {
+            type: 'dispute_opened',
+            title: 'A fulfiller disputed an unlock',
+            body: `A fulfiller reported a problem with "${need.title}". You can respond before an admin decides.`,
+            url: '/pages/dashboard.html',
+            data: { dispute: dispute._id, need: need._id }
+        });
+        
+        res.status(201).json({ success: true, dispute: disputeView(dispute) });
+    } catch (error) {
+        console.error('Open dispute error:', error);
+        res.status(500).json({ error: 'Failed to open dispute' });
+    }
+});
+
+// List Disputes (own as fulfiller or asker; admins see all)
+app.get('/api/disputes', authenticateToken, async (req, res) => {
+    try {
+        const { page, limit, skip } = pageParams(req.query);
+        
+        const query = req.user.role === 'admin'
+            ? {}
+            : { $or: [{ fulfiller: req.user.userId }, { asker: req.user.userId }] };
+        if (req.query.status) query.status = String(req.query.status);
+        
+        // Admins work the queue oldest first
+        const disputes = await Dispute.find(query)
+            .populate('need', 'title status')
+            .populate('fulfiller', 'fullName')
+            .populate('asker', 'fullName')
+            .sort({ createdAt: req.user.role === 'admin' ? 1 : -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Dispute.countDocuments(query);
+        
+        res.json({
+            success: true,
+            disputes: disputes.map(disputeView),
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Get disputes error:', error);
+        res.status(500).json({ error: 'Failed to fetch disputes' });
+    }
+});
+
+// Respond to a Dispute (asker, before it's decided)
+app.post('/api/disputes/:id/respond', authenticateToken, [
+    body('text').notEmpty().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const dispute = await Dispute.findOneAndUpdate(
+            { _id: req.params.id, asker: req.user.userId, status: 'open' },
+            {
+                $set: {
+                    status: 'responded',
+                    askerResponse: { text: req.body.text, createdAt: new Date() }
+                }
+            },
+            { new: true }
+        );
+        
+        if (!dispute) {
+            return res.status(400).json({ error: 'This dispute is not waiting for your response' });
+        }
+        
+        notifications.notifyLater(dispute.fulfiller, {
+            type: 'dispute_responded',
+            title: 'The asker responded to your dispute',
+            body: 'An admin will review both sides and decide on the refund.',
+            url: '/pages/dashboard.html',
+            data: { dispute: dispute._id }
+        });
+        
+        res.json({ success: true, dispute: disputeView(dispute) });
+    } catch (error) {
+        console.error('Respond to dispute error:', error);
+        res.status(500).json({ error: 'Failed to respond to dispute' });
+    }
+});
+
+// Resolve a Dispute (admin); approval refunds the unlock
+app.post('/api/disputes/:id/resolve', authenticateToken, requireRole('admin'), [
+    body('decision').isIn(['approve', 'reject']),
+    body('note').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Dispute not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const approve = req.body.decision === 'approve';
+        
+        let dispute = null;
+        await ledger.withTransaction(async (session) => {
+            dispute = await Dispute.findOneAndUpdate(
+                { _id: req.params.id, status: { $in: ['open', 'responded'] } },
+                {
+                    $set: {
+                        status: approve ? 'approved' : 'rejected',
+                        resolution: {
+                            decidedBy: req.user.userId,
+                            note: req.body.note,
+                            decidedAt: new Date()
+                        }
+                    }
+                },
+                { new: true, session }
+            );
+            
+            if (!dispute || !approve) return;
+            
+            const refund = await ledger.refund(dispute.transaction, { reason: 'dispute', dispute: dispute._id }, session);
+            if (refund) {
+                dispute.refundTransaction = refund._id;
+                await dispute.save({ session });
+            }
+        });
+        
+        if (!dispute) {
+            return res.status(400).json({ error: 'Dispute not found or already decided' });
+        }
+        
+        await audit.record(req, `dispute.${dispute.status}`, 'dispute', dispute._id, {
+            note: req.body.note,
+            refundTransaction: dispute.refundTransaction
+        });
+        
+        const outcome = approve
+            ? 'Your unlock credit has been refunded.'
+            : 'The unlock fee was not refunded.';
+        notifications.notifyLater(dispute.fulfiller, {
+            type: 'dispute_resolved',
+            title: approve ? 'Dispute approved' : 'Dispute rejected',
+            body: req.body.note ? `${outcome} ${req.body.note}` : outcome,
+            url: '/pages/dashboard.html',
+            data: { dispute: dispute._id }
+        });
+        notifications.notifyLater(dispute.asker, {
+            type: 'dispute_resolved',
+            title: 'A dispute about your need was decided',
+            body: approve ? 'The fulfiller was refunded.' : 'The dispute was rejected.',
+            url: '/pages/dashboard.html',
+            data: { dispute: dispute._id }
+        });
+        
+        res.json({ success: true, dispute: disputeView(dispute) });
+    } catch (error) {
+        console.error('Resolve dispute error:', error);
+        res.status(500).json({ error: 'Failed to resolve dispute' });
+    }
+});
+
+// Admin
+// Every route here is admin-only and writes to the audit log (services/audit.js)
+
+const pageParams = (query, defaultLimit = 20) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+// Search Users
+// Filters: search (name, email or phone), role, status, pendingVerification=true
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { search, role, status, pendingVerification } = req.query;
+        const { page, limit, skip } = pageParams(req.query);
+        
+        const query = {};
+        if (search) {
+            const pattern = { $regex: needSearch.escapeRegex(String(search)), $options: 'i' };
+            query.$or = [{ fullName: pattern }, { email: pattern }, { phone: pattern }];
+        }
+        if (role) query.role = role;
+        if (status) query.status = status;
+        if (pendingVerification === 'true') {
+            query.isVerified = false;
+            query.nationalId = { $nin: [null, ''] };
+        }
+        
+        const users = await User.find(query)
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await User.countDocuments(query);
+        
+        res.json({
+            success: true,
+            users,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin search users error:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
+// Get User (with activity counts)
+app.get('/api/admin/users/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const user = await User.findById(req.params.id).select('-password');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const [needs, unlocks, disputes, activeSessions] = await Promise.all([
+            Need.countDocuments({ user: user._id }),
+            Transaction.countDocuments({ user: user._id, type: 'unlock' }),
+            Dispute.countDocuments({ $or: [{ fulfiller: user._id }, { asker: user._id }] }),
+            sessions.listActive(user._id)
+        ]);
+        
+        res.json({
+            success: true,
+            user,
+            activity: { needs, unlocks, disputes, activeSessions: activeSessions.length }
+        });
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({ error: 'Failed to fetch user' });
+    }
+});
+
+// Suspend, Ban or Reinstate a User
+app.post('/api/admin/users/:id/status', authenticateToken, requireRole('admin'), [
+    body('status').isIn(['active', 'suspended', 'banned']),
+    body('reason').optional().trim().isLength({ max: 1000 }),
+    body('until').optional().isISO8601()
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const { status, reason, until } = req.body;
+        
+        if (req.params.id === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot change your own account status' });
+        }
+        
+        if (status !== 'active' && !reason) {
+            return res.status(400).json({ error: 'A reason is required to suspend or ban an account' });
+        }
+        
+        if (until && (status !== 'suspended' || new Date(until) <= new Date())) {
+            return res.status(400).json({ error: 'until must be a future date and only applies to suspensions' });
+        }
+        
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (user.role === 'admin') {
+            return res.status(403).json({ error: 'Admin accounts cannot be suspended here' });
+        }
+        
+        const previous = user.status;
+        user.status = status;
+        user.statusReason = status === 'active' ? undefined : reason;
+        user.suspendedUntil = status === 'suspended' && until ? new Date(until) : undefined;
+        await user.save();
+        
+        // Sign them out everywhere; access tokens lapse within ACCESS_TOKEN_TTL
+        if (status !== 'active') {
+            await sessions.revokeAll(user._id, 'suspended');
+        }
+        
+        await audit.record(req, `user.${status === 'active' ? 'reinstate' : status === 'suspended' ? 'suspend' : 'ban'}`, 'user', user._id, {
+            from: previous,
+            to: status,
+            reason,
+            until: user.suspendedUntil
+        });
+        
+        res.json({
+            success: true,
+            user: {
+                id: user._id,
+                status: user.status,
+                statusReason: user.statusReason,
+                suspendedUntil: user.suspendedUntil
+            }
+        });
+    } catch (error) {
+        console.error('Admin user status error:', error);
+        res.status(500).json({ error: 'Failed to update account status' });
+    }
+});
+
+// Approve or Reject ID Verification
+app.post('/api/admin/users/:id/verify', authenticateToken, requireRole('admin'), [
+    body('approved').isBoolean(),
+    body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const approved = req.body.approved === true || req.body.approved === 'true';
+        
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (approved && !user.nationalId) {
+            return res.status(400).json({ error: 'This user has not submitted a national ID' });
+        }
+        
+        user.isVerified = approved;
+        user.verifiedAt = approved ? new Date() : undefined;
+        user.verifiedBy = approved ? req.user.userId : undefined;
+        await user.save();
+        
+        await audit.record(req, approved ? 'user.verify' : 'user.unverify', 'user', user._id, {
+            nationalId: user.nationalId,
+            note: req.body.note
+        });
+        
+        notifications.notifyLater(user._id, {
+            type: approved ? 'account_verified' : 'verification_rejected',
+            title: approved ? 'Your account is verified' : 'ID verification was not approved',
+            body: approved
+                ? 'Your profile now shows a verified badge.'
+                : (req.body.note || 'Please check your national ID number and try again.'),
+            url: '/pages/dashboard.html'
+        });
+        
+        res.json({ success: true, user: { id: user._id, isVerified: user.isVerified, verifiedAt: user.verifiedAt } });
+    } catch (error) {
+        console.error('Admin verify user error:', error);
+        res.status(500).json({ error: 'Failed to update verification' });
+    }
+});
+
+// Manual Credit Adjustment (positive grants, negative deducts)
+// `balance` picks purchased (default) or bonus credits, in either direction
+app.post('/api/admin/users/:id/credits', authenticateToken, requireRole('admin'), [
+    body('credits').isInt({ min: -1000, max: 1000 }).not().equals('0'),
+    body('balance').optional().isIn(['purchased', 'bonus']),
+    body('reason').notEmpty().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const user = await User.findById(req.params.id).select('_id');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const credits = parseInt(req.body.credits);
+        const balance = req.body.balance || 'purchased';
+        const entry = {
+            userId: user._id,
+            [balance === 'bonus' ? 'bonusCredits' : 'credits']: Math.abs(credits),
+            type: 'adjustment',
+            amount: 0,
+            idempotencyKey: req.get('Idempotency-Key'),
+            metadata: { reason: req.body.reason, balance, adjustedBy: req.user.userId }
+        };
+        
+        let transaction;
+        try {
+            transaction = await ledger.withTransaction(session => credits > 0
+                ? ledger.credit(entry, session)
+                : ledger.deduct(entry, session));
+        } catch (error) {
+            if (error instanceof ledger.LedgerError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        await audit.record(req, 'credits.adjust', 'user', user._id, {
+            credits,
+            balance,
+            reason: req.body.reason,
+            transaction: transaction._id
+        });
+        
+        const updated = await User.findById(user._id).select('credits bonusCredits');
+        
+        res.json({
+            success: true,
+            transactionId: transaction._id,
+            credits: updated.credits,
+            bonusCredits: updated.bonusCredits || 0
+        });
+    } catch (error) {
+        console.error('Admin credit adjustment error:', error);
+        res.status(500).json({ error: 'Failed to adjust credits' });
+    }
+});
+
+// Ledger Discrepancies (from the reconcile job)
+app.get('/api/admin/ledger/discrepancies', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { page, limit, skip } = pageParams(req.query);
+        const query = { status: req.query.status || 'open' };
+        
+        const discrepancies = await LedgerDiscrepancy.find(query)
+            .populate('user', 'fullName email credits')
+            .sort({ detectedAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await LedgerDiscrepancy.countDocuments(query);
+        
+        res.json({
+            success: true,
+            discrepancies,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin discrepancies error:', error);
+        res.status(500).json({ error: 'Failed to fetch discrepancies' });
+    }
+});
+
+// Resolve a Ledger Discrepancy (any correction is made with a credit adjustment first)
+app.post('/api/admin/ledger/discrepancies/:id/resolve', authenticateToken, requireRole('admin'), [
+    body('note').notEmpty().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Open discrepancy not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const discrepancy = await LedgerDiscrepancy.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { $set: { status: 'resolved', note: req.body.note, resolvedAt: new Date() } },
+            { new: true }
+        );
+        
+        if (!discrepancy) {
+            return res.status(404).json({ error: 'Open discrepancy not found' });
+        }
+        
+        await audit.record(req, 'ledger.resolve_discrepancy', 'ledger_discrepancy', discrepancy._id, {
+            user: discrepancy.user,
+            difference: discrepancy.difference,
+            note: req.body.note
+        });
+        
+        res.json({ success: true, discrepancy });
+    } catch (error) {
+        console.error('Admin resolve discrepancy error:', error);
+        res.status(500).json({ error: 'Failed to resolve discrepancy' });
+    }
+});
+
+// Search Needs (any status)
+app.get('/api/admin/needs', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { search, status, user } = req.query;
+        const { page, limit, skip } = pageParams(req.query);
+        
+        const query = {};
+        if (search) {
+            const pattern = { $regex: needSearch.escapeRegex(String(search)), $options: 'i' };
+            query.$or = [{ title: pattern }, { description: pattern }];
+        }
+        if (status) query.status = status;
+        if (user && mongoose.isValidObjectId(user)) query.user = user;
+        
+        const needs = await Need.find(query)
+            .select('-offers -editHistory')
+            .populate('user', 'fullName email status')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Need.countDocuments(query);
+        
+        res.json({
+            success: true,
+            needs,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin search needs error:', error);
+        res.status(500).json({ error: 'Failed to search needs' });
+    }
+});
+
+// Remove a Need
+app.post('/api/admin/needs/:id/remove', authenticateToken, requireRole('admin'), [
+    body('reason').notEmpty().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findOneAndUpdate(
+            { _id: req.params.id, status: { $ne: 'removed' } },
+            {
+                $set: {
+                    status: 'removed',
+                    removedAt: new Date(),
+                    removalReason: req.body.reason,
+                    isUrgent: false,
+                    updatedAt: new Date()
+                }
+            }
+        );
+        
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found or already removed' });
+        }
+        
+        await audit.record(req, 'need.remove', 'need', need._id, {
+            previousStatus: need.status,
+            reason: req.body.reason
+        });
+        
+        notifications.notifyLater(need.user, {
+            type: 'need_removed',
+            title: 'Your need was removed',
+            body: `"${need.title}" was removed by a moderator: ${req.body.reason}`,
+            url: '/pages/dashboard.html',
+            data: { need: need._id }
+        });
+        
+        res.json({ success: true, message: 'Need removed' });
+    } catch (error) {
+        console.error('Admin remove need error:', error);
+        res.status(500).json({ error: 'Failed to remove need' });
+    }
+});
+
+// Report a Need or User
+app.post('/api/reports', authenticateToken, accountLimiter(20, 60), [
+    body('targetType').isIn(['need', 'user']),
+    body('targetId').isMongoId(),
+    body('reason').isIn(['spam', 'scam', 'offensive', 'contact_in_listing', 'duplicate', 'other']),
+    body('details').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const { targetType, targetId, reason, details } = req.body;
+        
+        const target = targetType === 'need'
+            ? await Need.findById(targetId).select('user status title')
+            : await User.findById(targetId).select('_id');
+        if (!target) {
+            return res.status(404).json({ error: `${targetType === 'need' ? 'Need' : 'User'} not found` });
+        }
+        
+        const ownerId = targetType === 'need' ? target.user.toString() : target._id.toString();
+        if (ownerId === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot report yourself' });
+        }
+        
+        let report;
+        try {
+            report = await Report.create({
+                reporter: req.user.userId,
+                targetType,
+                target: target._id,
+                reason,
+                details
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(400).json({ error: 'You have already reported this' });
+            }
+            throw error;
+        }
+        
+        // Enough separate reports take a live need down until a moderator looks at it
+        if (targetType === 'need' && target.status === 'active') {
+            const openReports = await Report.countDocuments({ targetType: 'need', target: target._id, status: 'open' });
+            if (openReports >= REPORT_HOLD_THRESHOLD) {
+                await Need.updateOne(
+                    { _id: target._id, status: 'active' },
+                    {
+                        $set: {
+                            status: 'pending_review',
+                            moderation: { flags: [{ check: 'reports', message: `${openReports} open reports` }] },
+                            updatedAt: new Date()
+                        }
+                    }
+                );
+            }
+        }
+        
+        res.status(201).json({ success: true, message: 'Thanks. A moderator will review this.', reportId: report._id });
+    } catch (error) {
+        console.error('Report error:', error);
+        res.status(500).json({ error: 'Failed to submit report' });
+    }
+});
+
+// Moderation Queue: needs held for review
+app.get('/api/admin/moderation/needs', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { page, limit, skip } = pageParams(req.query);
+        const query = { status: 'pending_review' };
+        
+        const needs = await Need.find(query)
+            .select('-offers -editHistory')
+            .populate('user', 'fullName email status')
+            .sort({ updatedAt: 1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Need.countDocuments(query);
+        
+        res.json({
+            success: true,
+            needs,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Moderation queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation queue' });
+    }
+});
+
+// Approve or Reject a Held Need
+app.post('/api/admin/needs/:id/moderate', authenticateToken, requireRole('admin'), [
+    body('decision').isIn(['approve', 'reject']),
+    body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const approve = req.body.decision === 'approve';
+        const now = new Date();
+        
+        const update = {
+            status: approve ? 'active' : 'removed',
+            'moderation.decision': approve ? 'approved' : 'rejected',
+            'moderation.reviewedBy': req.user.userId,
+            'moderation.reviewedAt': now,
+            'moderation.note': req.body.note,
+            updatedAt: now
+        };
+        if (!approve) {
+            update.removedAt = now;
+            update.removalReason = req.body.note;
+        }
+        
+        const need = await Need.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending_review' },
+            { $set: update },
+            { new: true }
+        );
+        
+        if (!need) {
+            return res.status(404).json({ error: 'Need not found in the review queue' });
+        }
+        
+        // Reports against it are settled by this decision
+        await Report.updateMany(
+            { targetType: 'need', target: need._id, status: 'open' },
+            {
+                $set: {
+                    status: approve ? 'dismissed' : 'actioned',
+                    reviewedBy: req.user.userId,
+                    reviewedAt: now,
+                    note: req.body.note
+                }
+            }
+        );
+        
+        await audit.record(req, approve ? 'need.approve' : 'need.reject', 'need', need._id, {
+            flags: need.moderation.flags,
+            note: req.body.note
+        });
+        
+        if (approve) {
+            savedSearches.matchNeed(need).catch(error => {
+                console.error('Saved search matching error:', error);
+            });
+        }
+        
+        notifications.notifyLater(need.user, {
+            type: approve ? 'need_approved' : 'need_rejected',
+            title: approve ? 'Your need is live' : 'Your need was not approved',
+            body: approve
+                ? `"${need.title}" passed review and is now visible to fulfillers.`
+                : `"${need.title}" was not approved${req.body.note ? `: ${req.body.note}` : '.'}`,
+            url: '/pages/dashboard.html',
+            data: { need: need._id }
+        });
+        
+        res.json({ success: true, status: need.status });
+    } catch (error) {
+        console.error('Moderate need error:', error);
+        res.status(500).json({ error: 'Failed to moderate need' });
+    }
+});
+
+// List Reports
+app.get('/api/admin/reports', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { targetType } = req.query;
+        const { page, limit, skip } = pageParams(req.query);
+        
+        const query = { status: req.query.status || 'open' };
+        if (targetType) query.targetType = targetType;
+        
+        const reports = await Report.find(query)
+            .populate('reporter', 'fullName email')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Report.countDocuments(query);
+        
+        res.json({
+            success: true,
+            reports,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin reports error:', error);
+        res.status(500).json({ error: 'Failed to fetch reports' });
+    }
+});
+
+// Close a Report (any action on the target is taken through the other admin routes)
+app.post('/api/admin/reports/:id/resolve', authenticateToken, requireRole('admin'), [
+    body('status').isIn(['actioned', 'dismissed']),
+    body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Open report not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const report = await Report.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            {
+                $set: {
+                    status: req.body.status,
+                    reviewedBy: req.user.userId,
+                    reviewedAt: new Date(),
+                    note: req.body.note
+                }
+            },
+            { new: true }
+        );
+        
+        if (!report) {
+            return res.status(404).json({ error: 'Open report not found' });
+        }
+        
+        await audit.record(req, `report.${report.status}`, report.targetType, report.target, {
+            report: report._id,
+            note: req.body.note
+        });
+        
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Resolve report error:', error);
+        res.status(500).json({ error: 'Failed to resolve report' });
+    }
+});
+
+// Audit Log
+// Filters: actor, targetId, action
+app.get('/api/admin/audit-log', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { actor, targetId, action } = req.query;
+        const { page, limit, skip } = pageParams(req.query, 50);
+        
+        const query = {};
+        if (actor && mongoose.isValidObjectId(actor)) query.actor = actor;
+        if (targetId && mongoose.isValidObjectId(targetId)) query.targetId = targetId;
+        if (action) query.action = String(action);
+        
+        const entries = await AuditLog.find(query)
+            .populate('actor', 'fullName email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await AuditLog.countDocuments(query);
+        
+        res.json({
+            success: true,
+            entries,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin audit log error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Escrow
+
+const escrowView = (record) => ({
+    id: record._id,
+    need: record.need,
+    asker: record.asker,
+    fulfiller: record.fulfiller,
+    amount: record.amount,
+    status: record.status,
+    commissionPercent: record.commissionPercent ?? escrow.COMMISSION_PERCENT,
+    commission: record.commission,
+    payout: record.payout,
+    heldAt: record.heldAt,
+    deliveredAt: record.deliveredAt,
+    autoReleaseAt: record.autoReleaseAt,
+    releasedAt: record.releasedAt,
+    refundedAt: record.refundedAt,
+    dispute: record.dispute && record.dispute.openedAt ? record.dispute : null,
+    resolution: record.resolution && record.resolution.decidedAt ? record.resolution : null,
+    createdAt: record.createdAt
+});
+
+const notifyDepositSettled = async ({ transaction, escrow: held }) => {
+    const need = await Need.findById(transaction.need).select('title');
+    const title = need ? need.title : 'your need';
+    
+    if (!held) {
+        notifications.notifyLater(transaction.user, {
+            type: 'escrow_refunded',
+            title: 'Escrow payment returned',
+            body: `KSh ${transaction.amount.toLocaleString()} for "${title}" arrived after the escrow closed and is in your wallet.`,
+            url: '/pages/dashboard.html',
+            data: { need: transaction.need, escrow: transaction.escrow }
+        });
+        return;
+    }
+    
+    notifications.notifyLater(held.asker, {
+        type: 'escrow_held',
+        title: 'Payment held in escrow',
+        body: `KSh ${held.amount.toLocaleString()} for "${title}" is held until you confirm the job is done.`,
+        url: '/pages/dashboard.html',
+        data: { need: held.need, escrow: held._id }
+    });
+    notifications.notifyLater(held.fulfiller, {
+        type: 'escrow_held',
+        title: 'The asker has paid into escrow',
+        body: `KSh ${held.amount.toLocaleString()} for "${title}" is secured. You'll be paid when the job is confirmed.`,
+        url: '/pages/dashboard.html',
+        data: { need: held.need, escrow: held._id }
+    });
+};
+
+// Escrow for a Need (asker or the selected fulfiller)
+app.get('/api/needs/:id/escrow', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'No escrow for this need' });
+        }
+        
+        const record = await Escrow.findOne({ need: req.params.id }).sort({ createdAt: -1 });
+        if (!record || ![record.asker.toString(), record.fulfiller.toString()].includes(req.user.userId)) {
+            return res.status(404).json({ error: 'No escrow for this need' });
+        }
+        
+        const deposit = await Transaction.findOne({ escrow: record._id, type: 'escrow_deposit' })
+            .sort({ createdAt: -1 })
+            .select('status mpesaCode metadata.resultDesc createdAt');
+        
+        res.json({
+            success: true,
+            escrow: escrowView(record),
+            deposit: deposit ? {
+                id: deposit._id,
+                status: deposit.status,
+                mpesaCode: deposit.mpesaCode,
+                reason: deposit.metadata && deposit.metadata.resultDesc,
+                createdAt: deposit.createdAt
+            } : null
+        });
+    } catch (error) {
+        console.error('Get escrow error:', error);
+        res.status(500).json({ error: 'Failed to fetch escrow' });
+    }
+});
+
+// Pay Into Escrow (asker, after accepting an offer; M-Pesa STK Push)
+app.post('/api/needs/:id/escrow', authenticateToken, [
+    body('phone').optional().isString()
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user title budget status selectedFulfiller offers');
+        if (!need || !need.user.equals(req.user.userId)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const offer = need.status === 'in_progress' && need.offers.find(candidate =>
+            candidate.status === 'accepted' && candidate.fulfiller.equals(need.selectedFulfiller)
+        );
+        if (!offer) {
+            return res.status(400).json({ error: 'Accept an offer before paying into escrow' });
+        }
+        
+        // A retried request gets the original payment back, not a second STK push
+        const idempotencyKey = req.get('Idempotency-Key');
+        const previous = await ledger.findByIdempotencyKey(req.user.userId, idempotencyKey);
+        if (previous) {
+            if (previous.type !== 'escrow_deposit' || !need._id.equals(previous.need)) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            return res.status(202).json({
+                success: true,
+                message: 'Payment already requested',
+                transactionId: previous._id,
+                escrowId: previous.escrow,
+                status: previous.status
+            });
+        }
+        
+        const user = await User.findById(req.user.userId).select('phone');
+        const phone = mpesa.normalizePhone(req.body.phone || user.phone);
+        if (!phone) {
+            return res.status(400).json({ error: 'Enter a valid Safaricom phone number' });
+        }
+        
+        // One escrow per accepted offer; a failed payment is retried against it
+        const record = await Escrow.findOneAndUpdate(
+            { offer: offer._id },
+            {
+                $setOnInsert: {
+                    need: need._id,
+                    asker: need.user,
+                    fulfiller: need.selectedFulfiller,
+                    amount: Math.round(offer.amount != null ? offer.amount : need.budget),
+                    status: 'awaiting_payment',
+                    createdAt: new Date()
+                }
+            },
+            { new: true, upsert: true }
+        );
+        
+        if (record.status !== 'awaiting_payment') {
+            return res.status(400).json({ error: `This escrow is already ${record.status}` });
+        }
+        
+        if (await escrow.depositInProgress(record._id)) {
+            return res.status(409).json({ error: 'A payment for this escrow is already waiting for confirmation on your phone' });
+        }
+        
+        // The escrow is only held once the M-Pesa callback confirms payment
+        const transaction = new Transaction({
+            user: req.user.userId,
+            need: need._id,
+            escrow: record._id,
+            amount: record.amount,
+            credits: 0,
+            type: 'escrow_deposit',
+            status: 'pending',
+            idempotencyKey,
+            metadata: { phone },
+            createdAt: new Date()
+        });
+        
+        try {
+            await transaction.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is already being processed' });
+            }
+            throw error;
+        }
+        
+        let push;
+        try {
+            push = await mpesa.getClient().stkPush({
+                phone,
+                amount: record.amount,
+                accountReference: 'FulfillME',
+                description: 'FulfillME escrow'
+            });
+        } catch (error) {
+            console.error('STK push error:', error);
+            transaction.status = 'failed';
+            transaction.metadata = { ...transaction.metadata, resultDesc: error.message };
+            await transaction.save();
+            return res.status(502).json({ error: 'Could not reach M-Pesa. Please try again.' });
+        }
+        
+        transaction.checkoutRequestId = push.checkoutRequestId;
+        transaction.metadata = { ...transaction.metadata, merchantRequestId: push.merchantRequestId };
+        await transaction.save();
+        
+        res.status(202).json({
+            success: true,
+            message: push.customerMessage || 'Check your phone to complete the M-Pesa payment',
+            transactionId: transaction._id,
+            escrowId: record._id,
+            amount: record.amount,
+            status: transaction.status
+        });
+    } catch (error) {
+        console.error('Escrow deposit error:', error);
+        res.status(500).json({ error: 'Failed to start escrow payment' });
+    }
+});
+
+// Mark the Job Delivered (fulfiller; starts the auto-release clock)
+app.post('/api/needs/:id/escrow/delivered', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const now = new Date();
+        const autoReleaseAt = new Date(now.getTime() + escrow.AUTO_RELEASE_DAYS * 24 * 60 * 60 * 1000);
+        
+        const record = await Escrow.findOneAndUpdate(
+            { need: req.params.id, fulfiller: req.user.userId, status: 'held', deliveredAt: null },
+            { $set: { deliveredAt: now, autoReleaseAt } },
+            { new: true }
+        );
+        
+        if (!record) {
+            return res.status(400).json({ error: 'There is no held escrow waiting on delivery for this need' });
+        }
+        
+        const need = await Need.findById(record.need).select('title');
+        notifications.notifyLater(record.asker, {
+            type: 'escrow_delivered',
+            title: 'The fulfiller says the job is done',
+            body: `Confirm "${need.title}" or open a dispute by ${autoReleaseAt.toDateString()}, when the payment is released automatically.`,
+            url: '/pages/dashboard.html',
+            data: { need: record.need, escrow: record._id }
+        });
+        
+        res.json({ success: true, escrow: escrowView(record) });
+    } catch (error) {
+        console.error('Escrow delivered error:', error);
+        res.status(500).json({ error: 'Failed to mark job delivered' });
+    }
+});
+
+// Dispute an Escrow (asker or fulfiller; stops auto-release until an admin decides)
+app.post('/api/needs/:id/escrow/dispute', authenticateToken, [
+    body('reason').trim().notEmpty().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const record = await Escrow.findOneAndUpdate(
+            {
+                need: req.params.id,
+                status: 'held',
+                $or: [{ asker: req.user.userId }, { fulfiller: req.user.userId }]
+            },
+            {
+                $set: {
+                    status: 'disputed',
+                    dispute: { openedBy: req.user.userId, reason: req.body.reason, openedAt: new Date() }
+                }
+            },
+            { new: true }
+        );
+        
+        if (!record) {
+            return res.status(400).json({ error: 'Only money held in escrow can be disputed' });
+        }
+        
+        const need = await Need.findById(record.need).select('title');
+        const otherSide = record.asker.equals(req.user.userId) ? record.fulfiller : record.asker;
+        notifications.notifyLater(otherSide, {
+            type: 'escrow_disputed',
+            title: 'Escrow payment disputed',
+            body: `The payment for "${need.title}" is on hold while an admin reviews the dispute.`,
+            url: '/pages/dashboard.html',
+            data: { need: record.need, escrow: record._id }
+        });
+        
+        res.json({ success: true, escrow: escrowView(record) });
+    } catch (error) {
+        console.error('Escrow dispute error:', error);
+        res.status(500).json({ error: 'Failed to dispute escrow' });
+    }
+});
+
+// List Escrows (admin)
+app.get('/api/admin/escrows', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { page, limit, skip } = pageParams(req.query);
+        const query = { status: req.query.status || 'disputed' };
+        
+        const escrows = await Escrow.find(query)
+            .populate('need', 'title status')
+            .populate('asker', 'fullName email phone')
+            .populate('fulfiller', 'fullName email phone')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Escrow.countDocuments(query);
+        
+        res.json({
+            success: true,
+            escrows: escrows.map(escrowView),
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin escrows error:', error);
+        res.status(500).json({ error: 'Failed to fetch escrows' });
+    }
+});
+
+// Settle a Disputed Escrow (admin): release to the fulfiller or refund the asker
+app.post('/api/admin/escrows/:id/resolve', authenticateToken, requireRole('admin'), [
+    body('outcome').isIn(['release', 'refund']),
+    body('note').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Disputed escrow not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const { outcome, note } = req.body;
+        const resolution = { decidedBy: req.user.userId, outcome, note, decidedAt: new Date() };
+        
+        let record;
+        if (outcome === 'release') {
+            record = await escrow.releaseAndFulfil(req.params.id, { from: ['disputed'], resolution });
+        } else {
+            record = await ledger.withTransaction(async (session) => {
+                const refunded = await escrow.refund(req.params.id, { from: ['disputed'], resolution }, session);
+                if (!refunded) return null;
+                
+                const now = new Date();
+                await Need.updateOne(
+                    { _id: refunded.need, status: 'in_progress' },
+                    { $set: { status: 'cancelled', cancelledAt: now, cancellationReason: 'Escrow refunded after a dispute', updatedAt: now } },
+                    { session }
+                );
+                return refunded;
+            });
+        }
+        
+        if (!record) {
+            return res.status(404).json({ error: 'Disputed escrow not found' });
+        }
+        
+        await audit.record(req, `escrow.${outcome}`, 'escrow', record._id, {
+            amount: record.amount,
+            need: record.need,
+            note
+        });
+        
+        const need = await Need.findById(record.need).select('title');
+        if (outcome === 'release') {
+            escrow.notifyReleased(record, need.title);
+        } else {
+            escrow.notifyRefunded(record, need.title);
+        }
+        
+        res.json({ success: true, escrow: escrowView(record) });
+    } catch (error) {
+        console.error('Resolve escrow error:', error);
+        res.status(500).json({ error: 'Failed to resolve escrow' });
+    }
+});
+
+// Wallet
+
+// Wallet Balance and Recent Movements
+app.get('/api/wallet', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('walletBalance');
+        
+        const transactions = await Transaction.find({ user: req.user.userId, wallet: { $ne: null } })
+            .select('type amount wallet status mpesaCode need escrow createdAt completedAt')
+            .sort({ createdAt: -1 })
+            .limit(50);
+        
+        const held = await Escrow.aggregate([
+            { $match: { fulfiller: user._id, status: { $in: ['held', 'disputed'] } } },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
+        
+        res.json({
+            success: true,
+            balance: user.walletBalance || 0,
+            heldInEscrow: held[0]?.total || 0,
+            minWithdrawal: wallet.MIN_WITHDRAWAL,
+            transactions
+        });
+    } catch (error) {
+        console.error('Get wallet error:', error);
+        res.status(500).json({ error: 'Failed to fetch wallet' });
+    }
+});
+
+// Withdraw to M-Pesa (B2C)
+app.post('/api/wallet/withdraw', authenticateToken, accountLimiter(5, 60), [
+    body('amount').isInt({ min: wallet.MIN_WITHDRAWAL }),
+    body('phone').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const amount = parseInt(req.body.amount);
+        
+        const idempotencyKey = req.get('Idempotency-Key');
+        const previous = await ledger.findByIdempotencyKey(req.user.userId, idempotencyKey);
+        if (previous) {
+            if (previous.type !== 'withdrawal' || previous.amount !== amount) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            return res.status(202).json({
+                success: true,
+                message: 'Withdrawal already requested',
+                transactionId: previous._id,
+                status: previous.status
+            });
+        }
+        
+        const user = await User.findById(req.user.userId).select('phone');
+        const phone = mpesa.normalizePhone(req.body.phone || user.phone);
+        if (!phone) {
+            return res.status(400).json({ error: 'Enter a valid Safaricom phone number' });
+        }
+        
+        let transaction;
+        try {
+            transaction = await ledger.withTransaction(session =>
+                wallet.reserveWithdrawal({ userId: req.user.userId, amount, phone, idempotencyKey }, session)
+            );
+        } catch (error) {
+            if (error instanceof ledger.LedgerError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        // A random OriginatorConversationID (never sent to the client) matches the
+        // result even if it arrives before we store Daraja's id
+        let payout;
+        try {
+            payout = await mpesa.getClient().b2cPayment({
+                phone,
+                amount,
+                originatorConversationId: transaction.originatorConversationId,
+                remarks: 'FulfillME wallet withdrawal',
+                occasion: 'Withdrawal'
+            });
+        } catch (error) {
+            // Daraja may have accepted the payout before the request failed, so
+            // the withdrawal stays pending until a status query settles it
+            console.error('B2C payment error:', error);
+            await Transaction.updateOne(
+                { _id: transaction._id },
+                { $set: { 'metadata.requestError': error.message } }
+            );
+            wallet.checkWithdrawal(transaction).catch(checkError => {
+                console.error('Withdrawal check error:', checkError);
+            });
+            return res.status(202).json({
+                success: true,
+                message: 'We are confirming your withdrawal with M-Pesa. If it did not go through, the money goes back to your wallet.',
+                transactionId: transaction._id,
+                status: 'pending'
+            });
+        }
+        
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $set: { conversationId: payout.conversationId } }
+        );
+        
+        res.status(202).json({
+            success: true,
+            message: 'Withdrawal requested. You will get an M-Pesa message shortly.',
+            transactionId: transaction._id,
+            status: 'pending'
+        });
+    } catch (error) {
+        console.error('Withdraw error:', error);
+        res.status(500).json({ error: 'Failed to request withdrawal' });
+    }
+});
+
+// M-Pesa B2C Result and Queue Timeout (called by Daraja, not by the app)
+// Neither settles the withdrawal: both ask M-Pesa for the payout's status,
+// and the answer arrives on /api/mpesa/status/result
+const findWithdrawal = (result) => {
+    if (result.OriginatorConversationID) {
+        return Transaction.findOne({ originatorConversationId: String(result.OriginatorConversationID), type: 'withdrawal' });
+    }
+    if (result.ConversationID) {
+        return Transaction.findOne({ conversationId: String(result.ConversationID), type: 'withdrawal' });
+    }
+    return null;
+};
+
+const checkReportedWithdrawal = async (req, res, source) => {
+    try {
+        if (!mpesa.verifyCallback(req)) {
+            return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+        }
+        
+        const result = req.body && req.body.Result;
+        if (!result || !(result.OriginatorConversationID || result.ConversationID)) {
+            return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid result payload' });
+        }
+        
+        const transaction = await findWithdrawal(result);
+        if (!transaction) {
+            console.warn(`B2C ${source} for unknown withdrawal:`, result.OriginatorConversationID, result.ConversationID);
+        } else if (transaction.status === 'pending') {
+            await Transaction.updateOne(
+                { _id: transaction._id, status: 'pending' },
+                {
+                    $set: {
+                        'metadata.reported': {
+                            source,
+                            resultCode: result.ResultCode,
+                            resultDesc: result.ResultDesc,
+                            transactionId: result.TransactionID,
+                            at: new Date()
+                        }
+                    }
+                }
+            );
+            await wallet.checkWithdrawal(transaction);
+        }
+        
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (error) {
+        console.error(`B2C ${source} error:`, error);
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Result processing failed' });
+    }
+};
+
+app.post('/api/mpesa/b2c/result', (req, res) => checkReportedWithdrawal(req, res, 'result'));
+app.post('/api/mpesa/b2c/timeout', (req, res) => checkReportedWithdrawal(req, res, 'timeout'));
+
+// M-Pesa Transaction Status Result (answers wallet.checkWithdrawal)
+app.post('/api/mpesa/status/result', async (req, res) => {
+    try {
+        if (!mpesa.verifyCallback(req)) {
+            return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+        }
+        
+        const result = req.body && req.body.Result;
+        if (!result || !result.ConversationID) {
+            return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid result payload' });
+        }
+        
+        const settled = await wallet.settleFromStatus(result);
+        
+        if (settled && settled.completed) {
+            const { completed } = settled;
+            notifications.notifyLater(completed.user, {
+                type: 'withdrawal_completed',
+                title: 'Withdrawal sent',
+                body: `KSh ${completed.amount.toLocaleString()} was sent to your M-Pesa (${completed.mpesaCode}).`,
+                url: '/pages/dashboard.html',
+                data: { transaction: completed._id }
+            });
+        } else if (settled && settled.failed) {
+            const { failed } = settled;
+            notifications.notifyLater(failed.user, {
+                type: 'withdrawal_failed',
+                title: 'Withdrawal failed',
+                body: `Your KSh ${failed.amount.toLocaleString()} withdrawal didn't go through and is back in your wallet.`,
+                url: '/pages/dashboard.html',
+                data: { transaction: failed._id }
+            });
+        } else {
+            console.warn('Transaction status result settled nothing:', result.ConversationID, result.ResultDesc);
+        }
+        
+        res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (error) {
+        console.error('Transaction status result error:', error);
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Result processing failed' });
+    }
+});
+
+// A status query that timed out leaves the withdrawal pending; the
+// checkWithdrawals job asks again
+app.post('/api/mpesa/status/timeout', (req, res) => {
+    if (!mpesa.verifyCallback(req)) {
+        return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+    }
+    
+    console.warn('Transaction status query timed out:', req.body && req.body.Result && req.body.Result.ConversationID);
+    res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+});
+
+// Transactions
+
+const TRANSACTION_TYPES = Transaction.schema.path('type').enumValues;
+const TRANSACTION_STATUSES = Transaction.schema.path('status').enumValues;
+
+// Filters shared by the list and the CSV export: type, status, from, to
+// (dates; a date-only `to` includes that day)
+const transactionFilters = (query) => {
+    const type = query.type ? String(query.type) : undefined;
+    const status = query.status ? String(query.status) : undefined;
+    const from = query.from ? String(query.from) : undefined;
+    const to = query.to ? String(query.to) : undefined;
+    
+    if (type && !TRANSACTION_TYPES.includes(type)) {
+        return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+    }
+    if (status && !TRANSACTION_STATUSES.includes(status)) {
+        return { error: `status must be one of: ${TRANSACTION_STATUSES.join(', ')}` };
+    }
+    if ([from, to].some(date => date && isNaN(new Date(date)))) {
+        return { error: 'from and to must be dates, e.g. 2024-01-31' };
+    }
+    
+    return { filters: { type, status, from, to } };
+};
+
+// List Own Transactions, with the ledger total checked against the stored balance
+app.get('/api/transactions', authenticateToken, async (req, res) => {
+    try {
+        const { filters, error } = transactionFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const { page, limit, skip } = pageParams(req.query);
+        const query = statements.buildQuery(req.user.userId, filters);
+        
+        const transactions = await Transaction.find(query)
+            .populate('need', 'title')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await Transaction.countDocuments(query);
+        
+        const user = await User.findById(req.user.userId).select('credits bonusCredits walletBalance');
+        const fromLedger = await ledger.ledgerBalance(user._id);
+        const same = (a, b) => Math.round(a * 100) === Math.round(b * 100);
+        
+        res.json({
+            success: true,
+            transactions: transactions.map(statements.view),
+            balance: {
+                credits: user.credits || 0,
+                bonusCredits: user.bonusCredits || 0,
+                walletBalance: user.walletBalance || 0,
+                ledgerCredits: fromLedger.credits,
+                ledgerBonusCredits: fromLedger.bonus,
+                reconciled: same(user.credits || 0, fromLedger.credits) && same(user.bonusCredits || 0, fromLedger.bonus)
+            },
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('List transactions error:', error);
+        res.status(500).json({ error: 'Failed to fetch transactions' });
+    }
+});
+
+// Export Own Transactions as CSV (same filters as the list, oldest first)
+app.get('/api/transactions/export.csv', authenticateToken, async (req, res) => {
+    try {
+        const { filters, error } = transactionFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const query = statements.buildQuery(req.user.userId, filters);
+        const total = await Transaction.countDocuments(query);
+        if (total > statements.MAX_EXPORT_ROWS) {
+            return res.status(400).json({
+                error: `That range has ${total} transactions; exports are limited to ${statements.MAX_EXPORT_ROWS}. Choose a shorter date range.`
+            });
+        }
+        
+        const transactions = await Transaction.find(query)
+            .populate('need', 'title')
+            .sort({ createdAt: 1 });
+        
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`fulfillme-transactions-${new Date().toISOString().slice(0, 10)}.csv`);
+        // The byte order mark tells Excel the file is UTF-8
+        res.send('\uFEFF' + statements.toCsv(transactions.map(statements.view)));
+    } catch (error) {
+        console.error('Export transactions error:', error);
+        res.status(500).json({ error: 'Failed to export transactions' });
+    }
+});
+
+// Monthly Statement PDF (?month=YYYY-MM, default this month)
+app.get('/api/transactions/statement', authenticateToken, async (req, res) => {
+    try {
+        // Months are counted in Nairobi time
+        const thisMonth = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().slice(0, 7);
+        const month = req.query.month ? String(req.query.month) : thisMonth;
+        
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({ error: 'month must look like 2024-01' });
+        }
+        if (month > thisMonth) {
+            return res.status(400).json({ error: 'Statements are only available for past and current months' });
+        }
+        
+        const user = await User.findById(req.user.userId).select('fullName email credits bonusCredits');
+        const statement = await statements.buildStatement(user, month);
+        
+        res.type('application/pdf');
+        res.attachment(`fulfillme-statement-${month}.pdf`);
+        statements.writeStatementPdf(statement, user, res);
+    } catch (error) {
+        console.error('Statement error:', error);
+        res.status(500).json({ error: 'Failed to create statement' });
+    }
+});
+
+// Receipt PDF for a Credit Purchase (owner or admin)
+app.get('/api/transactions/:id/receipt', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        
+        const transaction = await Transaction.findById(req.params.id);
+        if (!transaction || (transaction.user.toString() !== req.user.userId && req.user.role !== 'admin')) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        
+        if (!receipts.RECEIPT_TYPES.includes(transaction.type) || transaction.status !== 'completed') {
+            return res.status(400).json({ error: 'Receipts are only issued for completed credit purchases' });
+        }
+        
+        await ledger.withTransaction(session => receipts.assign(transaction, session));
+        
+        const user = await User.findById(transaction.user).select('fullName email phone');
+        
+        res.type('application/pdf');
+        res.attachment(`${transaction.receiptNumber}.pdf`);
+        receipts.writePdf(transaction, user, res);
+    } catch (error) {
+        console.error('Receipt error:', error);
+        res.status(500).json({ error: 'Failed to create receipt' });
+    }
+});
+
+// Subscriptions
+
+const NEED_CATEGORIES = Need.schema.path('category').enumValues;
+
+const planView = (plan) => ({
+    id: plan._id,
+    name: plan.name,
+    description: plan.description,
+    price: plan.price,
+    periodDays: plan.periodDays,
+    unlockLimit: plan.unlockLimit,
+    categories: plan.categories,
+    active: plan.active,
+    sortOrder: plan.sortOrder
+});
+
+const notifySubscriptionPaid = ({ transaction, subscription, renewal }) => {
+    if (!subscription) {
+        notifications.notifyLater(transaction.user, {
+            type: 'subscription',
+            title: 'Plan payment returned',
+            body: `KSh ${transaction.amount.toLocaleString()} arrived for a plan that is no longer waiting for payment and is in your wallet.`,
+            url: '/pages/dashboard.html',
+            data: { subscription: transaction.subscription }
+        });
+        return;
+    }
+    
+    notifications.notifyLater(subscription.user, {
+        type: 'subscription',
+        title: renewal ? 'Plan renewed' : 'Plan active',
+        body: `Your ${subscription.planName} plan runs until ${subscription.currentPeriodEnd.toDateString()}.`,
+        url: '/pages/dashboard.html',
+        data: { subscription: subscription._id }
+    });
+};
+
+// Plans on Offer
+app.get('/api/subscriptions/plans', async (req, res) => {
+    try {
+        const plans = await SubscriptionPlan.find({ active: true }).sort({ sortOrder: 1, price: 1 });
+        res.json({ success: true, plans: plans.map(planView) });
+    } catch (error) {
+        console.error('Get plans error:', error);
+        res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+});
+
+// Own Subscription (pending, active or past due)
+app.get('/api/subscriptions/current', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await subscriptions.findOpen(req.user.userId);
+        res.json({ success: true, subscription: subscription ? subscriptions.view(subscription) : null });
+    } catch (error) {
+        console.error('Get subscription error:', error);
+        res.status(500).json({ error: 'Failed to fetch subscription' });
+    }
+});
+
+// Subscribe to a Plan (fulfiller; M-Pesa STK push for the first period)
+app.post('/api/subscriptions', authenticateToken, accountLimiter(5, 60), [
+    body('plan').isMongoId(),
+    body('phone').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        if (req.user.role !== 'fulfiller') {
+            return res.status(403).json({ error: 'Only fulfillers can subscribe to a plan' });
+        }
+        
+        // A retried request gets the original payment back, not a second STK push
+        const idempotencyKey = req.get('Idempotency-Key');
+        const previous = await ledger.findByIdempotencyKey(req.user.userId, idempotencyKey);
+        if (previous) {
+            if (previous.type !== 'subscription_payment') {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            return res.status(202).json({
+                success: true,
+                message: 'Payment already requested',
+                transactionId: previous._id,
+                subscriptionId: previous.subscription,
+                status: previous.status
+            });
+        }
+        
+        const plan = await SubscriptionPlan.findOne({ _id: req.body.plan, active: true });
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+        
+        const open = await subscriptions.findOpen(req.user.userId);
+        if (open && open.status !== 'pending') {
+            return res.status(400).json({ error: 'You already have a plan. Cancel it before choosing another.' });
+        }
+        if (open && await subscriptions.paymentInProgress(open._id)) {
+            return res.status(409).json({ error: 'A plan payment is already waiting for confirmation on your phone' });
+        }
+        
+        const user = await User.findById(req.user.userId).select('phone');
+        const phone = mpesa.normalizePhone(req.body.phone || user.phone);
+        if (!phone) {
+            return res.status(400).json({ error: 'Enter a valid Safaricom phone number' });
+        }
+        
+        // An unpaid signup is replaced; a late payment for it goes to the wallet
+        if (open) {
+            await Subscription.updateOne(
+                { _id: open._id, status: 'pending' },
+                { $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() } }
+            );
+        }
+        
+        const subscription = await Subscription.create({
+            user: req.user.userId,
+            plan: plan._id,
+            planName: plan.name,
+            price: plan.price,
+            periodDays: plan.periodDays,
+            unlockLimit: plan.unlockLimit,
+            categories: plan.categories,
+            phone
+        });
+        
+        let payment;
+        try {
+            payment = await subscriptions.requestPayment(subscription, { phone, idempotencyKey });
+        } catch (error) {
+            await Subscription.updateOne({ _id: subscription._id }, { $set: { status: 'cancelled', cancelledAt: new Date() } });
+            if (error instanceof ledger.LedgerError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        res.status(202).json({
+            success: true,
+            message: payment.message || 'Check your phone to complete the M-Pesa payment',
+            transactionId: payment.transaction._id,
+            subscriptionId: subscription._id,
+            status: payment.transaction.status
+        });
+    } catch (error) {
+        console.error('Subscribe error:', error);
+        res.status(500).json({ error: 'Failed to start subscription' });
+    }
+});
+
+// Pay a Past-Due Renewal (resends the STK push the renewal job sent)
+app.post('/api/subscriptions/renew', authenticateToken, accountLimiter(5, 60), [
+    body('phone').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const subscription = await Subscription.findOne({ user: req.user.userId, status: 'past_due' });
+        if (!subscription) {
+            return res.status(400).json({ error: 'You have no plan renewal waiting for payment' });
+        }
+        
+        if (await subscriptions.paymentInProgress(subscription._id)) {
+            return res.status(409).json({ error: 'A plan payment is already waiting for confirmation on your phone' });
+        }
+        
+        const phone = mpesa.normalizePhone(req.body.phone || subscription.phone);
+        if (!phone) {
+            return res.status(400).json({ error: 'Enter a valid Safaricom phone number' });
+        }
+        
+        let payment;
+        try {
+            payment = await subscriptions.requestPayment(subscription, {
+                phone,
+                idempotencyKey: req.get('Idempotency-Key'),
+                renewal: true
+            });
+        } catch (error) {
+            if (error instanceof ledger.LedgerError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        if (phone !== subscription.phone) {
+            await Subscription.updateOne({ _id: subscription._id }, { $set: { phone } });
+        }
+        
+        res.status(202).json({
+            success: true,
+            message: payment.message || 'Check your phone to complete the M-Pesa payment',
+            transactionId: payment.transaction._id,
+            subscriptionId: subscription._id,
+            status: payment.transaction.status
+        });
+    } catch (error) {
+        console.error('Renew subscription error:', error);
+        res.status(500).json({ error: 'Failed to renew subscription' });
+    }
+});
+
+// Cancel a Plan: a paid plan runs to the end of its period, an unpaid one stops now
+app.post('/api/subscriptions/cancel', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await subscriptions.findOpen(req.user.userId);
+        if (!subscription) {
+            return res.status(400).json({ error: 'You have no plan to cancel' });
+        }
+        
+        const now = new Date();
+        const update = subscription.status === 'active'
+            ? { cancelAtPeriodEnd: true, updatedAt: now }
+            : { status: 'cancelled', cancelledAt: now, updatedAt: now };
+        
+        const cancelled = await Subscription.findOneAndUpdate(
+            { _id: subscription._id, status: subscription.status },
+            { $set: update },
+            { new: true }
+        );
+        if (!cancelled) {
+            return res.status(409).json({ error: 'Your plan changed while cancelling. Please try again.' });
+        }
+        
+        res.json({
+            success: true,
+            message: cancelled.status === 'active'
+                ? `Your plan will end on ${cancelled.currentPeriodEnd.toDateString()}`
+                : 'Your plan has been cancelled',
+            subscription: subscriptions.view(cancelled)
+        });
+    } catch (error) {
+        console.error('Cancel subscription error:', error);
+        res.status(500).json({ error: 'Failed to cancel subscription' });
+    }
+});
+
+// List Plans (admin, including retired ones)
+app.get('/api/admin/plans', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const plans = await SubscriptionPlan.find().sort({ sortOrder: 1, price: 1 });
+        
+        const subscribers = await Subscription.aggregate([
+            { $match: { status: { $in: ['active', 'past_due'] } } },
+            { $group: { _id: '$plan', count: { $sum: 1 } } }
+        ]);
+        const counts = new Map(subscribers.map(row => [row._id.toString(), row.count]));
+        
+        res.json({
+            success: true,
+            plans: plans.map(plan => ({ ...planView(plan), subscribers: counts.get(plan._id.toString()) || 0 }))
+        });
+    } catch (error) {
+        console.error('Admin plans error:', error);
+        res.status(500).json({ error: 'Failed to fetch plans' });
+    }
+});
+
+// Create a Plan (admin)
+app.post('/api/admin/plans', authenticateToken, requireRole('admin'), [
+    body('name').trim().notEmpty().isLength({ max: 60 }),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('price').isInt({ min: 1 }),
+    body('periodDays').optional().isInt({ min: 1, max: 366 }),
+    body('unlockLimit').optional({ nullable: true }).isInt({ min: 1 }),
+    body('categories').optional().isArray(),
+    body('categories.*').isIn(NEED_CATEGORIES),
+    body('sortOrder').optional().isInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        let plan;
+        try {
+            plan = await SubscriptionPlan.create({
+                name: req.body.name,
+                description: req.body.description,
+                price: parseInt(req.body.price),
+                periodDays: req.body.periodDays !== undefined ? parseInt(req.body.periodDays) : 30,
+                unlockLimit: req.body.unlockLimit != null ? parseInt(req.body.unlockLimit) : null,
+                categories: [...new Set(req.body.categories || [])],
+                sortOrder: req.body.sortOrder !== undefined ? parseInt(req.body.sortOrder) : 0
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A plan with that name already exists' });
+            }
+            throw error;
+        }
+        
+        await audit.record(req, 'plan.create', 'subscription_plan', plan._id, planView(plan));
+        
+        res.status(201).json({ success: true, plan: planView(plan) });
+    } catch (error) {
+        console.error('Create plan error:', error);
+        res.status(500).json({ error: 'Failed to create plan' });
+    }
+});
+
+// Update a Plan (admin). Subscribers keep the terms they signed up on;
+// retiring a plan (active: false) ends its subscriptions at their period end.
+app.patch('/api/admin/plans/:id', authenticateToken, requireRole('admin'), [
+    body('name').optional().trim().notEmpty().isLength({ max: 60 }),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('price').optional().isInt({ min: 1 }),
+    body('periodDays').optional().isInt({ min: 1, max: 366 }),
+    body('unlockLimit').optional({ nullable: true }).isInt({ min: 1 }),
+    body('categories').optional().isArray(),
+    body('categories.*').isIn(NEED_CATEGORIES),
+    body('sortOrder').optional().isInt(),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const changes = {};
+        ['name', 'description'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        });
+        ['price', 'periodDays', 'sortOrder'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = parseInt(req.body[field]);
+        });
+        if (req.body.unlockLimit !== undefined) {
+            changes.unlockLimit = req.body.unlockLimit === null ? null : parseInt(req.body.unlockLimit);
+        }
+        if (req.body.categories !== undefined) changes.categories = [...new Set(req.body.categories)];
+        if (req.body.active !== undefined) changes.active = req.body.active === true || req.body.active === 'true';
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        
+        let plan;
+        try {
+            plan = await SubscriptionPlan.findByIdAndUpdate(
+                req.params.id,
+                { $set: { ...changes, updatedAt: new Date() } },
+                { new: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A plan with that name already exists' });
+            }
+            throw error;
+        }
+        
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+        
+        await audit.record(req, 'plan.update', 'subscription_plan', plan._id, changes);
+        
+        res.json({ success: true, plan: planView(plan) });
+    } catch (error) {
+        console.error('Update plan error:', error);
+        res.status(500).json({ error: 'Failed to update plan' });
+    }
+});
+
+// Credit Bundles, Promo Codes and Referrals
+
+// Bundles on Sale
+app.get('/api/credits/bundles', async (req, res) => {
+    try {
+        const bundles = await creditBundles.list();
+        res.json({ success: true, creditPrice: creditBundles.CREDIT_PRICE, bundles: bundles.map(creditBundles.view) });
+    } catch (error) {
+        console.error('Get bundles error:', error);
+        res.status(500).json({ error: 'Failed to fetch bundles' });
+    }
+});
+
+// Redeem a Promo Code for bonus credits
+app.post('/api/promo-codes/redeem', authenticateToken, accountLimiter(10, 60), [
+    body('code').trim().notEmpty().isLength({ max: 40 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        let result;
+        try {
+            result = await promotions.redeemPromoCode(req.user.userId, req.body.code);
+        } catch (error) {
+            if (error instanceof ledger.LedgerError) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            throw error;
+        }
+        
+        const user = await User.findById(req.user.userId).select('credits bonusCredits');
+        
+        res.json({
+            success: true,
+            message: `${result.promo.bonusCredits} bonus credit${result.promo.bonusCredits === 1 ? '' : 's'} added`,
+            transactionId: result.transaction._id,
+            credits: user.credits,
+            bonusCredits: user.bonusCredits || 0
+        });
+    } catch (error) {
+        console.error('Redeem promo code error:', error);
+        res.status(500).json({ error: 'Failed to redeem promo code' });
+    }
+});
+
+// Own Referral Code and Results
+app.get('/api/referrals', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('referralCode');
+        const code = await promotions.ensureReferralCode(user);
+        
+        const joined = await User.countDocuments({ referredBy: user._id });
+        const rewarded = await User.countDocuments({ referredBy: user._id, referralRewardedAt: { $ne: null } });
+        
+        res.json({
+            success: true,
+            code,
+            link: `${APP_URL}/backend/register.html?ref=${code}`,
+            referrerBonus: promotions.REFERRER_BONUS,
+            refereeBonus: promotions.REFEREE_BONUS,
+            joined,
+            rewarded,
+            bonusEarned: rewarded * promotions.REFERRER_BONUS
+        });
+    } catch (error) {
+        console.error('Get referrals error:', error);
+        res.status(500).json({ error: 'Failed to fetch referrals' });
+    }
+});
+
+// List Bundles (admin, including inactive)
+app.get('/api/admin/bundles', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const bundles = await creditBundles.list({ includeInactive: true });
+        res.json({ success: true, bundles: bundles.map(creditBundles.view) });
+    } catch (error) {
+        console.error('Admin bundles error:', error);
+        res.status(500).json({ error: 'Failed to fetch bundles' });
+    }
+});
+
+// Create a Bundle (admin)
+app.post('/api/admin/bundles', authenticateToken, requireRole('admin'), [
+    body('name').trim().notEmpty().isLength({ max: 60 }),
+    body('credits').isInt({ min: 1, max: 1000 }),
+    body('price').isInt({ min: 1 }),
+    body('sortOrder').optional().isInt(),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        let bundle;
+        try {
+            bundle = await CreditBundle.create({
+                name: req.body.name,
+                credits: parseInt(req.body.credits),
+                price: parseInt(req.body.price),
+                sortOrder: req.body.sortOrder !== undefined ? parseInt(req.body.sortOrder) : 0,
+                active: req.body.active !== undefined ? req.body.active === true || req.body.active === 'true' : true
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A bundle with that name already exists' });
+            }
+            throw error;
+        }
+        
+        await audit.record(req, 'bundle.create', 'credit_bundle', bundle._id, {
+            name: bundle.name,
+            credits: bundle.credits,
+            price: bundle.price
+        });
+        
+        res.status(201).json({ success: true, bundle: creditBundles.view(bundle) });
+    } catch (error) {
+        console.error('Create bundle error:', error);
+        res.status(500).json({ error: 'Failed to create bundle' });
+    }
+});
+
+// Update a Bundle (admin); retire bundles with active: false rather than deleting
+app.patch('/api/admin/bundles/:id', authenticateToken, requireRole('admin'), [
+    body('name').optional().trim().notEmpty().isLength({ max: 60 }),
+    body('credits').optional().isInt({ min: 1, max: 1000 }),
+    body('price').optional().isInt({ min: 1 }),
+    body('sortOrder').optional().isInt(),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Bundle not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const changes = {};
+        if (req.body.name !== undefined) changes.name = req.body.name;
+        ['credits', 'price', 'sortOrder'].forEach(field => {
+            if (req.body[field] !== undefined) changes[field] = parseInt(req.body[field]);
+        });
+        if (req.body.active !== undefined) changes.active = req.body.active === true || req.body.active === 'true';
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        
+        let bundle;
+        try {
+            bundle = await CreditBundle.findByIdAndUpdate(
+                req.params.id,
+                { $set: { ...changes, updatedAt: new Date() } },
+                { new: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A bundle with that name already exists' });
+            }
+            throw error;
+        }
+        
+        if (!bundle) {
+            return res.status(404).json({ error: 'Bundle not found' });
+        }
+        
+        await audit.record(req, 'bundle.update', 'credit_bundle', bundle._id, changes);
+        
+        res.json({ success: true, bundle: creditBundles.view(bundle) });
+    } catch (error) {
+        console.error('Update bundle error:', error);
+        res.status(500).json({ error: 'Failed to update bundle' });
+    }
+});
+
+// List Promo Codes (admin)
+app.get('/api/admin/promo-codes', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { page, limit, skip } = pageParams(req.query);
+        const query = {};
+        if (req.query.active !== undefined) query.active = req.query.active === 'true';
+        
+        const promoCodes = await PromoCode.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+        
+        const total = await PromoCode.countDocuments(query);
+        
+        res.json({
+            success: true,
+            promoCodes,
+            pagination: { total, page, pages: Math.ceil(total / limit), limit }
+        });
+    } catch (error) {
+        console.error('Admin promo codes error:', error);
+        res.status(500).json({ error: 'Failed to fetch promo codes' });
+    }
+});
+
+// Create a Promo Code (admin)
+app.post('/api/admin/promo-codes', authenticateToken, requireRole('admin'), [
+    body('code').trim().isAlphanumeric().isLength({ min: 3, max: 40 }),
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('bonusCredits').isInt({ min: 1, max: 100 }),
+    body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }),
+    body('startsAt').optional().isISO8601(),
+    body('expiresAt').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const { description, startsAt, expiresAt } = req.body;
+        if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+            return res.status(400).json({ error: 'expiresAt must be after startsAt' });
+        }
+        
+        let promo;
+        try {
+            promo = await PromoCode.create({
+                code: promotions.normalizeCode(req.body.code),
+                description,
+                bonusCredits: parseInt(req.body.bonusCredits),
+                maxRedemptions: req.body.maxRedemptions != null ? parseInt(req.body.maxRedemptions) : null,
+                startsAt: startsAt ? new Date(startsAt) : undefined,
+                expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+                createdBy: req.user.userId
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'That promo code already exists' });
+            }
+            throw error;
+        }
+        
+        await audit.record(req, 'promo.create', 'promo_code', promo._id, {
+            code: promo.code,
+            bonusCredits: promo.bonusCredits,
+            maxRedemptions: promo.maxRedemptions,
+            expiresAt: promo.expiresAt
+        });
+        
+        res.status(201).json({ success: true, promoCode: promo });
+    } catch (error) {
+        console.error('Create promo code error:', error);
+        res.status(500).json({ error: 'Failed to create promo code' });
+    }
+});
+
+// Update a Promo Code (admin); the code itself can't change once issued
+app.patch('/api/admin/promo-codes/:id', authenticateToken, requireRole('admin'), [
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('maxRedemptions').optional({ nullable: true }).isInt({ min: 1 }),
+    body('expiresAt').optional({ nullable: true }).isISO8601(),
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+        
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const changes = {};
+        if (req.body.description !== undefined) changes.description = req.body.description;
+        if (req.body.maxRedemptions !== undefined) {
+            changes.maxRedemptions = req.body.maxRedemptions === null ? null : parseInt(req.body.maxRedemptions);
+        }
+        if (req.body.expiresAt !== undefined) {
+            changes.expiresAt = req.body.expiresAt === null ? null : new Date(req.body.expiresAt);
+        }
+        if (req.body.active !== undefined) changes.active = req.body.active === true || req.body.active === 'true';
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+        
+        const promo = await PromoCode.findByIdAndUpdate(req.params.id, { $set: changes }, { new: true });
+        if (!promo) {
+            return res.status(404).json({ error: 'Promo code not found' });
+        }
+        
+        await audit.record(req, 'promo.update', 'promo_code', promo._id, { code: promo.code, ...changes });
+        
+        res.json({ success: true, promoCode: promo });
+    } catch (error) {
+        console.error('Update promo code error:', error);
+        res.status(500).json({ error: 'Failed to update promo code' });
+    }
+});
+
+// Add Credits (M-Pesa STK Push)
+// Send either a bundle id from /api/credits/bundles or, for older clients, an
+// amount in whole credits' worth of KSh at the single-credit price
+app.post('/api/credits/add', authenticateToken, [
+    body('bundle').optional().isMongoId(),
+    body('amount').if(body('bundle').not().exists()).isInt({ min: creditBundles.CREDIT_PRICE }),
+    body('phone').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const user = await User.findById(req.user.userId);
+        
+        let amount;
+        let credits;
+        let bundle = null;
+        if (req.body.bundle) {
+            bundle = await CreditBundle.findOne({ _id: req.body.bundle, active: true });
+            if (!bundle) {
+                return res.status(404).json({ error: 'Bundle not found' });
+            }
+            amount = bundle.price;
+            credits = bundle.credits;
+        } else {
+            amount = parseInt(req.body.amount);
+            if (amount % creditBundles.CREDIT_PRICE !== 0) {
+                return res.status(400).json({ error: `Amount must be a multiple of KSh ${creditBundles.CREDIT_PRICE}` });
+            }
+            credits = amount / creditBundles.CREDIT_PRICE;
+        }
+        
+        // A retried request gets the original purchase back, not a second STK push
+        const idempotencyKey = req.get('Idempotency-Key');
+        const previous = await ledger.findByIdempotencyKey(req.user.userId, idempotencyKey);
+        if (previous) {
+            if (previous.type !== 'credit_purchase' || previous.amount !== amount || previous.credits !== credits) {
+                return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+            }
+            return res.status(202).json({
+                success: true,
+                message: 'Payment already requested',
+                transactionId: previous._id,
+                status: previous.status
+            });
+        }
+        
+        const phone = mpesa.normalizePhone(req.body.phone || user.phone);
+        if (!phone) {
+            return res.status(400).json({ error: 'Enter a valid Safaricom phone number' });
+        }
+        
+        // Credits are only granted once the M-Pesa callback confirms payment
+        const transaction = new Transaction({
+            user: req.user.userId,
+            amount,
+            credits,
+            type: 'credit_purchase',
+            status: 'pending',
+            idempotencyKey,
+            metadata: bundle ? { phone, bundle: bundle._id, bundleName: bundle.name } : { phone },
+            createdAt: new Date()
+        });
+        
+        try {
+            await transaction.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is already being processed' });
+            }
+            throw error;
+        }
+        
+        let push;
+        try {
+            push = await mpesa.getClient().stkPush({
+                phone,
+                amount,
+                accountReference: 'FulfillME',
+                description: `${credits} FulfillME credits`
+            });
+        } catch (error) {
+            console.error('STK push error:', error);
+            transaction.status = 'failed';
+            transaction.metadata = { ...transaction.metadata, resultDesc: error.message };
+            await transaction.save();
+            return res.status(502).json({ error: 'Could not reach M-Pesa. Please try again.' });
+        }
+        
+        transaction.checkoutRequestId = push.checkoutRequestId;
+        transaction.metadata = { ...transaction.metadata, merchantRequestId: push.merchantRequestId };
+        await transaction.save();
+        
+        res.status(202).json({
+            success: true,
+            message: push.customerMessage || 'Check your phone to complete the M-Pesa payment',
+            transactionId: transaction._id,
+            status: transaction.status
+        });
+    } catch (error) {
+        console.error('Add credits error:', error);
+        res.status(500).json({ error: 'Failed to add credits' });
+    }
+});
+
+// Check Credit Purchase Status
+app.get('/api/credits/status/:transactionId', authenticateToken, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.transactionId)) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        
+        const transaction = await Transaction.findOne({
+            _id: req.params.transactionId,
+            user: req.user.userId,
+            type: 'credit_purchase'
+        });
+        
+        if (!transaction) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        
+        const user = await User.findById(req.user.userId).select('credits bonusCredits');
+        
+        res.json({
+            success: true,
+            status: transaction.status,
+            mpesaCode: transaction.mpesaCode,
+            receiptNumber: transaction.receiptNumber,
+            credits: user.credits,
+            bonusCredits: user.bonusCredits || 0
+        });
+    } catch (error) {
+        console.error('Credit status error:', error);
+        res.status(500).json({ error: 'Failed to fetch payment status' });
+    }
+});
+
+// M-Pesa STK Push Callback (called by Daraja, not by the app)
+app.post('/api/mpesa/callback', async (req, res) => {
+    // Daraja retries anything that isn't acknowledged, so always acknowledge
+    const acknowledge = () => res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    
+    try {
+        if (!mpesa.verifyCallback(req)) {
+            return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+        }
+        
+        const callback = req.body && req.body.Body && req.body.Body.stkCallback;
+        if (!callback || !callback.CheckoutRequestID) {
+            return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback payload' });
+        }
+        
+        const transaction = await Transaction.findOne({
+            checkoutRequestId: callback.CheckoutRequestID,
+            type: { $in: ['credit_purchase', 'escrow_deposit', 'subscription_payment'] }
+        });
+        
+        if (!transaction) {
+            console.warn('M-Pesa callback for unknown checkout request:', callback.CheckoutRequestID);
+            return acknowledge();
+        }
+        
+        // Already settled by an earlier delivery of this callback
+        if (transaction.status !== 'pending') {
+            return acknowledge();
+        }
+        
+        const fail = (reason) => Transaction.updateOne(
+            { _id: transaction._id, status: 'pending' },
+            { $set: { status: 'failed', 'metadata.resultDesc': reason } }
+        );
+        
+        if (Number(callback.ResultCode) !== 0) {
+            await fail(callback.ResultDesc || 'Payment was not completed');
+            return acknowledge();
+        }
+        
+        const paid = mpesa.parseCallbackMetadata(callback.CallbackMetadata);
+        const mpesaCode = paid.MpesaReceiptNumber;
+        
+        if (!mpesaCode) {
+            await fail('Missing M-Pesa receipt number');
+            return acknowledge();
+        }
+        
+        if (Number(paid.Amount) !== transaction.amount) {
+            await fail(`Amount mismatch: expected ${transaction.amount}, received ${paid.Amount}`);
+            return acknowledge();
+        }
+        
+        if (await Transaction.exists({ mpesaCode })) {
+            await fail(`Duplicate M-Pesa code ${mpesaCode}`);
+            return acknowledge();
+        }
+        
+        const fields = { mpesaCode, 'metadata.paidFrom': paid.PhoneNumber };
+        try {
+            if (transaction.type === 'escrow_deposit') {
+                const settled = await escrow.settleDeposit(transaction._id, fields);
+                if (settled) {
+                    notifyDepositSettled(settled).catch(error => {
+                        console.error('Escrow notification error:', error);
+                    });
+                }
+            } else if (transaction.type === 'subscription_payment') {
+                const settled = await subscriptions.settlePayment(transaction._id, fields);
+                if (settled) notifySubscriptionPaid(settled);
+            } else {
+                // The receipt number is taken with the purchase so numbers aren't skipped
+                const settled = await ledger.withTransaction(async (session) => {
+                    const purchase = await ledger.settlePending(transaction._id, fields, session);
+                    if (purchase) await receipts.assign(purchase, session);
+                    return purchase;
+                });
+                if (settled) {
+                    activity.recordLater({
+                        type: 'credits_purchased',
+                        actor: settled.user,
+                        participants: [settled.user],
+                        data: { credits: settled.credits, amount: settled.amount, transaction: settled._id }
+                    });
+                    promotions.rewardReferral(settled.user).catch(error => {
+                        console.error('Referral reward error:', error);
+                    });
+                }
+            }
+        } catch (error) {
+            // Unique index on mpesaCode lost a race with another transaction
+            if (error.code === 11000) {
+                await fail(`Duplicate M-Pesa code ${mpesaCode}`);
+                return acknowledge();
+            }
+            throw error;
+        }
+        
+        acknowledge();
+    } catch (error) {
+        console.error('M-Pesa callback error:', error);
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Callback processing failed' });
+    }
+});
+
+// Analytics and Activity
+// Options for the analytics routes: interval (day, week, month), from and to
+// (dates, Nairobi time). Results are cached for a few minutes per user.
+
+// Own Analytics (asker or fulfiller figures, by role)
+app.get('/api/analytics/overview', authenticateToken, async (req, res) => {
+    try {
+        const { options, error } = analytics.parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const overview = req.user.role === 'fulfiller'
+            ? await analytics.fulfillerOverview(req.user.userId, options)
+            : await analytics.askerOverview(req.user.userId, options);
+        
+        res.json({ success: true, analytics: overview });
+    } catch (error) {
+        console.error('Analytics overview error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics' });
+    }
+});
+
+// Views, Unlocks and Offers Over Time for One Need (asker or admin)
+app.get('/api/analytics/needs/:id', authenticateToken, async (req, res) => {
+    try {
+        const { options, error } = analytics.parseOptions(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        const need = await Need.findById(req.params.id).select('user title status');
+        if (!need || (!need.user.equals(req.user.userId) && req.user.role !== 'admin')) {
+            return res.status(404).json({ error: 'Need not found' });
+        }
+        
+        res.json({ success: true, analytics: await analytics.needSeries(need, options) });
+    } catch (error) {
+        console.error('Need analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch need analytics' });
+    }
+});
+
+// Activity Feed (newest first; pass the last item's createdAt as ?before= for more)
+app.get('/api/activity', authenticateToken, async (req, res) => {
+    try {
+        const before = req.query.before ? new Date(String(req.query.before)) : undefined;
+        if (before && isNaN(before)) {
+            return res.status(400).json({ error: 'before must be a date' });
+        }
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+        
+        const events = await activity.feed(req.user.userId, { before, limit });
+        
+        res.json({
+            success: true,
+            activity: events,
+            nextBefore: events.length === limit ? events[events.length - 1].createdAt : null
+        });
+    } catch (error) {
+        console.error('Activity feed error:', error);
+        res.status(500).json({ error: 'Failed to fetch activity' });
+    }
+});
+
+// Get Dashboard Stats
+app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        
+        let stats = {};
+        
+        // Unread messages across every conversation the user is part of
+        const conversations = await Conversation.find({
+            $or: [{ asker: user._id }, { fulfiller: user._id }]
+        }).select('asker askerUnread fulfillerUnread');
+        
+        const unreadMessages = conversations.reduce((sum, conversation) =>
+            sum + (conversation.asker.equals(user._id) ? conversation.askerUnread : conversation.fulfillerUnread), 0);
         
-        let stats = {};
-        
         if (user.role === 'asker') {
             // Asker stats
             const activeNeeds = await Need.countDocuments({ 
@@ -453,19 +5696,28 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
             
             const completedNeeds = await Need.countDocuments({ 
                 user: req.user.userId, 
-                status: 'completed' 
+                status: 'fulfilled' 
             });
             
+            const needIds = await Need.find({ user: req.user.userId }).distinct('_id');
+            
             const totalOffers = await Transaction.countDocuments({
-                need: { $in: await Need.find({ user: req.user.userId }).distinct('_id') },
+                need: { $in: needIds },
                 type: 'unlock'
             });
             
+            // Amounts agreed with fulfillers on the asker's fulfilled needs
+            const totalSpent = await Transaction.aggregate([
+                { $match: { need: { $in: needIds }, type: 'job_completed', status: 'completed' } },
+                { $group: { _id: null, total: { $sum: '$amount' } } }
+            ]);
+            
             stats = {
                 activeNeeds,
                 completedNeeds,
                 totalOffers,
-                totalSpent: 0 // Calculate from completed needs
+                totalSpent: totalSpent[0]?.total || 0,
+                unreadMessages
             };
         } else {
             // Fulfiller stats
@@ -479,15 +5731,20 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
             });
             
             const totalEarned = await Transaction.aggregate([
-                { $match: { user: req.user.userId, type: 'job_completed', status: 'completed' } },
+                { $match: { user: user._id, type: 'job_completed', status: 'completed' } },
                 { $group: { _id: null, total: { $sum: '$amount' } } }
             ]);
             
+            const subscription = await subscriptions.findOpen(user._id);
+            
             stats = {
                 unlockedNeeds,
                 completedJobs,
                 totalEarned: totalEarned[0]?.total || 0,
-                credits: user.credits
+                credits: user.credits,
+                bonusCredits: user.bonusCredits || 0,
+                subscription: subscription ? subscriptions.view(subscription) : null,
+                unreadMessages
             };
         }
         
@@ -498,10 +5755,17 @@ app.get('/api/dashboard/stats', authenticateToken, async (req, res) => {
     }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`FulfillME backend running on port ${PORT}`);
-    console.log(`API URL: http://localhost:${PORT}/api`);
-});
+// Start server (payment callbacks can't be trusted without their secret, and
+// production mail and SMS must not fall back to the console). Tests require
+// this file for `app` and start their own listener.
+if (require.main === module) {
+    mpesa.assertConfigured();
+    mailer.assertConfigured();
+    sms.assertConfigured();
+    app.listen(PORT, () => {
+        console.log(`FulfillME backend running on port ${PORT}`);
+        console.log(`API URL: http://localhost:${PORT}/api`);
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,86 @@
+// Activity feed
+//
+// Routes record an event whenever something happens to a need, an offer or a
+// user's account; each event appears in the feed of everyone it lists as a
+// participant, worded for that reader. Recording an event also clears the
+// participants' cached analytics, since their numbers have just changed.
+
+const ActivityEvent = require('../models/ActivityEvent');
+const cache = require('./cache');
+
+const MAX_FEED = 50;
+
+const record = async ({ type, actor, participants, need, data }) => {
+    const unique = [...new Set(participants.filter(Boolean).map(String))];
+    
+    const event = await ActivityEvent.create({
+        type,
+        actor,
+        participants: unique,
+        need,
+        data,
+        createdAt: new Date()
+    });
+    
+    unique.forEach(userId => cache.clear(`analytics:${userId}:`));
+    
+    return event;
+};
+
+// Fire-and-forget for route handlers: a failed event never fails the request
+const recordLater = (event) => {
+    record(event).catch(error => {
+        console.error(`Activity event error (${event.type}):`, error);
+    });
+};
+
+const ksh = (amount) => `KSh ${Number(amount || 0).toLocaleString()}`;
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Feed line for each type: (event, title, isActor, actorName) => text
+const DESCRIPTIONS = {
+    need_posted: (e, title) => `You posted ${title}`,
+    need_unlocked: (e, title, mine) => (mine ? `You unlocked ${title}` : `A fulfiller unlocked ${title}`),
+    offer_made: (e, title, mine, name) => (mine
+        ? `You offered ${ksh(e.data?.amount)} on ${title}`
+        : `${name} offered ${ksh(e.data?.amount)} on ${title}`),
+    offer_accepted: (e, title, mine) => (mine ? `You accepted an offer on ${title}` : `Your offer on ${title} was accepted`),
+    offer_rejected: (e, title, mine) => (mine ? `You declined an offer on ${title}` : `Your offer on ${title} was declined`),
+    need_fulfilled: (e, title) => `${title} was completed`,
+    need_cancelled: (e, title, mine) => (mine ? `You cancelled ${title}` : `${title} was cancelled by the asker`),
+    review_posted: (e, title, mine) => (mine
+        ? `You left a ${e.data?.rating}-star review for ${title}`
+        : `You received a ${e.data?.rating}-star review for ${title}`),
+    credits_purchased: (e) => `You bought ${plural(e.data?.credits || 0, 'credit')}`
+};
+
+const view = (event, viewerId) => {
+    const mine = Boolean(event.actor && (event.actor._id || event.actor).toString() === viewerId.toString());
+    const title = event.need && event.need.title ? `"${event.need.title}"` : 'a need';
+    const actorName = (event.actor && event.actor.fullName) || 'Someone';
+    
+    return {
+        id: event._id,
+        type: event.type,
+        title: DESCRIPTIONS[event.type](event, title, mine, actorName),
+        need: event.need && event.need._id ? event.need._id : event.need,
+        mine,
+        createdAt: event.createdAt
+    };
+};
+
+// Newest first; pass the last event's createdAt as `before` for the next page
+const feed = async (userId, { before, limit = 20 } = {}) => {
+    const query = { participants: userId };
+    if (before) query.createdAt = { $lt: before };
+    
+    const events = await ActivityEvent.find(query)
+        .populate('actor', 'fullName')
+        .populate('need', 'title')
+        .sort({ createdAt: -1 })
+        .limit(Math.min(limit, MAX_FEED));
+    
+    return events.map(event => view(event, userId));
+};
+
+module.exports = { record, recordLater, feed, view };
@@ -0,0 +1,332 @@
+// Dashboard analytics
+//
+// Time series and rates for askers (views, unlocks and offers on their needs,
+// spend by category) and fulfillers (unlocks, offers, hires, earnings by
+// category), built with aggregation pipelines over the existing collections.
+// Need views are counted per day in NeedViewStat. Results are cached per user
+// for ANALYTICS_CACHE_SECONDS; new activity for a user clears their entries
+// (see services/activity.js).
+
+const mongoose = require('mongoose');
+const Need = require('../models/Need');
+const Transaction = require('../models/Transaction');
+const NeedViewStat = require('../models/NeedViewStat');
+const ledger = require('./ledger');
+const cache = require('./cache');
+
+const CACHE_SECONDS = parseInt(process.env.ANALYTICS_CACHE_SECONDS || 300);
+
+const TIMEZONE = 'Africa/Nairobi';
+const UTC_OFFSET = '+03:00';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 3 * 366;
+
+// Period labels: 2024-01-31, 2024-W05, 2024-01
+const INTERVALS = {
+    day: { format: '%Y-%m-%d', defaultDays: 30 },
+    week: { format: '%G-W%V', defaultDays: 12 * 7 },
+    month: { format: '%Y-%m', defaultDays: 365 }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const startOfDay = (date) => new Date(`${date}T00:00:00${UTC_OFFSET}`);
+const today = () => new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// interval (day, week, month), from and to (YYYY-MM-DD, Nairobi time, `to`
+// inclusive). Defaults end today so cache keys stay stable through the day.
+const parseOptions = (query) => {
+    const interval = query.interval ? String(query.interval) : 'month';
+    if (!INTERVALS[interval]) {
+        return { error: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+    }
+    
+    const fromText = query.from ? String(query.from) : null;
+    const toText = query.to ? String(query.to) : today();
+    if ((fromText && !DATE_PATTERN.test(fromText)) || !DATE_PATTERN.test(toText)) {
+        return { error: 'from and to must be dates, e.g. 2024-01-31' };
+    }
+    
+    const to = new Date(startOfDay(toText).getTime() + DAY_MS);
+    const from = fromText ? startOfDay(fromText) : new Date(to.getTime() - INTERVALS[interval].defaultDays * DAY_MS);
+    if (isNaN(from) || isNaN(to) || from >= to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `Choose a range of at most ${MAX_RANGE_DAYS} days` };
+    }
+    
+    return { options: { interval, from, to } };
+};
+
+const period = (field, interval) => ({
+    $dateToString: { format: INTERVALS[interval].format, date: field, timezone: TIMEZONE }
+});
+
+const rate = (part, whole) => (whole ? Math.round(part / whole * 10000) / 10000 : null);
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Merge grouped results ({ _id: period, ...counts }) into one sorted series
+// with every field present on every point
+const mergeSeries = (fields, ...groups) => {
+    const points = new Map();
+    groups.flat().forEach(({ _id, ...counts }) => {
+        const point = points.get(_id) || Object.fromEntries(fields.map(field => [field, 0]));
+        Object.entries(counts).forEach(([field, value]) => {
+            point[field] += value;
+        });
+        points.set(_id, point);
+    });
+    return [...points.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([label, counts]) => ({ period: label, ...counts }));
+};
+
+const sumField = (series, field) => series.reduce((total, point) => total + point[field], 0);
+
+// Amounts grouped by period and need category, from job_completed entries
+const amountsByCategory = (match, interval) => Transaction.aggregate([
+    { $match: { ...match, type: 'job_completed', status: 'completed' } },
+    { $lookup: { from: 'needs', localField: 'need', foreignField: '_id', as: 'needDoc' } },
+    { $group: {
+        _id: { period: period('$createdAt', interval), category: { $ifNull: [{ $arrayElemAt: ['$needDoc.category', 0] }, 'other'] } },
+        amount: { $sum: '$amount' },
+        jobs: { $sum: 1 }
+    } },
+    { $sort: { '_id.period': 1, '_id.category': 1 } }
+]).then(rows => rows.map(row => ({
+    period: row._id.period,
+    category: row._id.category,
+    amount: row.amount,
+    jobs: row.jobs
+})));
+
+const totalsByCategory = (rows) => {
+    const totals = new Map();
+    rows.forEach(row => {
+        const total = totals.get(row.category) || { category: row.category, amount: 0, jobs: 0 };
+        total.amount += row.amount;
+        total.jobs += row.jobs;
+        totals.set(row.category, total);
+    });
+    return [...totals.values()].sort((a, b) => b.amount - a.amount);
+};
+
+// Count a view of a need by anyone but its asker
+const recordView = async (need, viewerId) => {
+    const owner = need.user._id || need.user;
+    if (viewerId && owner.toString() === viewerId.toString()) return;
+    
+    const day = startOfDay(today());
+    await NeedViewStat.updateOne(
+        { need: need._id, day },
+        { $inc: { views: 1 }, $setOnInsert: { owner } },
+        { upsert: true }
+    );
+};
+
+// Views, unlocks and offers over time for one need
+const needSeries = (need, { interval, from, to }) => cache.wrap(
+    `analytics:${need.user}:need:${need._id}:${interval}:${from.toISOString()}:${to.toISOString()}`,
+    CACHE_SECONDS,
+    async () => {
+        const range = { $gte: from, $lt: to };
+        
+        const views = await NeedViewStat.aggregate([
+            { $match: { need: need._id, day: range } },
+            { $group: { _id: period('$day', interval), views: { $sum: '$views' } } }
+        ]);
+        
+        const unlocks = await Transaction.aggregate([
+            { $match: { need: need._id, type: 'unlock', status: { $in: ledger.LEDGER_STATUSES }, createdAt: range } },
+            { $group: { _id: period('$createdAt', interval), unlocks: { $sum: 1 } } }
+        ]);
+        
+        const offers = await Need.aggregate([
+            { $match: { _id: need._id } },
+            { $unwind: '$offers' },
+            { $match: { 'offers.createdAt': range } },
+            { $group: {
+                _id: period('$offers.createdAt', interval),
+                offers: { $sum: 1 },
+                accepted: { $sum: { $cond: [{ $eq: ['$offers.status', 'accepted'] }, 1, 0] } }
+            } }
+        ]);
+        
+        const series = mergeSeries(['views', 'unlocks', 'offers', 'accepted'], views, unlocks, offers);
+        const totals = {
+            views: sumField(series, 'views'),
+            unlocks: sumField(series, 'unlocks'),
+            offers: sumField(series, 'offers'),
+            accepted: sumField(series, 'accepted')
+        };
+        
+        return {
+            need: { id: need._id, title: need.title, status: need.status },
+            interval,
+            from,
+            to,
+            totals: { ...totals, unlockRate: rate(totals.unlocks, totals.views) },
+            series,
+            generatedAt: new Date()
+        };
+    }
+);
+
+const askerOverview = (userId, { interval, from, to }) => cache.wrap(
+    `analytics:${userId}:asker:${interval}:${from.toISOString()}:${to.toISOString()}`,
+    CACHE_SECONDS,
+    async () => {
+        const user = toObjectId(userId);
+        const range = { $gte: from, $lt: to };
+        const needIds = await Need.find({ user }).distinct('_id');
+        
+        const views = await NeedViewStat.aggregate([
+            { $match: { owner: user, day: range } },
+            { $group: { _id: period('$day', interval), views: { $sum: '$views' } } }
+        ]);
+        
+        const unlocks = await Transaction.aggregate([
+            { $match: { need: { $in: needIds }, type: 'unlock', status: { $in: ledger.LEDGER_STATUSES }, createdAt: range } },
+            { $group: { _id: period('$createdAt', interval), unlocks: { $sum: 1 } } }
+        ]);
+        
+        // Withdrawn offers never reached a decision, so they don't count
+        const offers = await Need.aggregate([
+            { $match: { user } },
+            { $unwind: '$offers' },
+            { $match: { 'offers.createdAt': range, 'offers.status': { $ne: 'withdrawn' } } },
+            { $group: {
+                _id: period('$offers.createdAt', interval),
+                offers: { $sum: 1 },
+                accepted: { $sum: { $cond: [{ $eq: ['$offers.status', 'accepted'] }, 1, 0] } }
+            } }
+        ]);
+        
+        const posted = await Need.aggregate([
+            { $match: { user, createdAt: range } },
+            { $group: { _id: period('$createdAt', interval), needsPosted: { $sum: 1 } } }
+        ]);
+        
+        const spending = await amountsByCategory({ 'metadata.asker': user, createdAt: range }, interval);
+        
+        // Per-need totals for the most recent needs
+        const recentNeeds = await Need.find({ user })
+            .select('title status category createdAt offers.status')
+            .sort({ createdAt: -1 })
+            .limit(20);
+        const recentIds = recentNeeds.map(need => need._id);
+        const viewsByNeed = await NeedViewStat.aggregate([
+            { $match: { need: { $in: recentIds }, day: range } },
+            { $group: { _id: '$need', views: { $sum: '$views' } } }
+        ]);
+        const unlocksByNeed = await Transaction.aggregate([
+            { $match: { need: { $in: recentIds }, type: 'unlock', status: { $in: ledger.LEDGER_STATUSES }, createdAt: range } },
+            { $group: { _id: '$need', unlocks: { $sum: 1 } } }
+        ]);
+        const countFor = (rows, id, field) => (rows.find(row => row._id.equals(id)) || { [field]: 0 })[field];
+        
+        const series = mergeSeries(['needsPosted', 'views', 'unlocks', 'offers', 'accepted', 'spent'],
+            posted, views, unlocks, offers, spending.map(row => ({ _id: row.period, spent: row.amount })));
+        const offerTotal = sumField(series, 'offers');
+        const acceptedTotal = sumField(series, 'accepted');
+        
+        return {
+            role: 'asker',
+            interval,
+            from,
+            to,
+            totals: {
+                needsPosted: sumField(series, 'needsPosted'),
+                views: sumField(series, 'views'),
+                unlocks: sumField(series, 'unlocks'),
+                offersReceived: offerTotal,
+                offersAccepted: acceptedTotal,
+                offerConversionRate: rate(acceptedTotal, offerTotal),
+                spent: sumField(series, 'spent')
+            },
+            series,
+            spendByCategory: totalsByCategory(spending),
+            spendByCategoryAndPeriod: spending,
+            needs: recentNeeds.map(need => ({
+                id: need._id,
+                title: need.title,
+                status: need.status,
+                category: need.category,
+                views: countFor(viewsByNeed, need._id, 'views'),
+                unlocks: countFor(unlocksByNeed, need._id, 'unlocks'),
+                offers: need.offers.filter(offer => offer.status !== 'withdrawn').length
+            })),
+            generatedAt: new Date()
+        };
+    }
+);
+
+const fulfillerOverview = (userId, { interval, from, to }) => cache.wrap(
+    `analytics:${userId}:fulfiller:${interval}:${from.toISOString()}:${to.toISOString()}`,
+    CACHE_SECONDS,
+    async () => {
+        const user = toObjectId(userId);
+        const range = { $gte: from, $lt: to };
+        
+        const unlockMatch = { user, type: 'unlock', status: { $in: ledger.LEDGER_STATUSES }, createdAt: range };
+        const unlocks = await Transaction.aggregate([
+            { $match: unlockMatch },
+            { $group: { _id: period('$createdAt', interval), unlocks: { $sum: 1 } } }
+        ]);
+        
+        const offers = await Need.aggregate([
+            { $match: { 'offers.fulfiller': user } },
+            { $unwind: '$offers' },
+            { $match: { 'offers.fulfiller': user, 'offers.createdAt': range, 'offers.status': { $ne: 'withdrawn' } } },
+            { $group: {
+                _id: period('$offers.createdAt', interval),
+                offers: { $sum: 1 },
+                hires: { $sum: { $cond: [{ $eq: ['$offers.status', 'accepted'] }, 1, 0] } }
+            } }
+        ]);
+        
+        // Of the needs unlocked in the range, how many ended with this fulfiller hired
+        const unlockedNeeds = await Transaction.distinct('need', unlockMatch);
+        const hiredNeeds = unlockedNeeds.length
+            ? await Need.countDocuments({ _id: { $in: unlockedNeeds }, selectedFulfiller: user })
+            : 0;
+        
+        const earnings = await amountsByCategory({ user, createdAt: range }, interval);
+        
+        const series = mergeSeries(['unlocks', 'offers', 'hires', 'earned'], unlocks, offers,
+            earnings.map(row => ({ _id: row.period, earned: row.amount })));
+        const offerTotal = sumField(series, 'offers');
+        const hireTotal = sumField(series, 'hires');
+        
+        return {
+            role: 'fulfiller',
+            interval,
+            from,
+            to,
+            totals: {
+                unlocks: sumField(series, 'unlocks'),
+                needsUnlocked: unlockedNeeds.length,
+                offersMade: offerTotal,
+                hires: hireTotal,
+                offerConversionRate: rate(hireTotal, offerTotal),
+                unlockToHireRate: rate(hiredNeeds, unlockedNeeds.length),
+                earned: sumField(series, 'earned')
+            },
+            series,
+            earningsByCategory: totalsByCategory(earnings),
+            earningsByCategoryAndPeriod: earnings,
+            generatedAt: new Date()
+        };
+    }
+);
+
+module.exports = {
+    INTERVALS,
+    parseOptions,
+    recordView,
+    needSeries,
+    askerOverview,
+    fulfillerOverview
+};
@@ -0,0 +1,15 @@
+// Admin audit trail
+
+const AuditLog = require('../models/AuditLog');
+
+// Record an admin action taken in request `req` against `targetType`/`targetId`
+const record = (req, action, targetType, targetId, details) => AuditLog.create({
+    actor: req.user.userId,
+    action,
+    targetType,
+    targetId,
+    details,
+    ip: req.ip
+});
+
+module.exports = { record };
@@ -0,0 +1,63 @@
+// Issue and redeem single-use auth tokens (see models/AuthToken.js)
+
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const MAX_CODE_ATTEMPTS = 5;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Replace any outstanding token of this type with a new one.
+// Links get a long random token; SMS gets a 6-digit code.
+const issue = async (userId, type, ttlMs, { numeric = false, target } = {}) => {
+    const value = numeric
+        ? String(crypto.randomInt(0, 1000000)).padStart(6, '0')
+        : crypto.randomBytes(32).toString('hex');
+    
+    await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+    await AuthToken.create({
+        user: userId,
+        type,
+        tokenHash: hash(value),
+        target,
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    
+    return value;
+};
+
+// Redeem a link token. Returns the token record, or null if it is unknown,
+// expired or already used.
+const consume = (type, value) => AuthToken.findOneAndUpdate(
+    { type, tokenHash: hash(value), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+);
+
+// Check an SMS code for a user and return the redeemed token, or null. Each
+// wrong guess counts against the code and it stops working after MAX_CODE_ATTEMPTS.
+const verifyCode = async (userId, type, code) => {
+    const token = await AuthToken.findOne({
+        user: userId,
+        type,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+    
+    if (!token || token.attempts >= MAX_CODE_ATTEMPTS) return null;
+    
+    const expected = Buffer.from(token.tokenHash, 'hex');
+    const actual = Buffer.from(hash(code), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        await AuthToken.updateOne({ _id: token._id }, { $inc: { attempts: 1 } });
+        return null;
+    }
+    
+    const result = await AuthToken.updateOne(
+        { _id: token._id, usedAt: null },
+        { $set: { usedAt: new Date() } }
+    );
+    return result.modifiedCount === 1 ? token : null;
+};
+
+module.exports = { issue, consume, verifyCode };
@@ -0,0 +1,40 @@
+// In-memory cache for expensive reads such as analytics aggregations
+//
+// Each server process keeps its own entries, which expire after their TTL.
+// Concurrent misses for the same key share one load, so a burst of dashboard
+// requests runs the aggregation once.
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || 1000);
+
+const entries = new Map();
+
+// Return the cached value for `key`, or run load() and cache its result
+const wrap = (key, ttlSeconds, load) => {
+    const hit = entries.get(key);
+    if (hit && hit.expiresAt > Date.now()) return hit.value;
+    
+    const value = Promise.resolve().then(load);
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    
+    // Don't keep failures around
+    value.catch(() => {
+        if (entries.get(key)?.value === value) entries.delete(key);
+    });
+    
+    // Maps keep insertion order, so the first key is the oldest
+    while (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+    
+    return value;
+};
+
+// Drop every entry whose key starts with `prefix`
+const clear = (prefix = '') => {
+    for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+    }
+};
+
+module.exports = { wrap, clear };
@@ -0,0 +1,83 @@
+// Finds and hides contact details in user-written text (need titles and
+// descriptions, offer messages) so they are only revealed by a paid unlock.
+//
+// Stored text is never changed; callers mask it per viewer when responding.
+
+const PLACEHOLDER = '[contact hidden]';
+
+// Digits can be typed, spelled out in English or Swahili, or mixed ("07 one 2...")
+const DIGIT_WORDS = {
+    zero: 0, oh: 0, sifuri: 0,
+    one: 1, moja: 1,
+    two: 2, mbili: 2,
+    three: 3, tatu: 3,
+    four: 4, nne: 4,
+    five: 5, tano: 5,
+    six: 6, sita: 6,
+    seven: 7, saba: 7,
+    eight: 8, nane: 8,
+    nine: 9, tisa: 9
+};
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+// Kenyan mobile numbers are 9 digits after the 0 or +254
+const MIN_PHONE_DIGITS = 9;
+
+const digitToken = `(?:\\d|\\b(?:${[...Object.keys(DIGIT_WORDS), ...Object.keys(REPEAT_WORDS)].join('|')})\\b)`;
+const DIGIT_RUN_PATTERN = new RegExp(`\\+?${digitToken}(?:[\\s.,()/-]*${digitToken})+`, 'gi');
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+\s*(?:@|\(at\)|\[at\]|\sat\s)\s*[a-z0-9-]+(?:\s*(?:\.|\(dot\)|\[dot\]|\sdot\s)\s*[a-z0-9-]+)*\s*(?:\.|\(dot\)|\[dot\]|\sdot\s)\s*(?:com|co\.ke|ke|org|net|io|me)\b/gi;
+const WHATSAPP_PATTERN = /\b(?:https?:\/\/)?(?:wa\.me|api\.whatsapp\.com|chat\.whatsapp\.com|whatsapp\.com\/send)\/?\S*/gi;
+const SOCIAL_LINK_PATTERN = /\b(?:https?:\/\/)?(?:www\.)?(?:instagram\.com|facebook\.com|fb\.com|fb\.me|m\.me|t\.me|telegram\.me|twitter\.com|x\.com|tiktok\.com|linkedin\.com\/in|snapchat\.com\/add)\/\S+/gi;
+const SOCIAL_LABEL_PATTERN = /\b(?:ig|insta|instagram|fb|facebook|telegram|tg|twitter|tiktok|snapchat|snap|whatsapp|wa)\s*[:=-]\s*@?[a-z0-9._]{3,}/gi;
+const HANDLE_PATTERN = /(^|[^a-z0-9._%+-])@[a-z0-9_](?:[a-z0-9._]{1,29})/gi;
+
+// Number of digits a spelled or typed run stands for
+const countDigits = (run) => {
+    let count = 0;
+    let repeat = 1;
+    const tokens = run.toLowerCase().match(new RegExp(digitToken, 'gi')) || [];
+    tokens.forEach(token => {
+        if (REPEAT_WORDS[token]) {
+            repeat = REPEAT_WORDS[token];
+            return;
+        }
+        count += repeat;
+        repeat = 1;
+    });
+    return count;
+};
+
+// Each detector replaces what it finds and reports its kind
+const detectors = [
+    { kind: 'whatsapp', replace: (text) => text.replace(WHATSAPP_PATTERN, PLACEHOLDER) },
+    { kind: 'social', replace: (text) => text.replace(SOCIAL_LINK_PATTERN, PLACEHOLDER) },
+    { kind: 'email', replace: (text) => text.replace(EMAIL_PATTERN, PLACEHOLDER) },
+    { kind: 'social', replace: (text) => text.replace(SOCIAL_LABEL_PATTERN, PLACEHOLDER) },
+    { kind: 'social', replace: (text) => text.replace(HANDLE_PATTERN, (match, before) => `${before}${PLACEHOLDER}`) },
+    {
+        kind: 'phone',
+        replace: (text) => text.replace(DIGIT_RUN_PATTERN, run => (
+            countDigits(run) >= MIN_PHONE_DIGITS ? PLACEHOLDER : run
+        ))
+    }
+];
+
+// Returns { text, found } where found lists the kinds of contact detail hidden
+const mask = (text) => {
+    if (!text) return { text, found: [] };
+    
+    const found = new Set();
+    let masked = String(text);
+    detectors.forEach(({ kind, replace }) => {
+        const next = replace(masked);
+        if (next !== masked) found.add(kind);
+        masked = next;
+    });
+    
+    return { text: masked, found: [...found] };
+};
+
+const detect = (text) => mask(text).found;
+
+module.exports = { mask, detect, PLACEHOLDER };
@@ -0,0 +1,45 @@
+// Credit bundle catalogue
+//
+// Admins manage bundles through /api/admin/bundles. An empty catalogue is
+// seeded with DEFAULT_BUNDLES the first time it is read.
+
+const CreditBundle = require('../models/CreditBundle');
+
+// KSh per credit when buying a single credit; bundles are priced against it
+const CREDIT_PRICE = parseInt(process.env.CREDIT_PRICE || 100);
+
+const DEFAULT_BUNDLES = [
+    { name: 'Single', credits: 1, price: 100, sortOrder: 1 },
+    { name: 'Starter', credits: 5, price: 450, sortOrder: 2 },
+    { name: 'Pro', credits: 12, price: 1000, sortOrder: 3 },
+    { name: 'Business', credits: 30, price: 2400, sortOrder: 4 }
+];
+
+const ensureDefaults = async () => {
+    if (await CreditBundle.exists({})) return;
+    
+    try {
+        await CreditBundle.insertMany(DEFAULT_BUNDLES, { ordered: false });
+    } catch (error) {
+        // Another request seeded it first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+const list = async ({ includeInactive = false } = {}) => {
+    await ensureDefaults();
+    return CreditBundle.find(includeInactive ? {} : { active: true }).sort({ sortOrder: 1, price: 1 });
+};
+
+const view = (bundle) => ({
+    id: bundle._id,
+    name: bundle.name,
+    credits: bundle.credits,
+    price: bundle.price,
+    perCredit: Math.round(bundle.price / bundle.credits * 100) / 100,
+    savingPercent: Math.max(0, Math.round((1 - bundle.price / (bundle.credits * CREDIT_PRICE)) * 100)),
+    active: bundle.active,
+    sortOrder: bundle.sortOrder
+});
+
+module.exports = { CREDIT_PRICE, DEFAULT_BUNDLES, list, view };
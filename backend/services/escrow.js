@@ -0,0 +1,261 @@
+// Escrow
+//
+// An asker pays the agreed amount for an accepted offer into escrow over an
+// M-Pesa STK push. The money is held until the asker confirms the job, or until
+// ESCROW_AUTO_RELEASE_DAYS after the fulfiller marks it delivered with no
+// dispute, and is then paid into the fulfiller's wallet less
+// ESCROW_COMMISSION_PERCENT. Disputed escrows wait for an admin to release or
+// refund them; refunds go to the asker's wallet.
+
+const Escrow = require('../models/Escrow');
+const Need = require('../models/Need');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const wallet = require('./wallet');
+const notifications = require('./notifications');
+const activity = require('./activity');
+
+const COMMISSION_PERCENT = parseFloat(process.env.ESCROW_COMMISSION_PERCENT || 10);
+const AUTO_RELEASE_DAYS = parseInt(process.env.ESCROW_AUTO_RELEASE_DAYS || 7);
+
+// An STK push older than this without a callback is treated as abandoned
+const DEPOSIT_PENDING_MINUTES = 10;
+
+// Escrows that still tie up the need
+const OPEN_STATUSES = ['awaiting_payment', 'held', 'disputed'];
+
+const roundKsh = (amount) => Math.round(amount * 100) / 100;
+
+const findOpen = (needId) => Escrow.findOne({ need: needId, status: { $in: OPEN_STATUSES } });
+
+const depositInProgress = (escrowId) => Transaction.exists({
+    escrow: escrowId,
+    type: 'escrow_deposit',
+    status: 'pending',
+    createdAt: { $gte: new Date(Date.now() - DEPOSIT_PENDING_MINUTES * 60 * 1000) }
+});
+
+// Called from the STK callback once a deposit is paid. A payment for an escrow
+// that is no longer waiting for one (cancelled, or paid twice) goes back to the
+// asker's wallet. Returns null if the deposit was already settled.
+const settleDeposit = (transactionId, fields) => ledger.withTransaction(async (session) => {
+    const transaction = await ledger.settlePending(transactionId, fields, session);
+    if (!transaction) return null;
+    
+    const escrow = await Escrow.findOneAndUpdate(
+        { _id: transaction.escrow, status: 'awaiting_payment' },
+        { $set: { status: 'held', heldAt: new Date(), depositTransaction: transaction._id } },
+        { new: true, session }
+    );
+    
+    if (!escrow) {
+        const refund = await wallet.credit({
+            userId: transaction.user,
+            amount: transaction.amount,
+            type: 'escrow_refund',
+            need: transaction.need,
+            escrow: transaction.escrow,
+            metadata: { reason: 'escrow_not_awaiting_payment', deposit: transaction._id }
+        }, session);
+        return { transaction, escrow: null, refund };
+    }
+    
+    return { transaction, escrow };
+});
+
+// Mark an in-progress need fulfilled and record the job for the fulfiller.
+// Shared by the asker's confirmation and escrow release. Returns the
+// job_completed entry, or null if the need was not in progress.
+const fulfilNeed = async (needId, session = null) => {
+    const now = new Date();
+    const need = await Need.findOneAndUpdate(
+        { _id: needId, status: 'in_progress' },
+        { $set: { status: 'fulfilled', completedAt: now, updatedAt: now } },
+        { new: true, session }
+    );
+    if (!need) return null;
+    
+    // The agreed amount is the accepted offer, falling back to the posted budget
+    const acceptedOffer = need.offers.find(offer =>
+        offer.status === 'accepted' && offer.fulfiller.equals(need.selectedFulfiller)
+    );
+    const amount = acceptedOffer && acceptedOffer.amount != null ? acceptedOffer.amount : need.budget;
+    
+    const [transaction] = await Transaction.create([{
+        user: need.selectedFulfiller,
+        need: need._id,
+        amount,
+        credits: 0,
+        type: 'job_completed',
+        status: 'completed',
+        metadata: {
+            asker: need.user,
+            offer: acceptedOffer ? acceptedOffer._id : null
+        },
+        createdAt: now,
+        completedAt: now
+    }], { session });
+    
+    await User.updateOne(
+        { _id: need.selectedFulfiller },
+        { $inc: { completedJobs: 1 } },
+        { session }
+    );
+    
+    return transaction;
+};
+
+// Pay a held (or, for admins, disputed) escrow to the fulfiller's wallet less
+// commission. Returns the released escrow, or null if it wasn't in `from`.
+const release = async (escrowId, { from = ['held'], resolution } = {}, session = null) => {
+    const escrow = await Escrow.findOne({ _id: escrowId, status: { $in: from } }).session(session);
+    if (!escrow) return null;
+    
+    const commission = roundKsh(escrow.amount * COMMISSION_PERCENT / 100);
+    const payout = roundKsh(escrow.amount - commission);
+    
+    const released = await Escrow.findOneAndUpdate(
+        { _id: escrow._id, status: escrow.status },
+        {
+            $set: {
+                status: 'released',
+                commissionPercent: COMMISSION_PERCENT,
+                commission,
+                payout,
+                releasedAt: new Date(),
+                ...(resolution ? { resolution } : {})
+            }
+        },
+        { new: true, session }
+    );
+    if (!released) return null;
+    
+    const transaction = await wallet.credit({
+        userId: released.fulfiller,
+        amount: payout,
+        type: 'escrow_release',
+        need: released.need,
+        escrow: released._id,
+        metadata: { gross: released.amount, commission, commissionPercent: COMMISSION_PERCENT }
+    }, session);
+    
+    released.releaseTransaction = transaction._id;
+    await released.save({ session });
+    
+    return released;
+};
+
+// Return a held or disputed escrow to the asker's wallet. Returns the refunded
+// escrow, or null if it wasn't in `from`.
+const refund = async (escrowId, { from = ['held', 'disputed'], resolution } = {}, session = null) => {
+    const refunded = await Escrow.findOneAndUpdate(
+        { _id: escrowId, status: { $in: from } },
+        {
+            $set: {
+                status: 'refunded',
+                refundedAt: new Date(),
+                ...(resolution ? { resolution } : {})
+            }
+        },
+        { new: true, session }
+    );
+    if (!refunded) return null;
+    
+    const transaction = await wallet.credit({
+        userId: refunded.asker,
+        amount: refunded.amount,
+        type: 'escrow_refund',
+        need: refunded.need,
+        escrow: refunded._id,
+        metadata: { reason: resolution ? 'dispute' : 'refunded' }
+    }, session);
+    
+    refunded.refundTransaction = transaction._id;
+    await refunded.save({ session });
+    
+    return refunded;
+};
+
+// Release and close the need together (auto-release, admin release)
+const releaseAndFulfil = async (escrowId, options) => {
+    let job = null;
+    const released = await ledger.withTransaction(async (session) => {
+        const result = await release(escrowId, options, session);
+        if (!result) return null;
+        
+        job = await fulfilNeed(result.need, session);
+        return result;
+    });
+    
+    if (job) {
+        activity.recordLater({
+            type: 'need_fulfilled',
+            actor: null,
+            participants: [released.asker, released.fulfiller],
+            need: released.need,
+            data: { amount: job.amount }
+        });
+    }
+    
+    return released;
+};
+
+const notifyReleased = (escrow, title) => {
+    notifications.notifyLater(escrow.fulfiller, {
+        type: 'escrow_released',
+        title: 'Payment released',
+        body: `KSh ${escrow.payout.toLocaleString()} for "${title}" is in your wallet (KSh ${escrow.commission.toLocaleString()} commission).`,
+        url: '/pages/dashboard.html',
+        data: { need: escrow.need, escrow: escrow._id }
+    });
+};
+
+const notifyRefunded = (escrow, title) => {
+    notifications.notifyLater(escrow.asker, {
+        type: 'escrow_refunded',
+        title: 'Escrow refunded',
+        body: `KSh ${escrow.amount.toLocaleString()} for "${title}" was returned to your wallet.`,
+        url: '/pages/dashboard.html',
+        data: { need: escrow.need, escrow: escrow._id }
+    });
+};
+
+// Held escrows past their auto-release date with no dispute
+const releaseDue = async () => {
+    const due = Escrow.find({ status: 'held', autoReleaseAt: { $lte: new Date() } })
+        .select('_id need')
+        .cursor();
+    
+    let released = 0;
+    for await (const escrow of due) {
+        try {
+            const result = await releaseAndFulfil(escrow._id);
+            if (!result) continue;
+            
+            released++;
+            const need = await Need.findById(result.need).select('title');
+            notifyReleased(result, need ? need.title : 'your job');
+        } catch (error) {
+            console.error(`Auto-release of escrow ${escrow._id} failed:`, error);
+        }
+    }
+    
+    return released;
+};
+
+module.exports = {
+    COMMISSION_PERCENT,
+    AUTO_RELEASE_DAYS,
+    OPEN_STATUSES,
+    findOpen,
+    depositInProgress,
+    settleDeposit,
+    fulfilNeed,
+    release,
+    refund,
+    releaseAndFulfil,
+    notifyReleased,
+    notifyRefunded,
+    releaseDue
+};
@@ -0,0 +1,82 @@
+// Uploaded photo checks and processing
+//
+// The declared MIME type is only a hint, so uploads are also checked by their
+// magic bytes. Every photo is re-encoded, which drops EXIF data (including GPS
+// coordinates) after applying its orientation, and gets a square thumbnail.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 400;
+
+const signatures = [
+    { type: 'image/jpeg', test: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { type: 'image/png', test: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: 'image/webp', test: (b) => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const ALLOWED_TYPES = signatures.map(signature => signature.type);
+
+// The real image type from the file contents, or null
+const detectType = (buffer) => {
+    const match = signatures.find(signature => signature.test(buffer));
+    return match ? match.type : null;
+};
+
+class ImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageError';
+    }
+}
+
+// Check, resize and store one upload under `prefix`.
+// Returns { key, url, thumbnailKey, thumbnailUrl, width, height }.
+const save = async (buffer, prefix) => {
+    if (!detectType(buffer)) {
+        throw new ImageError('Only JPEG, PNG and WebP images are allowed');
+    }
+    
+    let full;
+    let thumbnail;
+    try {
+        const image = sharp(buffer, { failOn: 'error' }).rotate();
+        full = await image.clone()
+            .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 82 })
+            .toBuffer({ resolveWithObject: true });
+        thumbnail = await image.clone()
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+            .webp({ quality: 75 })
+            .toBuffer();
+    } catch (error) {
+        throw new ImageError('Image could not be read');
+    }
+    
+    const name = crypto.randomBytes(12).toString('hex');
+    const key = `${prefix}/${name}.webp`;
+    const thumbnailKey = `${prefix}/${name}-thumb.webp`;
+    
+    await storage.put(key, full.data, 'image/webp');
+    await storage.put(thumbnailKey, thumbnail, 'image/webp');
+    
+    return {
+        key,
+        url: storage.url(key),
+        thumbnailKey,
+        thumbnailUrl: storage.url(thumbnailKey),
+        width: full.info.width,
+        height: full.info.height
+    };
+};
+
+// Delete stored files; failures are logged, not thrown
+const remove = async (...keys) => {
+    await Promise.all(keys.filter(Boolean).map(key => storage.remove(key).catch(error => {
+        console.error(`Failed to delete ${key}:`, error);
+    })));
+};
+
+module.exports = { ALLOWED_TYPES, ImageError, detectType, save, remove };
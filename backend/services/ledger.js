@@ -0,0 +1,358 @@
+// Credit ledger
+//
+// Every change to User.credits and User.bonusCredits goes through here so the
+// balances and the Transaction history move together. Balance updates are
+// conditional writes, so concurrent requests can't spend the same credit twice.
+// Bonus credits (promo codes, referrals) are spent before purchased ones, and
+// each entry records how much came from each pool so refunds put it back. Set
+// MONGODB_TRANSACTIONS=true on a replica set to also wrap each change in a
+// Mongo transaction.
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Subscription = require('../models/Subscription');
+const LedgerDiscrepancy = require('../models/LedgerDiscrepancy');
+
+class LedgerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'LedgerError';
+        this.status = status;
+    }
+}
+
+const transactionsEnabled = () => process.env.MONGODB_TRANSACTIONS === 'true';
+
+// Run work(session) inside a Mongo transaction when enabled, else with no session
+const withTransaction = async (work) => {
+    if (!transactionsEnabled()) {
+        return work(null);
+    }
+    
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        session.endSession();
+    }
+};
+
+const findByIdempotencyKey = (userId, idempotencyKey) => {
+    if (!idempotencyKey) return null;
+    return Transaction.findOne({ user: userId, idempotencyKey });
+};
+
+// Create the ledger entry first so a repeated Idempotency-Key fails fast
+const createEntry = async (entry, session) => {
+    try {
+        const [transaction] = await Transaction.create([entry], { session });
+        return transaction;
+    } catch (error) {
+        if (error.code === 11000 && entry.idempotencyKey) {
+            throw new LedgerError('A request with this Idempotency-Key is already being processed', 409);
+        }
+        throw error;
+    }
+};
+
+// Spend credits, bonus credits first. Fails with LedgerError if the combined
+// balance would go negative.
+const debit = async ({ userId, credits, type, amount, need, idempotencyKey, metadata }, session = null) => {
+    const transaction = await createEntry({
+        user: userId,
+        need,
+        amount,
+        credits: -credits,
+        type,
+        status: 'pending',
+        idempotencyKey,
+        metadata,
+        createdAt: new Date()
+    }, session);
+    
+    // One pipeline update takes the bonus part and the purchased remainder
+    // together; the pre-update document tells us how it was split
+    const bonus = { $ifNull: ['$bonusCredits', 0] };
+    const purchased = { $ifNull: ['$credits', 0] };
+    const bonusUsed = { $min: [{ $max: [bonus, 0] }, credits] };
+    
+    const before = await User.findOneAndUpdate(
+        { _id: userId, $expr: { $gte: [{ $add: [purchased, bonus] }, credits] } },
+        [{
+            $set: {
+                bonusCredits: { $subtract: [bonus, bonusUsed] },
+                credits: { $subtract: [purchased, { $subtract: [credits, bonusUsed] }] }
+            }
+        }],
+        { session, projection: { credits: 1, bonusCredits: 1 } }
+    );
+    
+    if (!before) {
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $set: { status: 'failed', 'metadata.resultDesc': 'Insufficient credits' } },
+            { session }
+        );
+        throw new LedgerError('Insufficient credits. Please add credits first.');
+    }
+    
+    const fromBonus = Math.min(Math.max(before.bonusCredits || 0, 0), credits);
+    transaction.credits = -(credits - fromBonus);
+    transaction.bonusCredits = -fromBonus;
+    transaction.status = 'completed';
+    transaction.completedAt = new Date();
+    await transaction.save({ session });
+    
+    return transaction;
+};
+
+// Take credits from the named pools only (admin corrections), with no
+// bonus-first split. Fails with LedgerError if either pool would go negative.
+const deduct = async ({ userId, credits = 0, bonusCredits = 0, type, amount, idempotencyKey, metadata }, session = null) => {
+    const transaction = await createEntry({
+        user: userId,
+        amount,
+        credits: -credits,
+        bonusCredits: -bonusCredits,
+        type,
+        status: 'pending',
+        idempotencyKey,
+        metadata,
+        createdAt: new Date()
+    }, session);
+    
+    const result = await User.updateOne(
+        {
+            _id: userId,
+            $expr: {
+                $and: [
+                    { $gte: [{ $ifNull: ['$credits', 0] }, credits] },
+                    { $gte: [{ $ifNull: ['$bonusCredits', 0] }, bonusCredits] }
+                ]
+            }
+        },
+        { $inc: { credits: -credits, bonusCredits: -bonusCredits } },
+        { session }
+    );
+    
+    if (result.modifiedCount === 0) {
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $set: { status: 'failed', 'metadata.resultDesc': 'Insufficient credits' } },
+            { session }
+        );
+        throw new LedgerError('Insufficient credits in that balance');
+    }
+    
+    transaction.status = 'completed';
+    transaction.completedAt = new Date();
+    await transaction.save({ session });
+    
+    return transaction;
+};
+
+// Grant credits straight away (refunds, bonuses, adjustments). `credits` are
+// purchased credits, `bonusCredits` promotional ones.
+const credit = async ({ userId, credits = 0, bonusCredits = 0, type, amount, need, idempotencyKey, metadata, refundOf }, session = null) => {
+    const transaction = await createEntry({
+        user: userId,
+        need,
+        amount,
+        credits,
+        bonusCredits,
+        type,
+        refundOf,
+        status: 'completed',
+        idempotencyKey,
+        metadata,
+        createdAt: new Date(),
+        completedAt: new Date()
+    }, session);
+    
+    await User.updateOne({ _id: userId }, { $inc: { credits, bonusCredits } }, { session });
+    
+    return transaction;
+};
+
+// Give back a completed debit through a linked `refund` entry and mark the
+// original `refunded`. An unlock covered by a subscription plan goes back to the
+// plan if its period hasn't moved on. Returns the refund, or null if it was
+// already refunded.
+const refund = async (transactionId, metadata = {}, session = null) => {
+    const original = await Transaction.findOneAndUpdate(
+        {
+            _id: transactionId,
+            status: 'completed',
+            $or: [
+                { credits: { $lt: 0 } },
+                { bonusCredits: { $lt: 0 } },
+                { credits: null, type: 'unlock' },
+                { subscription: { $ne: null }, type: 'unlock' }
+            ]
+        },
+        { $set: { status: 'refunded' } },
+        { new: true, session }
+    );
+    
+    if (!original) return null;
+    
+    if (original.subscription) {
+        await Subscription.updateOne(
+            { _id: original.subscription, currentPeriodStart: { $lte: original.createdAt }, unlocksUsed: { $gt: 0 } },
+            { $inc: { unlocksUsed: -1 } },
+            { session }
+        );
+    }
+    
+    return credit({
+        userId: original.user,
+        credits: -creditDelta(original),
+        bonusCredits: -bonusDelta(original),
+        type: 'refund',
+        amount: original.amount,
+        need: original.need,
+        refundOf: original._id,
+        metadata
+    }, session);
+};
+
+// Confirm a pending credit entry (e.g. an M-Pesa purchase) and apply it once.
+// Returns null if the entry was already settled.
+const settlePending = async (transactionId, fields = {}, session = null) => {
+    const transaction = await Transaction.findOneAndUpdate(
+        { _id: transactionId, status: 'pending' },
+        { $set: { ...fields, status: 'completed', completedAt: new Date() } },
+        { new: true, session }
+    );
+    
+    if (!transaction) return null;
+    
+    if (transaction.credits || transaction.bonusCredits) {
+        await User.updateOne(
+            { _id: transaction.user },
+            { $inc: { credits: transaction.credits || 0, bonusCredits: transaction.bonusCredits || 0 } },
+            { session }
+        );
+    }
+    
+    return transaction;
+};
+
+// Credit effect of a completed entry, including entries written before
+// Transaction.credits existed
+const creditDelta = (transaction) => {
+    if (typeof transaction.credits === 'number') return transaction.credits;
+    if (transaction.type === 'unlock') return -1;
+    if (transaction.type === 'credit_purchase') return transaction.amount / 100;
+    return 0;
+};
+
+const bonusDelta = (transaction) => (typeof transaction.bonusCredits === 'number' ? transaction.bonusCredits : 0);
+
+// Credits a debit actually took, from both pools
+const creditsSpent = (transaction) => -(creditDelta(transaction) + bonusDelta(transaction));
+
+// Entries that count towards balances. Refunded debits still happened; the
+// credits came back as a separate entry.
+const LEDGER_STATUSES = ['completed', 'refunded'];
+
+// Balances a user's ledger adds up to, optionally only counting entries that
+// completed before a date (statement opening balances)
+const ledgerBalance = async (userId, before = null) => {
+    const balances = { credits: 0, bonus: 0 };
+    
+    const cursor = Transaction.find({ user: userId, status: { $in: LEDGER_STATUSES } })
+        .select('type amount credits bonusCredits createdAt completedAt')
+        .lean()
+        .cursor();
+    
+    for await (const transaction of cursor) {
+        if (before && (transaction.completedAt || transaction.createdAt) >= before) continue;
+        balances.credits += creditDelta(transaction);
+        balances.bonus += bonusDelta(transaction);
+    }
+    
+    return balances;
+};
+
+// Recompute every balance from the ledger and flag users whose stored
+// credits disagree. Balances are not changed; an admin resolves the flag.
+const reconcile = async () => {
+    const expected = new Map();
+    
+    const cursor = Transaction.find({ status: { $in: LEDGER_STATUSES } })
+        .select('user type amount credits bonusCredits')
+        .lean()
+        .cursor();
+    
+    for await (const transaction of cursor) {
+        const key = transaction.user.toString();
+        const balances = expected.get(key) || { credits: 0, bonus: 0 };
+        balances.credits += creditDelta(transaction);
+        balances.bonus += bonusDelta(transaction);
+        expected.set(key, balances);
+    }
+    
+    let checked = 0;
+    let flagged = 0;
+    
+    const users = User.find({ $or: [{ role: 'fulfiller' }, { credits: { $ne: null } }, { bonusCredits: { $ne: null } }] })
+        .select('credits bonusCredits')
+        .lean()
+        .cursor();
+    
+    // Compare in hundredths so legacy fractional credits don't trip it
+    const same = (a, b) => Math.round(a * 100) === Math.round(b * 100);
+    
+    for await (const user of users) {
+        checked++;
+        const actual = user.credits || 0;
+        const actualBonus = user.bonusCredits || 0;
+        const ledgerBalance = expected.get(user._id.toString()) || { credits: 0, bonus: 0 };
+        
+        if (same(actual, ledgerBalance.credits) && same(actualBonus, ledgerBalance.bonus)) continue;
+        
+        flagged++;
+        await LedgerDiscrepancy.findOneAndUpdate(
+            { user: user._id, status: 'open' },
+            {
+                $set: {
+                    expected: ledgerBalance.credits,
+                    actual,
+                    difference: actual - ledgerBalance.credits,
+                    expectedBonus: ledgerBalance.bonus,
+                    actualBonus,
+                    bonusDifference: actualBonus - ledgerBalance.bonus,
+                    detectedAt: new Date()
+                }
+            },
+            { upsert: true }
+        );
+    }
+    
+    return { checked, flagged };
+};
+
+module.exports = {
+    LedgerError,
+    transactionsEnabled,
+    withTransaction,
+    findByIdempotencyKey,
+    createEntry,
+    debit,
+    deduct,
+    credit,
+    refund,
+    settlePending,
+    creditDelta,
+    bonusDelta,
+    creditsSpent,
+    LEDGER_STATUSES,
+    ledgerBalance,
+    reconcile
+};
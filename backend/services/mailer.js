@@ -0,0 +1,74 @@
+// Outgoing email
+//
+// MAIL_TRANSPORT picks the transport:
+//   smtp   - nodemailer with SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+//   memory - keeps messages in `outbox` (for tests and local development)
+//   log    - prints messages to the console (default outside production)
+// In production MAIL_TRANSPORT must be set, so reset links and verification codes never go to the logs.
+// setTransport() swaps in any object with a send(message) method.
+
+const nodemailer = require('nodemailer');
+
+const outbox = [];
+
+const transports = {
+    log: () => ({
+        async send(message) {
+            console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+        }
+    }),
+    
+    memory: () => ({
+        async send(message) {
+            outbox.push({ ...message, sentAt: new Date() });
+        }
+    }),
+    
+    smtp: () => {
+        const smtp = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT || 587),
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined
+        });
+        
+        return {
+            send: (message) => smtp.sendMail({
+                from: process.env.MAIL_FROM || 'FulfillME <no-reply@fulfillme.com>',
+                ...message
+            })
+        };
+    }
+};
+
+let transport = null;
+
+const assertConfigured = () => {
+    if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+        throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+};
+
+const getTransport = () => {
+    if (!transport) {
+        assertConfigured();
+        const name = process.env.MAIL_TRANSPORT || 'log';
+        if (!transports[name]) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+// send({ to, subject, text, html })
+const send = (message) => getTransport().send(message);
+
+module.exports = { send, setTransport, assertConfigured, outbox };
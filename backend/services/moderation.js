@@ -0,0 +1,89 @@
+// Automated checks on need text before it goes live
+//
+// A check is { name, run(need) } where run resolves to a message (or list of
+// messages) describing a problem, or nothing. Any flag holds the need in the
+// admin review queue (status `pending_review`) instead of publishing it.
+// addCheck() registers extra checks, e.g. a third-party classifier.
+//
+// MODERATION_BANNED_WORDS (comma separated) replaces the default word list.
+
+const Need = require('../models/Need');
+const { escapeRegex } = require('./needSearch');
+const contactMasking = require('./contactMasking');
+
+const DEFAULT_BANNED_WORDS = ['escort', 'bhang', 'cocaine', 'heroin', 'firearm', 'counterfeit', 'fake id', 'fake certificate'];
+const DUPLICATE_WINDOW_DAYS = 7;
+const MAX_NEEDS_PER_HOUR = parseInt(process.env.MODERATION_MAX_NEEDS_PER_HOUR || 5);
+const CONTACT_LABELS = {
+    phone: 'a phone number',
+    email: 'an email address',
+    whatsapp: 'a WhatsApp link',
+    social: 'a social media handle'
+};
+
+const bannedWords = () => (process.env.MODERATION_BANNED_WORDS
+    ? process.env.MODERATION_BANNED_WORDS.split(',')
+    : DEFAULT_BANNED_WORDS
+).map(word => word.trim().toLowerCase()).filter(Boolean);
+
+const textOf = (need) => `${need.title || ''}\n${need.description || ''}`;
+
+const checks = [
+    {
+        name: 'banned_words',
+        run: async (need) => {
+            const text = textOf(need);
+            const hits = bannedWords().filter(word => new RegExp(`\\b${escapeRegex(word)}\\b`, 'i').test(text));
+            if (hits.length) return `Contains blocked words: ${hits.join(', ')}`;
+        }
+    },
+    {
+        // Contact details in the listing let fulfillers skip the paid unlock. They
+        // are masked for anyone who hasn't unlocked anyway, but a moderator should see the attempt
+        name: 'contact_details',
+        run: async (need) => {
+            const found = contactMasking.detect(textOf(need));
+            if (found.length) return `Listing text contains ${found.map(kind => CONTACT_LABELS[kind]).join(' and ')}`;
+        }
+    },
+    {
+        name: 'duplicate',
+        run: async (need) => {
+            const exact = (value) => ({ $regex: `^${escapeRegex(String(value).trim())}$`, $options: 'i' });
+            const duplicate = await Need.exists({
+                _id: { $ne: need._id },
+                user: need.user,
+                status: { $in: ['active', 'pending_review'] },
+                createdAt: { $gte: new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000) },
+                $or: [{ title: exact(need.title) }, { description: exact(need.description) }]
+            });
+            if (duplicate) return 'Repeats another recent need by the same asker';
+        }
+    },
+    {
+        name: 'posting_rate',
+        run: async (need) => {
+            const recent = await Need.countDocuments({
+                _id: { $ne: need._id },
+                user: need.user,
+                createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+            });
+            if (recent >= MAX_NEEDS_PER_HOUR) return `More than ${MAX_NEEDS_PER_HOUR} needs posted in an hour`;
+        }
+    }
+];
+
+const addCheck = (name, run) => {
+    checks.push({ name, run });
+};
+
+// Run every check; resolves to a list of { check, message } flags
+const review = async (need) => {
+    const results = await Promise.all(checks.map(async (check) => {
+        const result = await check.run(need);
+        return [].concat(result || []).map(message => ({ check: check.name, message }));
+    }));
+    return results.flat();
+};
+
+module.exports = { review, addCheck };
@@ -0,0 +1,380 @@
+// M-Pesa Daraja API client
+//
+// Point MPESA_BASE_URL at a local mock server in development, set MPESA_MOCK=true
+// to use MockDarajaClient, or swap the whole client with setClient() to run the
+// payment flow offline.
+//
+// Daraja callbacks aren't signed, so every callback URL carries the shared
+// MPESA_CALLBACK_TOKEN as ?token= and callbacks without it are refused. The
+// server won't start against real M-Pesa without it.
+
+const crypto = require('crypto');
+
+const DEFAULT_BASE_URL = 'https://sandbox.safaricom.co.ke';
+
+// Convert 07XXXXXXXX / +2547XXXXXXXX / 7XXXXXXXX to 2547XXXXXXXX
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    if (/^254[17]\d{8}$/.test(digits)) return digits;
+    if (/^0[17]\d{8}$/.test(digits)) return '254' + digits.slice(1);
+    if (/^[17]\d{8}$/.test(digits)) return '254' + digits;
+    return null;
+};
+
+// Daraja wants timestamps as YYYYMMDDHHmmss
+const timestamp = (date = new Date()) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return date.getFullYear() +
+        pad(date.getMonth() + 1) +
+        pad(date.getDate()) +
+        pad(date.getHours()) +
+        pad(date.getMinutes()) +
+        pad(date.getSeconds());
+};
+
+const callbackToken = () => process.env.MPESA_CALLBACK_TOKEN;
+
+// Add the callback secret to a URL we hand to Daraja
+const withCallbackToken = (url) => {
+    const token = callbackToken();
+    if (!url || !token) return url;
+    
+    const parsed = new URL(url);
+    parsed.searchParams.set('token', token);
+    return parsed.toString();
+};
+
+// Whether a callback request carries the secret. Only the mock client may
+// call back without one.
+const verifyCallback = (req) => {
+    const token = callbackToken();
+    if (!token) return process.env.MPESA_MOCK === 'true';
+    
+    const given = Buffer.from(String(req.query.token || ''));
+    const expected = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const assertConfigured = () => {
+    if (process.env.MPESA_MOCK !== 'true' && !callbackToken()) {
+        throw new Error('MPESA_CALLBACK_TOKEN must be set (or MPESA_MOCK=true) so payment callbacks can be verified');
+    }
+};
+
+class DarajaClient {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || process.env.MPESA_BASE_URL || DEFAULT_BASE_URL;
+        this.consumerKey = options.consumerKey || process.env.MPESA_CONSUMER_KEY;
+        this.consumerSecret = options.consumerSecret || process.env.MPESA_CONSUMER_SECRET;
+        this.shortcode = options.shortcode || process.env.MPESA_SHORTCODE;
+        this.passkey = options.passkey || process.env.MPESA_PASSKEY;
+        this.callbackUrl = withCallbackToken(options.callbackUrl || process.env.MPESA_CALLBACK_URL);
+        // B2C payouts (withdrawals)
+        this.b2cShortcode = options.b2cShortcode || process.env.MPESA_B2C_SHORTCODE || this.shortcode;
+        this.initiatorName = options.initiatorName || process.env.MPESA_INITIATOR_NAME;
+        this.securityCredential = options.securityCredential || process.env.MPESA_SECURITY_CREDENTIAL;
+        this.b2cResultUrl = withCallbackToken(options.b2cResultUrl || process.env.MPESA_B2C_RESULT_URL);
+        this.b2cTimeoutUrl = withCallbackToken(options.b2cTimeoutUrl || process.env.MPESA_B2C_TIMEOUT_URL) || this.b2cResultUrl;
+        // Transaction status queries, used to confirm B2C results
+        this.statusResultUrl = withCallbackToken(options.statusResultUrl || process.env.MPESA_STATUS_RESULT_URL);
+        this.statusTimeoutUrl = withCallbackToken(options.statusTimeoutUrl || process.env.MPESA_STATUS_TIMEOUT_URL) || this.statusResultUrl;
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
+    }
+    
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, options);
+        const data = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            const error = new Error(data.errorMessage || `Daraja request failed with status ${response.status}`);
+            error.status = response.status;
+            error.response = data;
+            throw error;
+        }
+        
+        return data;
+    }
+    
+    async getAccessToken() {
+        if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+            return this.accessToken;
+        }
+        
+        const credentials = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString('base64');
+        const data = await this.request('/oauth/v1/generate?grant_type=client_credentials', {
+            headers: { Authorization: `Basic ${credentials}` }
+        });
+        
+        this.accessToken = data.access_token;
+        // Refresh a minute before Daraja expires the token
+        this.tokenExpiresAt = Date.now() + (parseInt(data.expires_in || 3599) - 60) * 1000;
+        
+        return this.accessToken;
+    }
+    
+    // Send an STK push prompt to the customer's phone
+    async stkPush({ phone, amount, accountReference, description }) {
+        const token = await this.getAccessToken();
+        const time = timestamp();
+        const password = Buffer.from(`${this.shortcode}${this.passkey}${time}`).toString('base64');
+        
+        const data = await this.request('/mpesa/stkpush/v1/processrequest', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                BusinessShortCode: this.shortcode,
+                Password: password,
+                Timestamp: time,
+                TransactionType: 'CustomerPayBillOnline',
+                Amount: Math.round(amount),
+                PartyA: phone,
+                PartyB: this.shortcode,
+                PhoneNumber: phone,
+                CallBackURL: this.callbackUrl,
+                AccountReference: accountReference,
+                TransactionDesc: description
+            })
+        });
+        
+        return {
+            merchantRequestId: data.MerchantRequestID,
+            checkoutRequestId: data.CheckoutRequestID,
+            responseCode: data.ResponseCode,
+            customerMessage: data.CustomerMessage
+        };
+    }
+    
+    // Pay money out of the business account to a customer's phone. The outcome
+    // arrives later on b2cResultUrl.
+    async b2cPayment({ phone, amount, originatorConversationId, remarks, occasion }) {
+        const token = await this.getAccessToken();
+        
+        const data = await this.request('/mpesa/b2c/v3/paymentrequest', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                OriginatorConversationID: originatorConversationId,
+                InitiatorName: this.initiatorName,
+                SecurityCredential: this.securityCredential,
+                CommandID: 'BusinessPayment',
+                Amount: Math.round(amount),
+                PartyA: this.b2cShortcode,
+                PartyB: phone,
+                Remarks: remarks,
+                QueueTimeOutURL: this.b2cTimeoutUrl,
+                ResultURL: this.b2cResultUrl,
+                Occasion: occasion
+            })
+        });
+        
+        return {
+            conversationId: data.ConversationID,
+            originatorConversationId: data.OriginatorConversationID,
+            responseCode: data.ResponseCode,
+            responseDescription: data.ResponseDescription
+        };
+    }
+    
+    // Ask M-Pesa what happened to a B2C payment, by its receipt or by the
+    // OriginatorConversationID we sent. The answer arrives on statusResultUrl.
+    async transactionStatus({ transactionId, originalConversationId, remarks }) {
+        const token = await this.getAccessToken();
+        
+        const data = await this.request('/mpesa/transactionstatus/v1/query', {
+            method: 'POST',
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                Initiator: this.initiatorName,
+                SecurityCredential: this.securityCredential,
+                CommandID: 'TransactionStatusQuery',
+                TransactionID: transactionId,
+                OriginalConversationID: originalConversationId,
+                PartyA: this.b2cShortcode,
+                IdentifierType: '4',
+                ResultURL: this.statusResultUrl,
+                QueueTimeOutURL: this.statusTimeoutUrl,
+                Remarks: remarks,
+                Occasion: 'Withdrawal check'
+            })
+        });
+        
+        return {
+            conversationId: data.ConversationID,
+            responseCode: data.ResponseCode,
+            responseDescription: data.ResponseDescription
+        };
+    }
+}
+
+// Accepts every request and posts the matching Daraja callback back to this
+// server after MPESA_MOCK_DELAY_MS, so deposits and withdrawals can be run
+// end to end without Safaricom. MPESA_MOCK_FAIL=true makes every payment fail.
+class MockDarajaClient {
+    constructor(options = {}) {
+        this.callbackUrl = withCallbackToken(options.callbackUrl || process.env.MPESA_CALLBACK_URL);
+        this.b2cResultUrl = withCallbackToken(options.b2cResultUrl || process.env.MPESA_B2C_RESULT_URL);
+        this.statusResultUrl = withCallbackToken(options.statusResultUrl || process.env.MPESA_STATUS_RESULT_URL);
+        this.delayMs = options.delayMs ?? parseInt(process.env.MPESA_MOCK_DELAY_MS || 2000);
+        this.fail = options.fail ?? process.env.MPESA_MOCK_FAIL === 'true';
+        // Payouts by OriginatorConversationID, so status queries can be answered
+        this.payouts = new Map();
+    }
+    
+    receipt() {
+        return `MOCK${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+    
+    deliverLater(url, body) {
+        const timer = setTimeout(() => {
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            }).catch(error => console.error('Mock M-Pesa callback error:', error));
+        }, this.delayMs);
+        timer.unref();
+    }
+    
+    async stkPush({ phone, amount }) {
+        const merchantRequestId = `mock-${crypto.randomUUID()}`;
+        const checkoutRequestId = `ws_CO_mock_${crypto.randomUUID()}`;
+        
+        this.deliverLater(this.callbackUrl, {
+            Body: {
+                stkCallback: {
+                    MerchantRequestID: merchantRequestId,
+                    CheckoutRequestID: checkoutRequestId,
+                    ResultCode: this.fail ? 1032 : 0,
+                    ResultDesc: this.fail ? 'Request cancelled by user' : 'The service request is processed successfully.',
+                    CallbackMetadata: this.fail ? undefined : {
+                        Item: [
+                            { Name: 'Amount', Value: Math.round(amount) },
+                            { Name: 'MpesaReceiptNumber', Value: this.receipt() },
+                            { Name: 'TransactionDate', Value: Number(timestamp()) },
+                            { Name: 'PhoneNumber', Value: Number(phone) }
+                        ]
+                    }
+                }
+            }
+        });
+        
+        return {
+            merchantRequestId,
+            checkoutRequestId,
+            responseCode: '0',
+            customerMessage: 'Success. Request accepted for processing'
+        };
+    }
+    
+    async b2cPayment({ phone, amount, originatorConversationId }) {
+        const conversationId = `AG_mock_${crypto.randomUUID()}`;
+        const receipt = this.receipt();
+        this.payouts.set(originatorConversationId, { amount: Math.round(amount), receipt, failed: this.fail });
+        
+        this.deliverLater(this.b2cResultUrl, {
+            Result: {
+                ResultType: 0,
+                ResultCode: this.fail ? 2001 : 0,
+                ResultDesc: this.fail ? 'The initiator information is invalid.' : 'The service request is processed successfully.',
+                OriginatorConversationID: originatorConversationId,
+                ConversationID: conversationId,
+                TransactionID: receipt,
+                ResultParameters: this.fail ? undefined : {
+                    ResultParameter: [
+                        { Key: 'TransactionAmount', Value: Math.round(amount) },
+                        { Key: 'ReceiverPartyPublicName', Value: `${phone} - Mock Customer` }
+                    ]
+                }
+            }
+        });
+        
+        return {
+            conversationId,
+            originatorConversationId,
+            responseCode: '0',
+            responseDescription: 'Accept the service request successfully.'
+        };
+    }
+    
+    async transactionStatus({ originalConversationId }) {
+        const conversationId = `AG_mock_${crypto.randomUUID()}`;
+        const payout = this.payouts.get(originalConversationId);
+        
+        this.deliverLater(this.statusResultUrl, {
+            Result: {
+                ResultType: 0,
+                ResultCode: payout ? 0 : 2001,
+                ResultDesc: payout ? 'The service request is processed successfully.' : 'No such transaction',
+                ConversationID: conversationId,
+                TransactionID: this.receipt(),
+                ResultParameters: payout ? {
+                    ResultParameter: [
+                        { Key: 'ReceiptNo', Value: payout.receipt },
+                        { Key: 'TransactionStatus', Value: payout.failed ? 'Failed' : 'Completed' },
+                        { Key: 'Amount', Value: payout.amount }
+                    ]
+                } : undefined
+            }
+        });
+        
+        return {
+            conversationId,
+            responseCode: '0',
+            responseDescription: 'Accept the service request successfully.'
+        };
+    }
+}
+
+// Flatten stkCallback.CallbackMetadata.Item into a plain object
+const parseCallbackMetadata = (metadata) => {
+    const values = {};
+    (metadata && metadata.Item || []).forEach(item => {
+        values[item.Name] = item.Value;
+    });
+    return values;
+};
+
+// Flatten a B2C Result.ResultParameters.ResultParameter list the same way
+const parseResultParameters = (parameters) => {
+    const values = {};
+    [].concat(parameters && parameters.ResultParameter || []).forEach(item => {
+        values[item.Key] = item.Value;
+    });
+    return values;
+};
+
+let client = null;
+
+const getClient = () => {
+    if (!client) {
+        client = process.env.MPESA_MOCK === 'true' ? new MockDarajaClient() : new DarajaClient();
+    }
+    return client;
+};
+
+const setClient = (newClient) => {
+    client = newClient;
+};
+
+module.exports = {
+    DarajaClient,
+    MockDarajaClient,
+    getClient,
+    setClient,
+    verifyCallback,
+    assertConfigured,
+    normalizePhone,
+    parseCallbackMetadata,
+    parseResultParameters,
+    timestamp
+};
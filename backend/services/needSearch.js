@@ -0,0 +1,163 @@
+// Shared query building for GET /api/needs (and anything that stores the
+// same filters, like saved searches)
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_LIMIT = 50;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// GeoJSON point from lat/lng, or null if either is missing or out of range
+const toPoint = (lat, lng) => {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+    return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// Pick the supported filters out of a query string (or a saved search)
+const parseFilters = (params = {}) => {
+    const filters = {};
+    
+    if (params.search && String(params.search).trim()) filters.search = String(params.search).trim();
+    if (params.category) filters.category = String(params.category);
+    if (params.location && String(params.location).trim()) filters.location = String(params.location).trim();
+    if (params.timeframe) filters.timeframe = String(params.timeframe);
+    if (params.minBudget !== undefined && params.minBudget !== '' && !isNaN(params.minBudget)) {
+        filters.minBudget = parseFloat(params.minBudget);
+    }
+    if (params.maxBudget !== undefined && params.maxBudget !== '' && !isNaN(params.maxBudget)) {
+        filters.maxBudget = parseFloat(params.maxBudget);
+    }
+    
+    const point = toPoint(params.lat, params.lng);
+    const radius = parseFloat(params.radius);
+    if (point && radius > 0) {
+        filters.lat = point.coordinates[1];
+        filters.lng = point.coordinates[0];
+        filters.radius = radius;
+    }
+    
+    return filters;
+};
+
+const buildQuery = (filters) => {
+    // Hide needs past expiresAt that the expiry job hasn't marked yet
+    const query = { status: 'active', expiresAt: { $gt: new Date() } };
+    
+    if (filters.search) query.$text = { $search: filters.search };
+    if (filters.category) query.category = filters.category;
+    if (filters.timeframe) query.timeframe = filters.timeframe;
+    if (filters.location) query.location = { $regex: escapeRegex(filters.location), $options: 'i' };
+    if (filters.minBudget !== undefined || filters.maxBudget !== undefined) {
+        query.budget = {};
+        if (filters.minBudget !== undefined) query.budget.$gte = filters.minBudget;
+        if (filters.maxBudget !== undefined) query.budget.$lte = filters.maxBudget;
+    }
+    
+    // $geoWithin (unlike $near) can be combined with $text
+    if (filters.radius) {
+        query.geoLocation = {
+            $geoWithin: {
+                $centerSphere: [[filters.lng, filters.lat], filters.radius / EARTH_RADIUS_KM]
+            }
+        };
+    }
+    
+    return query;
+};
+
+// Sort keys for each browse order; _id last so every order is total
+const SORTS = {
+    newest: [['createdAt', -1], ['_id', -1]],
+    budget_high: [['budget', -1], ['_id', -1]],
+    budget_low: [['budget', 1], ['_id', 1]],
+    // Boosted needs first, newest first within each group
+    urgent: [['isUrgent', -1], ['createdAt', -1], ['_id', -1]]
+};
+
+// Text searches rank by relevance unless another order is asked for
+const resolveSort = (sort, filters) => {
+    if (filters.search && (!sort || sort === 'relevance')) return 'relevance';
+    return SORTS[sort] ? sort : 'newest';
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    if (!cursor) return null;
+    try {
+        return JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+};
+
+// Keyset condition: everything strictly after the last document in sort order
+const afterCondition = (keys, values) => {
+    const or = keys.map(([field, direction], i) => {
+        const condition = {};
+        for (let j = 0; j < i; j++) {
+            condition[keys[j][0]] = values[j];
+        }
+        condition[field] = { [direction === 1 ? '$gt' : '$lt']: values[i] };
+        return condition;
+    });
+    return { $or: or };
+};
+
+// Run a browse query with cursor pagination. Relevance ordering can't be
+// keyset-paged (textScore isn't filterable), so its cursor is an offset.
+const findPage = async (Model, { filters, sort, cursor, limit, select, populate }) => {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT);
+    const order = resolveSort(sort, filters);
+    const position = decodeCursor(cursor);
+    const query = buildQuery(filters);
+    
+    let finder;
+    if (order === 'relevance') {
+        const offset = position && position.offset > 0 ? position.offset : 0;
+        finder = Model.find(query)
+            .select({ ...select, score: { $meta: 'textScore' } })
+            .sort({ score: { $meta: 'textScore' }, _id: -1 })
+            .skip(offset);
+    } else {
+        const keys = SORTS[order];
+        if (position && Array.isArray(position.values) && position.values.length === keys.length) {
+            // Mongoose casts the JSON values back to dates and ObjectIds
+            query.$and = [afterCondition(keys, position.values)];
+        }
+        finder = Model.find(query)
+            .select(select)
+            .sort(Object.fromEntries(keys));
+    }
+    
+    if (populate) finder = finder.populate(...populate);
+    
+    const docs = await finder.limit(pageSize + 1);
+    const hasMore = docs.length > pageSize;
+    const items = docs.slice(0, pageSize);
+    
+    let nextCursor = null;
+    if (hasMore) {
+        if (order === 'relevance') {
+            const offset = position && position.offset > 0 ? position.offset : 0;
+            nextCursor = encodeCursor({ offset: offset + pageSize });
+        } else {
+            const last = items[items.length - 1];
+            nextCursor = encodeCursor({ values: SORTS[order].map(([field]) => last.get(field)) });
+        }
+    }
+    
+    return { items, nextCursor, hasMore, limit: pageSize, sort: order };
+};
+
+module.exports = {
+    escapeRegex,
+    toPoint,
+    parseFilters,
+    buildQuery,
+    findPage,
+    encodeCursor,
+    decodeCursor
+};
@@ -0,0 +1,42 @@
+// User notifications
+//
+// By default a notification is stored for the in-app list, sent live to any
+// open event stream and pushed to the user's subscribed devices. Pass
+// { store: false } for events that already have their own inbox (messages).
+
+const Notification = require('../models/Notification');
+const realtime = require('./realtime');
+const push = require('./push');
+
+const notify = async (userId, { type, title, body, url, data }, { store = true, push: sendPush = true } = {}) => {
+    let notification = null;
+    
+    if (store) {
+        notification = await Notification.create({
+            user: userId,
+            type,
+            title,
+            body,
+            url,
+            data,
+            createdAt: new Date()
+        });
+        
+        realtime.publish(userId, 'notification', notification);
+    }
+    
+    if (sendPush) {
+        await push.sendToUser(userId, { title, body, url, unsubscribeUrl: data && data.unsubscribeUrl });
+    }
+    
+    return notification;
+};
+
+// Fire-and-forget for route handlers: a failed notification never fails the request
+const notifyLater = (userId, payload, options) => {
+    notify(userId, payload, options).catch(error => {
+        console.error(`Notification error (${payload.type}):`, error);
+    });
+};
+
+module.exports = { notify, notifyLater };
@@ -0,0 +1,171 @@
+// Promo codes and referrals
+//
+// Both pay out bonus credits through the ledger, which keeps them apart from
+// purchased credits. A referral pays REFERRAL_REFEREE_BONUS to the new user and
+// REFERRAL_REFERRER_BONUS to whoever referred them, once, when the new user's
+// first credit purchase completes.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const PromoCode = require('../models/PromoCode');
+const PromoRedemption = require('../models/PromoRedemption');
+const ledger = require('./ledger');
+const notifications = require('./notifications');
+
+const REFERRER_BONUS = parseInt(process.env.REFERRAL_REFERRER_BONUS || 2);
+const REFEREE_BONUS = parseInt(process.env.REFERRAL_REFEREE_BONUS || 1);
+
+// No 0/O or 1/I so codes survive being read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+const randomCode = () => Array.from(crypto.randomBytes(REFERRAL_CODE_LENGTH), byte =>
+    CODE_ALPHABET[byte % CODE_ALPHABET.length]
+).join('');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Give the user a referral code if they don't have one yet and return it
+const ensureReferralCode = async (user) => {
+    if (user.referralCode) return user.referralCode;
+    
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = randomCode();
+        try {
+            const updated = await User.findOneAndUpdate(
+                { _id: user._id, referralCode: null },
+                { $set: { referralCode: code } },
+                { new: true }
+            );
+            if (updated) return updated.referralCode;
+            
+            // Set by a concurrent request
+            const current = await User.findById(user._id).select('referralCode');
+            return current.referralCode;
+        } catch (error) {
+            // Code already taken by someone else; try another
+            if (error.code !== 11000) throw error;
+        }
+    }
+    
+    throw new Error('Could not allocate a referral code');
+};
+
+const findReferrer = (code) => User.findOne({ referralCode: normalizeCode(code) }).select('_id');
+
+// Reward both sides the first time a referred user's purchase completes.
+// Returns true if rewards were paid.
+const rewardReferral = async (userId) => {
+    const referee = await User.findOneAndUpdate(
+        { _id: userId, referredBy: { $ne: null }, referralRewardedAt: null },
+        { $set: { referralRewardedAt: new Date() } },
+        { new: true }
+    );
+    if (!referee) return false;
+    
+    try {
+        await ledger.withTransaction(async (session) => {
+            await ledger.credit({
+                userId: referee._id,
+                bonusCredits: REFEREE_BONUS,
+                type: 'bonus',
+                amount: 0,
+                metadata: { source: 'referral', role: 'referee', referrer: referee.referredBy }
+            }, session);
+            await ledger.credit({
+                userId: referee.referredBy,
+                bonusCredits: REFERRER_BONUS,
+                type: 'bonus',
+                amount: 0,
+                metadata: { source: 'referral', role: 'referrer', referee: referee._id }
+            }, session);
+        });
+    } catch (error) {
+        // Unclaim it so the next completed purchase pays the bonus instead
+        await User.updateOne({ _id: referee._id }, { $set: { referralRewardedAt: null } });
+        throw error;
+    }
+    
+    notifications.notifyLater(referee._id, {
+        type: 'referral_bonus',
+        title: 'Referral bonus',
+        body: `You got ${REFEREE_BONUS} bonus credit${REFEREE_BONUS === 1 ? '' : 's'} for joining through a friend.`,
+        url: '/pages/dashboard.html'
+    });
+    notifications.notifyLater(referee.referredBy, {
+        type: 'referral_bonus',
+        title: 'Referral bonus',
+        body: `${referee.fullName} made their first purchase. You got ${REFERRER_BONUS} bonus credit${REFERRER_BONUS === 1 ? '' : 's'}.`,
+        url: '/pages/dashboard.html'
+    });
+    
+    return true;
+};
+
+// Grant a promo code's bonus credits. Throws LedgerError when the code can't be used.
+const redeemPromoCode = async (userId, rawCode) => {
+    const code = normalizeCode(rawCode);
+    const now = new Date();
+    
+    const promo = await PromoCode.findOne({ code });
+    if (!promo || !promo.active || (promo.startsAt && promo.startsAt > now)) {
+        throw new ledger.LedgerError('That promo code is not valid', 404);
+    }
+    if (promo.expiresAt && promo.expiresAt <= now) {
+        throw new ledger.LedgerError('That promo code has expired');
+    }
+    
+    let redemption;
+    try {
+        redemption = await PromoRedemption.create({ promo: promo._id, user: userId });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ledger.LedgerError('You have already used this promo code');
+        }
+        throw error;
+    }
+    
+    // The cap is checked and counted in one write so it can't be overshot
+    const claimed = await PromoCode.findOneAndUpdate(
+        {
+            _id: promo._id,
+            active: true,
+            $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptions', '$maxRedemptions'] } }]
+        },
+        { $inc: { redemptions: 1 } }
+    );
+    if (!claimed) {
+        await PromoRedemption.deleteOne({ _id: redemption._id });
+        throw new ledger.LedgerError('This promo code has been fully redeemed');
+    }
+    
+    let transaction;
+    try {
+        transaction = await ledger.withTransaction(session => ledger.credit({
+            userId,
+            bonusCredits: promo.bonusCredits,
+            type: 'bonus',
+            amount: 0,
+            metadata: { source: 'promo', promo: promo._id, code }
+        }, session));
+    } catch (error) {
+        // Hand the code back so the user can try again
+        await PromoCode.updateOne({ _id: promo._id }, { $inc: { redemptions: -1 } });
+        await PromoRedemption.deleteOne({ _id: redemption._id });
+        throw error;
+    }
+    
+    await PromoRedemption.updateOne({ _id: redemption._id }, { $set: { transaction: transaction._id } });
+    
+    return { promo, transaction };
+};
+
+module.exports = {
+    REFERRER_BONUS,
+    REFEREE_BONUS,
+    normalizeCode,
+    ensureReferralCode,
+    findReferrer,
+    rewardReferral,
+    redeemPromoCode
+};
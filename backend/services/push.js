@@ -0,0 +1,59 @@
+// Web Push delivery to the service worker's `push` handler
+//
+// Generate keys once with `npx web-push generate-vapid-keys` and set
+// VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT (mailto: or https: URL).
+
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+
+let configured = false;
+
+const isConfigured = () => {
+    if (!configured && process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        webpush.setVapidDetails(
+            process.env.VAPID_SUBJECT || 'mailto:support@fulfillme.com',
+            process.env.VAPID_PUBLIC_KEY,
+            process.env.VAPID_PRIVATE_KEY
+        );
+        configured = true;
+    }
+    return configured;
+};
+
+const publicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+// Send { title, body, url } to every device the user subscribed, plus
+// unsubscribeUrl for saved search alerts (shown as a "Stop alerts" action).
+// Subscriptions the push service reports as gone (404/410) are deleted.
+const sendToUser = async (userId, { title, body, url, unsubscribeUrl }) => {
+    if (!isConfigured()) return 0;
+    
+    const subscriptions = await PushSubscription.find({ user: userId });
+    const payload = JSON.stringify({ title, body, url, unsubscribeUrl });
+    let delivered = 0;
+    
+    await Promise.all(subscriptions.map(async (subscription) => {
+        try {
+            await webpush.sendNotification({
+                endpoint: subscription.endpoint,
+                keys: {
+                    p256dh: subscription.keys.p256dh,
+                    auth: subscription.keys.auth
+                }
+            }, payload, { TTL: 24 * 60 * 60 });
+            
+            delivered++;
+            await PushSubscription.updateOne({ _id: subscription._id }, { $set: { lastUsedAt: new Date() } });
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                await PushSubscription.deleteOne({ _id: subscription._id });
+            } else {
+                console.error('Web push error:', error.statusCode || error.message);
+            }
+        }
+    }));
+    
+    return delivered;
+};
+
+module.exports = { isConfigured, publicKey, sendToUser };
@@ -0,0 +1,53 @@
+// Server-Sent Events for live updates (new messages, read receipts)
+//
+// Connections are held in memory, so events only reach clients connected to
+// this process. Clients fall back to polling when the stream drops.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+const connections = new Map();
+
+// Keep an SSE response open and register it under the user
+const subscribe = (userId, req, res) => {
+    const key = userId.toString();
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    if (!connections.has(key)) {
+        connections.set(key, new Set());
+    }
+    connections.get(key).add(res);
+    
+    // Comments keep proxies and mobile networks from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const userConnections = connections.get(key);
+        if (userConnections) {
+            userConnections.delete(res);
+            if (userConnections.size === 0) connections.delete(key);
+        }
+    });
+};
+
+// Send an event to every open stream of a user
+const publish = (userId, event, data) => {
+    const userConnections = connections.get(userId.toString());
+    if (!userConnections) return false;
+    
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    userConnections.forEach(res => res.write(payload));
+    return true;
+};
+
+const isOnline = (userId) => connections.has(userId.toString());
+
+module.exports = { subscribe, publish, isOnline };
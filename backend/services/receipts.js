@@ -0,0 +1,86 @@
+// Numbered receipts for credit purchases
+//
+// Numbers come from one sequence (FM-R-000001, ...) and are assigned in the
+// same Mongo transaction that completes the purchase, so with transactions
+// enabled the sequence has no gaps. Purchases completed before receipts existed
+// get their number the first time the receipt is downloaded.
+
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Transaction = require('../models/Transaction');
+
+const RECEIPT_TYPES = ['credit_purchase'];
+
+const nextNumber = async (session = null) => {
+    const counter = await Counter.findOneAndUpdate(
+        { _id: 'receipt' },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return `FM-R-${String(counter.seq).padStart(6, '0')}`;
+};
+
+// Give a completed purchase its receipt number if it doesn't have one yet.
+// Returns the number, or null for entries that don't get receipts.
+const assign = async (transaction, session = null) => {
+    if (!RECEIPT_TYPES.includes(transaction.type) || transaction.status !== 'completed') return null;
+    if (transaction.receiptNumber) return transaction.receiptNumber;
+    
+    const receiptNumber = await nextNumber(session);
+    const updated = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, receiptNumber: null },
+        { $set: { receiptNumber } },
+        { new: true, session }
+    );
+    
+    // Numbered by a concurrent request; this number goes unused
+    if (!updated) {
+        const current = await Transaction.findById(transaction._id).select('receiptNumber').session(session);
+        return current.receiptNumber;
+    }
+    
+    transaction.receiptNumber = receiptNumber;
+    return receiptNumber;
+};
+
+const formatKsh = (amount) => `KSh ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Write the receipt PDF for a numbered purchase to `stream`
+const writePdf = (transaction, user, stream) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 40 });
+    doc.pipe(stream);
+    
+    const paidAt = transaction.completedAt || transaction.createdAt;
+    const bundle = transaction.metadata && transaction.metadata.bundleName;
+    const credits = transaction.credits || 0;
+    
+    doc.fontSize(18).text('FulfillME', { continued: true }).fontSize(12).text('  Receipt');
+    doc.moveDown();
+    
+    doc.fontSize(10);
+    [
+        ['Receipt number', transaction.receiptNumber],
+        ['Date', paidAt.toLocaleString('en-KE', { timeZone: 'Africa/Nairobi' })],
+        ['Billed to', user.fullName],
+        ['Email', user.email],
+        ['Paid from', (transaction.metadata && (transaction.metadata.paidFrom || transaction.metadata.phone)) || user.phone],
+        ['M-Pesa code', transaction.mpesaCode || '-'],
+        ['Transaction', transaction._id.toString()]
+    ].forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value || '-'));
+    });
+    
+    doc.moveDown();
+    doc.font('Helvetica-Bold').text('Item');
+    doc.font('Helvetica').text(`${bundle ? `${bundle} bundle: ` : ''}${credits} FulfillME credit${credits === 1 ? '' : 's'}`);
+    doc.moveDown();
+    doc.fontSize(12).font('Helvetica-Bold').text(`Total paid: ${formatKsh(transaction.amount)}`);
+    
+    doc.moveDown(2);
+    doc.fontSize(8).font('Helvetica').fillColor('#666')
+        .text('Credits are used to unlock needs on FulfillME. Keep this receipt for your records.');
+    
+    doc.end();
+};
+
+module.exports = { RECEIPT_TYPES, assign, writePdf, formatKsh };
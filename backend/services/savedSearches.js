@@ -0,0 +1,134 @@
+// Match newly posted needs against fulfillers' saved searches
+
+const SavedSearch = require('../models/SavedSearch');
+const notifications = require('./notifications');
+const contactMasking = require('./contactMasking');
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in km between two [lng, lat] pairs
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// In-memory equivalent of needSearch.buildQuery() for a single need.
+// Keywords must all appear somewhere in the title or description.
+const matches = (need, filters = {}) => {
+    if (filters.category && filters.category !== need.category) return false;
+    if (filters.timeframe && filters.timeframe !== need.timeframe) return false;
+    if (filters.minBudget != null && need.budget < filters.minBudget) return false;
+    if (filters.maxBudget != null && need.budget > filters.maxBudget) return false;
+    
+    if (filters.location && !need.location.toLowerCase().includes(filters.location.toLowerCase())) {
+        return false;
+    }
+    
+    if (filters.search) {
+        const text = `${need.title} ${need.description}`.toLowerCase();
+        const words = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!words.every(word => text.includes(word))) return false;
+    }
+    
+    if (filters.radius) {
+        const coordinates = need.geoLocation && need.geoLocation.coordinates;
+        if (!coordinates || coordinates.length !== 2) return false;
+        if (distanceKm([filters.lng, filters.lat], coordinates) > filters.radius) return false;
+    }
+    
+    return true;
+};
+
+const browseUrl = (filters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    });
+    return `/pages/browse.html?${params.toString()}`;
+};
+
+// Opens a confirmation page that turns this search's alerts off (no login needed)
+const unsubscribeUrl = (savedSearch) => `${API_URL}/api/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`;
+
+// Alert instant searches now and queue the need for daily digests
+const matchNeed = async (need) => {
+    let matched = 0;
+    
+    const candidates = SavedSearch.find({
+        frequency: { $ne: 'off' },
+        user: { $ne: need.user },
+        $or: [
+            { 'filters.category': need.category },
+            { 'filters.category': null }
+        ]
+    }).cursor();
+    
+    for await (const savedSearch of candidates) {
+        if (!matches(need, savedSearch.filters)) continue;
+        matched++;
+        
+        if (savedSearch.frequency === 'daily') {
+            await SavedSearch.updateOne(
+                { _id: savedSearch._id },
+                { $addToSet: { pendingMatches: need._id } }
+            );
+            continue;
+        }
+        
+        await notifications.notify(savedSearch.user, {
+            type: 'saved_search_match',
+            title: `New need: ${contactMasking.mask(need.title).text}`,
+            body: `KSh ${need.budget.toLocaleString()} in ${need.location} matches "${savedSearch.name}"`,
+            url: `/pages/browse.html?need=${need._id}`,
+            data: { need: need._id, savedSearch: savedSearch._id, unsubscribeUrl: unsubscribeUrl(savedSearch) }
+        });
+        
+        await SavedSearch.updateOne(
+            { _id: savedSearch._id },
+            { $set: { lastNotifiedAt: new Date() } }
+        );
+    }
+    
+    return matched;
+};
+
+// One notification per daily search that collected matches since the last digest
+const sendDigests = async () => {
+    let sent = 0;
+    
+    const searches = SavedSearch.find({
+        frequency: 'daily',
+        'pendingMatches.0': { $exists: true }
+    }).cursor();
+    
+    for await (const savedSearch of searches) {
+        const needIds = savedSearch.pendingMatches;
+        const count = needIds.length;
+        
+        await notifications.notify(savedSearch.user, {
+            type: 'saved_search_digest',
+            title: `${count} new ${count === 1 ? 'need matches' : 'needs match'} "${savedSearch.name}"`,
+            body: 'See what was posted since yesterday',
+            url: browseUrl(savedSearch.toObject().filters),
+            data: { savedSearch: savedSearch._id, needs: needIds, unsubscribeUrl: unsubscribeUrl(savedSearch) }
+        });
+        
+        // Only clear what was sent; needs matched meanwhile wait for tomorrow
+        await SavedSearch.updateOne(
+            { _id: savedSearch._id },
+            { $pullAll: { pendingMatches: needIds }, $set: { lastNotifiedAt: new Date() } }
+        );
+        sent++;
+    }
+    
+    return sent;
+};
+
+module.exports = { matches, matchNeed, sendDigests, distanceKm };
@@ -0,0 +1,109 @@
+// Server-side sessions behind rotating refresh tokens (see models/Session.js)
+//
+// Refresh tokens are random strings; only their SHA-256 hash is stored. Each
+// refresh swaps the token for a new one. Presenting a token that has already
+// been swapped means it was copied, so the session it belongs to is revoked.
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const ROTATION_GRACE_MS = 10 * 1000;
+
+class SessionError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SessionError';
+        this.code = code;
+    }
+}
+
+const hash = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newToken = () => crypto.randomBytes(48).toString('base64url');
+const expiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const create = async (userId, { userAgent, ip } = {}) => {
+    const refreshToken = newToken();
+    const session = await Session.create({
+        user: userId,
+        tokenHash: hash(refreshToken),
+        userAgent: userAgent ? String(userAgent).slice(0, 300) : undefined,
+        ip,
+        expiresAt: expiry()
+    });
+    return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one (refreshToken is null when no new
+// cookie should be set). Throws SessionError with code
+// 'invalid' for unknown/expired/revoked tokens and 'reuse' for replays.
+const rotate = async (refreshToken, { ip } = {}) => {
+    if (!refreshToken) throw new SessionError('Refresh token required', 'invalid');
+    
+    const tokenHash = hash(refreshToken);
+    const nextToken = newToken();
+    const now = new Date();
+    
+    const session = await Session.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { tokenHash: hash(nextToken), lastUsedAt: now, expiresAt: expiry(), ip },
+            $push: { rotatedHashes: { $each: [tokenHash], $slice: -20 } }
+        },
+        { new: true }
+    );
+    
+    if (session) return { session, refreshToken: nextToken };
+    
+    // Two tabs refreshing at once both send the same cookie; the loser gets an
+    // access token on the already-rotated session instead of killing it.
+    const raced = await Session.findOne({
+        rotatedHashes: tokenHash,
+        revokedAt: null,
+        lastUsedAt: { $gt: new Date(now.getTime() - ROTATION_GRACE_MS) }
+    });
+    if (raced && raced.rotatedHashes[raced.rotatedHashes.length - 1] === tokenHash) {
+        return { session: raced, refreshToken: null };
+    }
+    
+    const replayed = await Session.findOneAndUpdate(
+        { rotatedHashes: tokenHash, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+    );
+    if (replayed) {
+        console.warn(`Refresh token reuse on session ${replayed._id}; session revoked`);
+        throw new SessionError('Session revoked', 'reuse');
+    }
+    
+    throw new SessionError('Invalid or expired session', 'invalid');
+};
+
+const findByToken = (refreshToken) => Session.findOne({ tokenHash: hash(refreshToken), revokedAt: null });
+
+const revoke = (filter, reason) => Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Sign the user out everywhere, optionally keeping the current session
+const revokeAll = (userId, reason, { except } = {}) => revoke(
+    except ? { user: userId, _id: { $ne: except } } : { user: userId },
+    reason
+);
+
+const listActive = (userId) => Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+}).select('userAgent ip createdAt lastUsedAt').sort({ lastUsedAt: -1 });
+
+module.exports = {
+    REFRESH_TOKEN_TTL_DAYS,
+    SessionError,
+    create,
+    rotate,
+    findByToken,
+    revoke,
+    revokeAll,
+    listActive
+};
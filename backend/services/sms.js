@@ -0,0 +1,88 @@
+// Outgoing SMS
+//
+// SMS_TRANSPORT picks the transport:
+//   africastalking - Africa's Talking API with AT_USERNAME, AT_API_KEY, AT_SENDER_ID
+//   memory         - keeps messages in `outbox` (for tests and local development)
+//   log            - prints messages to the console (default outside production)
+// In production SMS_TRANSPORT must be set, so login codes never go to the logs.
+// setTransport() swaps in any object with a send({ to, message }) method.
+
+const { normalizePhone } = require('./mpesa');
+
+const outbox = [];
+
+const transports = {
+    log: () => ({
+        async send({ to, message }) {
+            console.log(`[sms] to=${to} ${message}`);
+        }
+    }),
+    
+    memory: () => ({
+        async send({ to, message }) {
+            outbox.push({ to, message, sentAt: new Date() });
+        }
+    }),
+    
+    africastalking: () => ({
+        async send({ to, message }) {
+            const baseUrl = process.env.AT_BASE_URL || 'https://api.africastalking.com';
+            const params = new URLSearchParams({
+                username: process.env.AT_USERNAME,
+                to: `+${to}`,
+                message
+            });
+            if (process.env.AT_SENDER_ID) params.set('from', process.env.AT_SENDER_ID);
+            
+            const response = await fetch(`${baseUrl}/version1/messaging`, {
+                method: 'POST',
+                headers: {
+                    apiKey: process.env.AT_API_KEY,
+                    Accept: 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: params.toString()
+            });
+            
+            if (!response.ok) {
+                throw new Error(`SMS send failed with status ${response.status}`);
+            }
+        }
+    })
+};
+
+let transport = null;
+
+const assertConfigured = () => {
+    if (process.env.NODE_ENV === 'production' && !process.env.SMS_TRANSPORT) {
+        throw new Error('SMS_TRANSPORT must be set in production');
+    }
+};
+
+const getTransport = () => {
+    if (!transport) {
+        assertConfigured();
+        const name = process.env.SMS_TRANSPORT || 'log';
+        if (!transports[name]) {
+            throw new Error(`Unknown SMS_TRANSPORT "${name}"`);
+        }
+        transport = transports[name]();
+    }
+    return transport;
+};
+
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+const send = ({ to, message }) => getTransport().send({ to: normalizePhone(to) || to, message });
+
+// Ways the same Kenyan number may have been typed at registration
+const phoneVariants = (phone) => {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return [String(phone || '').trim()];
+    const local = '0' + normalized.slice(3);
+    return [...new Set([String(phone).trim(), normalized, `+${normalized}`, local])];
+};
+
+module.exports = { send, setTransport, assertConfigured, outbox, phoneVariants };
@@ -0,0 +1,232 @@
+// Transaction history for users: filtering, CSV export and monthly PDF
+// statements. Credit totals come from the same ledger entries the nightly
+// reconcile job checks (see services/ledger.js), so a statement's closing
+// balance for the current month matches User.credits.
+
+const PDFDocument = require('pdfkit');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const receipts = require('./receipts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most rows a single CSV export returns; narrow the date range for more
+const MAX_EXPORT_ROWS = 10000;
+
+// Date-only `to` values include the whole day
+const parseRange = ({ from, to }) => {
+    const range = {};
+    if (from) range.$gte = new Date(from);
+    if (to) {
+        const end = new Date(to);
+        range.$lt = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(end.getTime() + DAY_MS) : end;
+    }
+    return Object.keys(range).length ? range : null;
+};
+
+const buildQuery = (userId, { type, status, from, to } = {}) => {
+    const query = { user: userId };
+    if (type) query.type = type;
+    if (status) query.status = status;
+    
+    const range = parseRange({ from, to });
+    if (range) query.createdAt = range;
+    
+    return query;
+};
+
+const plural = (count, word) => `${count} ${word}${Math.abs(count) === 1 ? '' : 's'}`;
+
+// One line a person (or an accountant) can read, by type
+const DESCRIPTIONS = {
+    credit_purchase: (t, m) => `Bought ${plural(ledger.creditDelta(t), 'credit')}${m.bundleName ? ` (${m.bundleName} bundle)` : ''}`,
+    unlock: (t, m, need) => `Unlocked need${need}${t.subscription ? ' with plan' : ''}`,
+    boost: (t, m, need) => `Boosted need${need}`,
+    refund: (t, m, need) => (t.wallet ? 'Refund to wallet' : `Refund${need}`),
+    adjustment: (t, m) => `Adjustment${m.reason ? `: ${m.reason}` : ''}`,
+    bonus: (t, m) => (m.source === 'referral' ? 'Referral bonus' : `Promo code${m.code ? ` ${m.code}` : ''}`),
+    job_completed: (t, m, need) => `Job completed${need}`,
+    escrow_deposit: (t, m, need) => `Escrow payment${need}`,
+    escrow_release: (t, m, need) => `Escrow payout${need}`,
+    escrow_refund: (t, m, need) => `Escrow refund${need}`,
+    withdrawal: () => 'Withdrawal to M-Pesa',
+    subscription_payment: (t, m) => `Plan payment${m.plan ? ` (${m.plan})` : ''}`
+};
+
+const describe = (transaction) => {
+    const needTitle = transaction.need && transaction.need.title ? ` "${transaction.need.title}"` : '';
+    const describeType = DESCRIPTIONS[transaction.type];
+    return describeType ? describeType(transaction, transaction.metadata || {}, needTitle) : transaction.type;
+};
+
+const view = (transaction) => ({
+    id: transaction._id,
+    type: transaction.type,
+    status: transaction.status,
+    description: describe(transaction),
+    amount: transaction.amount,
+    credits: ledger.creditDelta(transaction),
+    bonusCredits: ledger.bonusDelta(transaction),
+    wallet: transaction.wallet || 0,
+    mpesaCode: transaction.mpesaCode,
+    receiptNumber: transaction.receiptNumber,
+    hasReceipt: receipts.RECEIPT_TYPES.includes(transaction.type) && transaction.status === 'completed',
+    need: transaction.need && transaction.need._id
+        ? { id: transaction.need._id, title: transaction.need.title }
+        : transaction.need,
+    createdAt: transaction.createdAt,
+    completedAt: transaction.completedAt
+});
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+    ['Date', t => t.completedAt || t.createdAt],
+    ['Transaction ID', t => t.id.toString()],
+    ['Receipt Number', t => t.receiptNumber],
+    ['Type', t => t.type],
+    ['Status', t => t.status],
+    ['Description', t => t.description],
+    ['Amount (KSh)', t => t.amount],
+    ['Credits', t => t.credits],
+    ['Bonus Credits', t => t.bonusCredits],
+    ['Wallet (KSh)', t => t.wallet],
+    ['M-Pesa Code', t => t.mpesaCode],
+    ['Need ID', t => (t.need && t.need.id ? t.need.id.toString() : t.need && t.need.toString())]
+];
+
+const toCsv = (views) => [
+    CSV_COLUMNS.map(([header]) => header).join(','),
+    ...views.map(row => CSV_COLUMNS.map(([, value]) => csvCell(value(row))).join(','))
+].join('\r\n') + '\r\n';
+
+// Start and end of a YYYY-MM month, in Nairobi time (UTC+3, no DST)
+const monthRange = (month) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const start = new Date(Date.UTC(year, monthIndex - 1, 1) - 3 * 60 * 60 * 1000);
+    const end = new Date(Date.UTC(year, monthIndex, 1) - 3 * 60 * 60 * 1000);
+    return { start, end };
+};
+
+// Everything a monthly statement shows. Entries are placed by when they
+// completed, which is also when they changed the balance.
+const buildStatement = async (user, month) => {
+    const { start, end } = monthRange(month);
+    
+    const opening = await ledger.ledgerBalance(user._id, start);
+    
+    const entries = await Transaction.find({
+        user: user._id,
+        status: { $in: ledger.LEDGER_STATUSES },
+        $or: [
+            { completedAt: { $gte: start, $lt: end } },
+            { completedAt: null, createdAt: { $gte: start, $lt: end } }
+        ]
+    })
+        .populate('need', 'title')
+        .sort({ completedAt: 1, createdAt: 1 });
+    
+    const rows = entries.map(view);
+    const totals = rows.reduce((sum, row) => ({
+        credits: sum.credits + row.credits,
+        bonus: sum.bonus + row.bonusCredits,
+        paid: sum.paid + (['credit_purchase', 'subscription_payment'].includes(row.type) ? row.amount : 0)
+    }), { credits: 0, bonus: 0, paid: 0 });
+    
+    return {
+        month,
+        start,
+        end,
+        opening,
+        closing: { credits: opening.credits + totals.credits, bonus: opening.bonus + totals.bonus },
+        totals,
+        rows,
+        // Only the month in progress can be compared with the live balance
+        current: end > new Date()
+            ? { credits: user.credits || 0, bonus: user.bonusCredits || 0 }
+            : null
+    };
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-KE', { timeZone: 'Africa/Nairobi' });
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+const writeStatementPdf = (statement, user, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    doc.pipe(stream);
+    
+    doc.fontSize(18).text('FulfillME', { continued: true }).fontSize(12).text('  Monthly statement');
+    doc.fontSize(10).moveDown(0.5);
+    doc.text(`${user.fullName} (${user.email})`);
+    doc.text(`Period: ${formatDate(statement.start)} to ${formatDate(new Date(statement.end.getTime() - 1))}`);
+    doc.moveDown();
+    
+    doc.font('Helvetica-Bold').text(
+        `Opening balance: ${plural(statement.opening.credits, 'credit')}, ${plural(statement.opening.bonus, 'bonus credit')}`
+    );
+    doc.moveDown(0.5);
+    
+    // Date | Description | Reference | Credits | Bonus | KSh
+    const columns = [40, 110, 330, 420, 470, 515];
+    const row = (cells, bold = false) => {
+        const y = doc.y;
+        let bottom = y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        cells.forEach((cell, i) => {
+            const width = (columns[i + 1] || 555) - columns[i] - 4;
+            doc.text(String(cell), columns[i], y, { width, align: i >= 3 ? 'right' : 'left' });
+            bottom = Math.max(bottom, doc.y);
+        });
+        // Long descriptions wrap, so continue below the tallest cell
+        doc.x = 40;
+        doc.y = bottom;
+        doc.moveDown(0.3);
+        if (doc.y > 770) doc.addPage();
+    };
+    
+    row(['Date', 'Description', 'Reference', 'Credits', 'Bonus', 'KSh'], true);
+    if (statement.rows.length === 0) {
+        row(['', 'No transactions this month', '', '', '', '']);
+    }
+    statement.rows.forEach(entry => row([
+        formatDate(entry.completedAt || entry.createdAt),
+        entry.status === 'refunded' ? `${entry.description} (refunded)` : entry.description,
+        entry.receiptNumber || entry.mpesaCode || '',
+        entry.credits ? signed(entry.credits) : '',
+        entry.bonusCredits ? signed(entry.bonusCredits) : '',
+        entry.amount ? receipts.formatKsh(entry.amount).replace('KSh ', '') : ''
+    ]));
+    
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text(
+        `Closing balance: ${plural(statement.closing.credits, 'credit')}, ${plural(statement.closing.bonus, 'bonus credit')}`
+    );
+    doc.font('Helvetica').text(`Paid over M-Pesa this month: ${receipts.formatKsh(statement.totals.paid)}`);
+    
+    if (statement.current) {
+        doc.moveDown(0.5);
+        doc.text(`Balance now: ${plural(statement.current.credits, 'credit')}, ${plural(statement.current.bonus, 'bonus credit')}`);
+    }
+    
+    doc.end();
+};
+
+module.exports = {
+    MAX_EXPORT_ROWS,
+    buildQuery,
+    describe,
+    view,
+    toCsv,
+    buildStatement,
+    writeStatementPdf
+};
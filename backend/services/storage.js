@@ -0,0 +1,109 @@
+// File storage for uploaded photos
+//
+// STORAGE_DRIVER picks the adapter:
+//   local - files under UPLOAD_DIR (default backend/uploads), served by this API at /uploads (default)
+//   s3    - any S3-compatible store: S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//           plus S3_ENDPOINT for MinIO/R2/etc. and S3_PUBLIC_URL if objects are served from a CDN
+// setStorage() swaps in any object with put(key, buffer, contentType), remove(key) and url(key).
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const localStorage = () => {
+    const root = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    const baseUrl = (process.env.UPLOAD_BASE_URL ||
+        `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/uploads`).replace(/\/$/, '');
+    
+    const resolve = (key) => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+        return file;
+    };
+    
+    return {
+        root,
+        
+        async put(key, buffer) {
+            const file = resolve(key);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+        },
+        
+        async remove(key) {
+            await fs.rm(resolve(key), { force: true });
+        },
+        
+        url(key) {
+            return `${baseUrl}/${key}`;
+        }
+    };
+};
+
+const s3Storage = () => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    
+    const bucket = process.env.S3_BUCKET;
+    const endpoint = process.env.S3_ENDPOINT;
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint,
+        // MinIO and most local stand-ins only support path-style URLs
+        forcePathStyle: !!endpoint,
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+    
+    const publicUrl = (process.env.S3_PUBLIC_URL || (endpoint
+        ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`)).replace(/\/$/, '');
+    
+    return {
+        async put(key, buffer, contentType) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+                CacheControl: 'public, max-age=31536000, immutable'
+            }));
+        },
+        
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+        
+        url(key) {
+            return `${publicUrl}/${key}`;
+        }
+    };
+};
+
+const drivers = { local: localStorage, s3: s3Storage };
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[name]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+        }
+        storage = drivers[name]();
+    }
+    return storage;
+};
+
+const setStorage = (newStorage) => {
+    storage = newStorage;
+};
+
+const put = (key, buffer, contentType) => getStorage().put(key, buffer, contentType);
+const remove = (key) => getStorage().remove(key);
+const url = (key) => getStorage().url(key);
+
+// Directory to serve at /uploads, or null when files live elsewhere
+const localRoot = () => getStorage().root || null;
+
+module.exports = { put, remove, url, localRoot, setStorage };
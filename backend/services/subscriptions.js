@@ -0,0 +1,296 @@
+// Fulfiller subscriptions
+//
+// A plan covers unlocks (all of them, or up to unlockLimit per period, in the
+// plan's categories) so the unlock route only falls back to credits when no
+// plan applies. Plans are paid over M-Pesa STK push like credit purchases.
+// When a period ends the renewal job requests the next payment and the
+// subscription goes past_due; unlocks keep working for SUBSCRIPTION_GRACE_DAYS,
+// after which it expires. A payment that arrives for a subscription that can't
+// use it goes to the fulfiller's wallet.
+
+const Subscription = require('../models/Subscription');
+const SubscriptionPlan = require('../models/SubscriptionPlan');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const wallet = require('./wallet');
+const mpesa = require('./mpesa');
+const notifications = require('./notifications');
+
+const GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || 3);
+
+// An STK push older than this without a callback is treated as abandoned
+const PAYMENT_PENDING_MINUTES = 10;
+
+// A first payment not confirmed within this long is given up on
+const PENDING_EXPIRY_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions that still tie up the user (one at a time)
+const OPEN_STATUSES = ['pending', 'active', 'past_due'];
+
+const findOpen = (userId) => Subscription.findOne({ user: userId, status: { $in: OPEN_STATUSES } });
+
+// Subscriptions whose period, or grace period, covers this unlock
+const coverFilter = (userId, need) => ({
+    user: userId,
+    status: { $in: ['active', 'past_due'] },
+    currentPeriodEnd: { $gt: new Date(Date.now() - GRACE_DAYS * DAY_MS) },
+    $and: [
+        { $or: [{ categories: { $size: 0 } }, { categories: need.category }] },
+        { $or: [{ unlockLimit: null }, { $expr: { $lt: ['$unlocksUsed', '$unlockLimit'] } }] }
+    ]
+});
+
+const covers = (userId, need) => Subscription.exists(coverFilter(userId, need));
+
+// Take one of the plan's unlocks and record it in the ledger at no credit
+// cost. Returns the unlock entry, or null if no plan covers this need.
+const useUnlock = async ({ userId, need, idempotencyKey }, session = null) => {
+    const subscription = await Subscription.findOneAndUpdate(
+        coverFilter(userId, need),
+        { $inc: { unlocksUsed: 1 } },
+        { new: true, session }
+    );
+    if (!subscription) return null;
+    
+    try {
+        return await ledger.createEntry({
+            user: userId,
+            need: need._id,
+            subscription: subscription._id,
+            amount: 0,
+            credits: 0,
+            bonusCredits: 0,
+            type: 'unlock',
+            status: 'completed',
+            idempotencyKey,
+            metadata: { plan: subscription.planName },
+            createdAt: new Date(),
+            completedAt: new Date()
+        }, session);
+    } catch (error) {
+        // Without a Mongo transaction, hand the unlock back ourselves
+        if (!ledger.transactionsEnabled()) {
+            await Subscription.updateOne({ _id: subscription._id }, { $inc: { unlocksUsed: -1 } });
+        }
+        throw error;
+    }
+};
+
+const paymentInProgress = (subscriptionId) => Transaction.exists({
+    subscription: subscriptionId,
+    type: 'subscription_payment',
+    status: 'pending',
+    createdAt: { $gte: new Date(Date.now() - PAYMENT_PENDING_MINUTES * 60 * 1000) }
+});
+
+// Send an STK push for the subscription's price. The period only starts (or
+// renews) once the M-Pesa callback confirms it. Throws LedgerError if the
+// push couldn't be sent.
+const requestPayment = async (subscription, { phone, idempotencyKey, renewal = false }) => {
+    const transaction = await ledger.createEntry({
+        user: subscription.user,
+        subscription: subscription._id,
+        amount: subscription.price,
+        credits: 0,
+        type: 'subscription_payment',
+        status: 'pending',
+        idempotencyKey,
+        metadata: { phone, plan: subscription.planName, renewal },
+        createdAt: new Date()
+    });
+    
+    let push;
+    try {
+        push = await mpesa.getClient().stkPush({
+            phone,
+            amount: subscription.price,
+            accountReference: 'FulfillME',
+            description: `FulfillME ${subscription.planName} plan`
+        });
+    } catch (error) {
+        console.error('STK push error:', error);
+        transaction.status = 'failed';
+        transaction.metadata = { ...transaction.metadata, resultDesc: error.message };
+        await transaction.save();
+        throw new ledger.LedgerError('Could not reach M-Pesa. Please try again.', 502);
+    }
+    
+    transaction.checkoutRequestId = push.checkoutRequestId;
+    transaction.metadata = { ...transaction.metadata, merchantRequestId: push.merchantRequestId };
+    await transaction.save();
+    
+    return { transaction, message: push.customerMessage };
+};
+
+// Called from the STK callback once a plan payment is paid. A first payment
+// starts the period now; a renewal continues from the end of the last one.
+// Returns null if the payment was already settled.
+const settlePayment = (transactionId, fields) => ledger.withTransaction(async (session) => {
+    const transaction = await ledger.settlePending(transactionId, fields, session);
+    if (!transaction) return null;
+    
+    const current = await Subscription.findById(transaction.subscription).session(session);
+    
+    let subscription = null;
+    if (current && ['pending', 'past_due'].includes(current.status)) {
+        const start = current.status === 'pending' ? new Date() : current.currentPeriodEnd;
+        subscription = await Subscription.findOneAndUpdate(
+            { _id: current._id, status: current.status },
+            {
+                $set: {
+                    status: 'active',
+                    currentPeriodStart: start,
+                    currentPeriodEnd: new Date(start.getTime() + current.periodDays * DAY_MS),
+                    graceEndsAt: null,
+                    unlocksUsed: 0,
+                    lastPayment: transaction._id,
+                    renewalRequestedAt: null,
+                    updatedAt: new Date()
+                }
+            },
+            { new: true, session }
+        );
+    }
+    
+    if (!subscription) {
+        const refund = await wallet.credit({
+            userId: transaction.user,
+            amount: transaction.amount,
+            type: 'refund',
+            metadata: { reason: 'subscription_not_payable', payment: transaction._id, subscription: transaction.subscription }
+        }, session);
+        return { transaction, subscription: null, refund };
+    }
+    
+    return { transaction, subscription, renewal: current.status === 'past_due' };
+});
+
+const notifyUser = (subscription, title, body) => {
+    notifications.notifyLater(subscription.user, {
+        type: 'subscription',
+        title,
+        body,
+        url: '/pages/dashboard.html',
+        data: { subscription: subscription._id }
+    });
+};
+
+const dateLabel = (date) => date.toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// End a period: cancel if asked to (or the plan was retired), otherwise go
+// past_due and ask for the renewal payment
+const renew = async (subscription) => {
+    const plan = await SubscriptionPlan.findById(subscription.plan).select('active');
+    const now = new Date();
+    
+    if (subscription.cancelAtPeriodEnd || !plan || !plan.active) {
+        const cancelled = await Subscription.findOneAndUpdate(
+            { _id: subscription._id, status: 'active' },
+            { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } },
+            { new: true }
+        );
+        if (cancelled) {
+            notifyUser(cancelled, 'Plan ended', subscription.cancelAtPeriodEnd
+                ? `Your ${cancelled.planName} plan has ended. Unlocks now use credits.`
+                : `The ${cancelled.planName} plan is no longer offered, so it has ended. Unlocks now use credits.`);
+        }
+        return;
+    }
+    
+    const pastDue = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'active' },
+        {
+            $set: {
+                status: 'past_due',
+                graceEndsAt: new Date(subscription.currentPeriodEnd.getTime() + GRACE_DAYS * DAY_MS),
+                renewalRequestedAt: now,
+                updatedAt: now
+            }
+        },
+        { new: true }
+    );
+    if (!pastDue) return;
+    
+    try {
+        await requestPayment(pastDue, { phone: pastDue.phone, renewal: true });
+    } catch (error) {
+        console.error(`Renewal payment request for subscription ${pastDue._id} failed:`, error);
+    }
+    
+    notifyUser(pastDue, 'Plan renewal due',
+        `Approve the KSh ${pastDue.price.toLocaleString()} M-Pesa request to renew your ${pastDue.planName} plan. ` +
+        `Your plan keeps working until ${dateLabel(pastDue.graceEndsAt)}.`);
+};
+
+// Renewal job: end finished periods, expire lapsed grace periods and give up
+// on first payments that never arrived. Returns counts for logging.
+const processRenewals = async () => {
+    const now = new Date();
+    const counts = { ended: 0, expired: 0, abandoned: 0 };
+    
+    const due = Subscription.find({ status: 'active', currentPeriodEnd: { $lte: now } }).cursor();
+    for await (const subscription of due) {
+        try {
+            await renew(subscription);
+            counts.ended++;
+        } catch (error) {
+            console.error(`Renewal of subscription ${subscription._id} failed:`, error);
+        }
+    }
+    
+    const lapsed = Subscription.find({ status: 'past_due', graceEndsAt: { $lte: now } }).cursor();
+    for await (const subscription of lapsed) {
+        const expired = await Subscription.findOneAndUpdate(
+            { _id: subscription._id, status: 'past_due' },
+            { $set: { status: 'expired', updatedAt: now } },
+            { new: true }
+        );
+        if (!expired) continue;
+        
+        counts.expired++;
+        notifyUser(expired, 'Plan expired',
+            `Your ${expired.planName} plan wasn't renewed and has expired. Unlocks now use credits.`);
+    }
+    
+    const abandoned = await Subscription.updateMany(
+        { status: 'pending', createdAt: { $lte: new Date(now.getTime() - PENDING_EXPIRY_HOURS * 60 * 60 * 1000) } },
+        { $set: { status: 'expired', updatedAt: now } }
+    );
+    counts.abandoned = abandoned.modifiedCount;
+    
+    return counts;
+};
+
+const view = (subscription) => ({
+    id: subscription._id,
+    plan: subscription.plan,
+    planName: subscription.planName,
+    status: subscription.status,
+    price: subscription.price,
+    periodDays: subscription.periodDays,
+    categories: subscription.categories,
+    unlockLimit: subscription.unlockLimit,
+    unlocksUsed: subscription.unlocksUsed,
+    unlocksRemaining: subscription.unlockLimit == null
+        ? null
+        : Math.max(0, subscription.unlockLimit - subscription.unlocksUsed),
+    currentPeriodStart: subscription.currentPeriodStart,
+    currentPeriodEnd: subscription.currentPeriodEnd,
+    graceEndsAt: subscription.graceEndsAt,
+    cancelAtPeriodEnd: subscription.cancelAtPeriodEnd
+});
+
+module.exports = {
+    GRACE_DAYS,
+    OPEN_STATUSES,
+    findOpen,
+    covers,
+    useUnlock,
+    paymentInProgress,
+    requestPayment,
+    settlePayment,
+    processRenewals,
+    view
+};
@@ -0,0 +1,184 @@
+// KSh wallet
+//
+// Escrow payouts and refunds land in User.walletBalance and leave it through
+// M-Pesa B2C withdrawals. As with credits (see services/ledger.js), every change
+// has a Transaction whose `wallet` field is the signed amount, and balance
+// updates are conditional $inc writes.
+//
+// A B2C result or timeout callback never settles a withdrawal by itself: it
+// triggers a transaction status query, and only M-Pesa's answer to that
+// completes the payout or puts the money back. Answers that settle nothing
+// (unknown transaction, still processing) leave the withdrawal pending, and
+// jobs/checkWithdrawals.js asks again until one does.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const mpesa = require('./mpesa');
+
+// TransactionStatus values that mean the payout didn't happen
+const FAILED_STATUSES = ['Failed', 'Cancelled', 'Expired', 'Declined'];
+
+const MIN_WITHDRAWAL = parseInt(process.env.WALLET_MIN_WITHDRAWAL || 100);
+
+// How long a withdrawal waits for M-Pesa before we ask again
+const CHECK_AFTER_MINUTES = parseInt(process.env.WALLET_CHECK_AFTER_MINUTES || 15);
+
+// Add to a wallet straight away (escrow releases and refunds)
+const credit = async ({ userId, amount, type, need, escrow, metadata }, session = null) => {
+    const [transaction] = await Transaction.create([{
+        user: userId,
+        need,
+        escrow,
+        amount,
+        credits: 0,
+        wallet: amount,
+        type,
+        status: 'completed',
+        metadata,
+        createdAt: new Date(),
+        completedAt: new Date()
+    }], { session });
+    
+    await User.updateOne({ _id: userId }, { $inc: { walletBalance: amount } }, { session });
+    
+    return transaction;
+};
+
+// Take a withdrawal out of the wallet up front so it can't be spent twice while
+// M-Pesa processes it. The entry stays pending until a status query settles it.
+const reserveWithdrawal = async ({ userId, amount, phone, idempotencyKey }, session = null) => {
+    const transaction = await ledger.createEntry({
+        user: userId,
+        amount,
+        credits: 0,
+        wallet: -amount,
+        type: 'withdrawal',
+        status: 'pending',
+        idempotencyKey,
+        // Sent to Daraja only; never returned to the client
+        originatorConversationId: crypto.randomUUID(),
+        metadata: { phone },
+        createdAt: new Date()
+    }, session);
+    
+    const result = await User.updateOne(
+        { _id: userId, walletBalance: { $gte: amount } },
+        { $inc: { walletBalance: -amount } },
+        { session }
+    );
+    
+    if (result.modifiedCount === 0) {
+        await Transaction.updateOne(
+            { _id: transaction._id },
+            { $set: { status: 'failed', 'metadata.resultDesc': 'Insufficient wallet balance' } },
+            { session }
+        );
+        throw new ledger.LedgerError('Insufficient wallet balance');
+    }
+    
+    return transaction;
+};
+
+// M-Pesa paid it out. Returns null if the withdrawal was already settled.
+const completeWithdrawal = (transactionId, fields = {}, session = null) => Transaction.findOneAndUpdate(
+    { _id: transactionId, type: 'withdrawal', status: 'pending' },
+    { $set: { ...fields, status: 'completed', completedAt: new Date() } },
+    { new: true, session }
+);
+
+// M-Pesa rejected it: put the money back. Returns null if already settled.
+const failWithdrawal = async (transactionId, reason, session = null) => {
+    const transaction = await Transaction.findOneAndUpdate(
+        { _id: transactionId, type: 'withdrawal', status: 'pending' },
+        { $set: { status: 'failed', 'metadata.resultDesc': reason } },
+        { new: true, session }
+    );
+    
+    if (!transaction) return null;
+    
+    await User.updateOne({ _id: transaction.user }, { $inc: { walletBalance: transaction.amount } }, { session });
+    
+    return transaction;
+};
+
+// Ask M-Pesa how a pending withdrawal went, by the id only we know
+const checkWithdrawal = async (transaction) => {
+    const check = await mpesa.getClient().transactionStatus({
+        originalConversationId: transaction.originatorConversationId,
+        remarks: 'FulfillME withdrawal check'
+    });
+    
+    await Transaction.updateOne(
+        { _id: transaction._id, status: 'pending' },
+        { $set: { statusConversationId: check.conversationId, 'metadata.checkRequestedAt': new Date() } }
+    );
+};
+
+// Re-check withdrawals that are still pending CHECK_AFTER_MINUTES after they
+// were requested (or last checked). Returns how many queries were sent.
+const checkPending = async () => {
+    const cutoff = new Date(Date.now() - CHECK_AFTER_MINUTES * 60 * 1000);
+    const pending = await Transaction.find({
+        type: 'withdrawal',
+        status: 'pending',
+        originatorConversationId: { $exists: true },
+        createdAt: { $lte: cutoff },
+        $or: [
+            { 'metadata.checkRequestedAt': { $exists: false } },
+            { 'metadata.checkRequestedAt': { $lte: cutoff } }
+        ]
+    }).limit(100);
+    
+    let checked = 0;
+    for (const transaction of pending) {
+        try {
+            await checkWithdrawal(transaction);
+            checked++;
+        } catch (error) {
+            console.error(`Withdrawal ${transaction._id} check error:`, error.message);
+        }
+    }
+    return checked;
+};
+
+// Settle a withdrawal from the answer to checkWithdrawal. Returns
+// { completed } or { failed }, or null if nothing was settled.
+const settleFromStatus = async (result) => {
+    const transaction = await Transaction.findOne({
+        statusConversationId: String(result.ConversationID),
+        type: 'withdrawal',
+        status: 'pending'
+    });
+    if (!transaction || Number(result.ResultCode) !== 0) return null;
+    
+    const status = mpesa.parseResultParameters(result.ResultParameters);
+    
+    if (status.TransactionStatus === 'Completed') {
+        if (Number(status.Amount) !== transaction.amount) {
+            console.warn(`Withdrawal ${transaction._id}: M-Pesa paid ${status.Amount}, expected ${transaction.amount}`);
+            return null;
+        }
+        const completed = await completeWithdrawal(transaction._id, { mpesaCode: status.ReceiptNo });
+        return completed ? { completed } : null;
+    }
+    
+    if (FAILED_STATUSES.includes(status.TransactionStatus)) {
+        const failed = await failWithdrawal(transaction._id, `M-Pesa reports the payout as ${status.TransactionStatus}`);
+        return failed ? { failed } : null;
+    }
+    
+    return null;
+};
+
+module.exports = {
+    MIN_WITHDRAWAL,
+    credit,
+    reserveWithdrawal,
+    completeWithdrawal,
+    failWithdrawal,
+    checkWithdrawal,
+    checkPending,
+    settleFromStatus
+};
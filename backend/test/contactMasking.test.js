@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const contactMasking = require('../services/contactMasking');
+
+const { PLACEHOLDER } = contactMasking;
+
+describe('contactMasking', () => {
+    it('hides typed phone numbers in any common format', () => {
+        assert.deepEqual(contactMasking.mask('Call me on 0712 345 678 today'), {
+            text: `Call me on ${PLACEHOLDER} today`,
+            found: ['phone']
+        });
+        assert.equal(contactMasking.mask('+254 712-345-678').text, PLACEHOLDER);
+    });
+    
+    it('hides numbers spelled out in English, Swahili or mixed with digits', () => {
+        assert.deepEqual(contactMasking.detect('zero seven one two three four five six seven eight'), ['phone']);
+        assert.deepEqual(contactMasking.detect('sifuri saba moja mbili tatu nne tano sita saba nane'), ['phone']);
+        assert.deepEqual(contactMasking.detect('07 double one 23 45 67'), ['phone']);
+    });
+    
+    it('leaves prices, counts and other short numbers alone', () => {
+        const text = 'Budget 5000 for 3 days, 2 rooms';
+        assert.deepEqual(contactMasking.mask(text), { text, found: [] });
+    });
+    
+    it('hides email addresses, including spelled-out ones', () => {
+        assert.equal(contactMasking.mask('Email jane.doe@gmail.com').text, `Email ${PLACEHOLDER}`);
+        assert.deepEqual(contactMasking.detect('jane at gmail dot com'), ['email']);
+    });
+    
+    it('hides WhatsApp links and social handles', () => {
+        assert.deepEqual(contactMasking.detect('wa.me/254712345678'), ['whatsapp']);
+        assert.deepEqual(contactMasking.detect('https://instagram.com/jane'), ['social']);
+        assert.deepEqual(contactMasking.detect('ig: jane_bakes'), ['social']);
+        assert.equal(contactMasking.mask('DM @jane_bakes').text, `DM ${PLACEHOLDER}`);
+    });
+    
+    it('reports every kind it hid once', () => {
+        const { found } = contactMasking.mask('0712345678 or 0798765432, jane@example.com');
+        assert.deepEqual(found.sort(), ['email', 'phone']);
+    });
+    
+    it('returns text without contact details unchanged', () => {
+        const text = 'Need a plumber in Westlands tomorrow';
+        assert.deepEqual(contactMasking.mask(text), { text, found: [] });
+        assert.deepEqual(contactMasking.mask(null), { text: null, found: [] });
+    });
+});
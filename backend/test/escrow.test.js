@@ -0,0 +1,143 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser, createNeed } = require('./helpers/fixtures');
+const escrow = require('../services/escrow');
+const Escrow = require('../models/Escrow');
+const Need = require('../models/Need');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+// An in-progress need with an accepted offer and its escrow
+const setup = async (escrowFields = {}) => {
+    const asker = await createUser();
+    const fulfiller = await createUser({ role: 'fulfiller' });
+    const need = await createNeed(asker, {
+        status: 'in_progress',
+        selectedFulfiller: fulfiller._id,
+        offers: [{ fulfiller: fulfiller._id, amount: 1000, status: 'accepted' }]
+    });
+    const record = await Escrow.create({
+        need: need._id,
+        offer: need.offers[0]._id,
+        asker: asker._id,
+        fulfiller: fulfiller._id,
+        amount: 1000,
+        status: 'held',
+        ...escrowFields
+    });
+    return { asker, fulfiller, need, record };
+};
+
+const walletOf = async (userId) => (await User.findById(userId).select('walletBalance')).walletBalance;
+
+describe('escrow', () => {
+    before(db.start);
+    after(db.stop);
+    beforeEach(db.clear);
+    
+    describe('release', () => {
+        it('pays the fulfiller less commission and fulfils the need', async () => {
+            const { fulfiller, need, record } = await setup();
+            const commission = 1000 * escrow.COMMISSION_PERCENT / 100;
+            
+            const released = await escrow.releaseAndFulfil(record._id);
+            
+            assert.equal(released.status, 'released');
+            assert.equal(released.commission, commission);
+            assert.equal(released.payout, 1000 - commission);
+            assert.equal(await walletOf(fulfiller._id), 1000 - commission);
+            
+            const payout = await Transaction.findById(released.releaseTransaction);
+            assert.equal(payout.type, 'escrow_release');
+            assert.equal(payout.wallet, 1000 - commission);
+            
+            assert.equal((await Need.findById(need._id)).status, 'fulfilled');
+            const job = await Transaction.findOne({ need: need._id, type: 'job_completed' });
+            assert.equal(job.amount, 1000);
+            assert.equal((await User.findById(fulfiller._id)).completedJobs, 1);
+        });
+        
+        it('pays out only once', async () => {
+            const { fulfiller, record } = await setup();
+            
+            await escrow.releaseAndFulfil(record._id);
+            assert.equal(await escrow.releaseAndFulfil(record._id), null);
+            
+            assert.equal(await Transaction.countDocuments({ type: 'escrow_release' }), 1);
+            assert.equal(await walletOf(fulfiller._id), 1000 - 1000 * escrow.COMMISSION_PERCENT / 100);
+        });
+        
+        it('leaves disputed escrows to an admin', async () => {
+            const { fulfiller, record } = await setup({ status: 'disputed' });
+            
+            assert.equal(await escrow.release(record._id), null);
+            assert.equal(await walletOf(fulfiller._id), 0);
+            
+            const released = await escrow.release(record._id, { from: ['disputed'] });
+            assert.equal(released.status, 'released');
+        });
+    });
+    
+    describe('refund', () => {
+        it('returns the full amount to the asker, once', async () => {
+            const { asker, fulfiller, record } = await setup({ status: 'disputed' });
+            
+            const refunded = await escrow.refund(record._id);
+            
+            assert.equal(refunded.status, 'refunded');
+            assert.equal(await walletOf(asker._id), 1000);
+            assert.equal(await walletOf(fulfiller._id), 0);
+            const entry = await Transaction.findById(refunded.refundTransaction);
+            assert.equal(entry.type, 'escrow_refund');
+            
+            assert.equal(await escrow.refund(record._id), null);
+            assert.equal(await walletOf(asker._id), 1000);
+        });
+        
+        it('cannot refund a released escrow', async () => {
+            const { asker, record } = await setup();
+            await escrow.releaseAndFulfil(record._id);
+            
+            assert.equal(await escrow.refund(record._id), null);
+            assert.equal(await walletOf(asker._id), 0);
+        });
+    });
+    
+    describe('settleDeposit', () => {
+        const deposit = (record) => Transaction.create({
+            user: record.asker,
+            need: record.need,
+            escrow: record._id,
+            amount: record.amount,
+            credits: 0,
+            type: 'escrow_deposit',
+            status: 'pending',
+            checkoutRequestId: 'ws_CO_test'
+        });
+        
+        it('holds the escrow once the deposit is paid', async () => {
+            const { record } = await setup({ status: 'awaiting_payment' });
+            const transaction = await deposit(record);
+            
+            const settled = await escrow.settleDeposit(transaction._id, { mpesaCode: 'QWE123' });
+            
+            assert.equal(settled.escrow.status, 'held');
+            assert.ok(settled.escrow.depositTransaction.equals(transaction._id));
+            assert.equal(settled.transaction.status, 'completed');
+            assert.equal(await escrow.settleDeposit(transaction._id, { mpesaCode: 'QWE123' }), null);
+        });
+        
+        it('sends a payment for an escrow no longer awaiting one to the asker\'s wallet', async () => {
+            const { asker, record } = await setup({ status: 'cancelled' });
+            const transaction = await deposit(record);
+            
+            const settled = await escrow.settleDeposit(transaction._id, { mpesaCode: 'QWE124' });
+            
+            assert.equal(settled.escrow, null);
+            assert.equal(settled.refund.type, 'escrow_refund');
+            assert.equal(await walletOf(asker._id), 1000);
+            assert.equal((await Escrow.findById(record._id)).status, 'cancelled');
+        });
+    });
+});
@@ -0,0 +1,28 @@
+// In-memory MongoDB for tests that need the models (mongodb-memory-server)
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+// Start a fresh database and point MONGODB_URI at it, so requiring server.js
+// connects there too
+const start = async () => {
+    server = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = server.getUri('fulfillme-test');
+    await mongoose.connect(process.env.MONGODB_URI);
+};
+
+const stop = async () => {
+    await mongoose.disconnect();
+    if (server) await server.stop();
+    server = null;
+};
+
+// Empty every collection between tests
+const clear = async () => {
+    const collections = Object.values(mongoose.connection.collections);
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+module.exports = { start, stop, clear };
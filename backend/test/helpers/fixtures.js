@@ -0,0 +1,32 @@
+// Minimal valid documents for tests
+
+const User = require('../../models/User');
+const Need = require('../../models/Need');
+
+let count = 0;
+
+const createUser = (fields = {}) => {
+    count++;
+    return User.create({
+        email: `user${count}@example.com`,
+        phone: `2547${String(count).padStart(8, '0')}`,
+        password: 'not-a-real-hash',
+        fullName: `Test User ${count}`,
+        location: 'Nairobi',
+        gender: 'prefer-not-to-say',
+        role: 'asker',
+        ...fields
+    });
+};
+
+const createNeed = (user, fields = {}) => Need.create({
+    user: user._id,
+    title: 'Fix a leaking tap',
+    description: 'Kitchen tap drips all night',
+    budget: 1000,
+    category: 'services',
+    location: 'Westlands',
+    ...fields
+});
+
+module.exports = { createUser, createNeed };
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const ledger = require('../services/ledger');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+const balances = async (userId) => {
+    const user = await User.findById(userId).select('credits bonusCredits');
+    return { credits: user.credits || 0, bonusCredits: user.bonusCredits || 0 };
+};
+
+describe('ledger', () => {
+    before(db.start);
+    after(db.stop);
+    beforeEach(db.clear);
+    
+    describe('debit', () => {
+        it('spends bonus credits before purchased ones and records the split', async () => {
+            const user = await createUser({ credits: 5, bonusCredits: 2 });
+            
+            const entry = await ledger.debit({ userId: user._id, credits: 3, type: 'unlock', amount: 100 });
+            
+            assert.deepEqual(await balances(user._id), { credits: 4, bonusCredits: 0 });
+            assert.equal(entry.status, 'completed');
+            assert.equal(entry.credits, -1);
+            assert.equal(entry.bonusCredits, -2);
+        });
+        
+        it('takes everything from bonus credits when they cover the debit', async () => {
+            const user = await createUser({ credits: 5, bonusCredits: 4 });
+            
+            const entry = await ledger.debit({ userId: user._id, credits: 3, type: 'unlock', amount: 100 });
+            
+            assert.deepEqual(await balances(user._id), { credits: 5, bonusCredits: 1 });
+            assert.equal(entry.bonusCredits, -3);
+        });
+        
+        it('refuses a debit the two balances together cannot cover', async () => {
+            const user = await createUser({ credits: 1, bonusCredits: 1 });
+            
+            await assert.rejects(
+                ledger.debit({ userId: user._id, credits: 3, type: 'unlock', amount: 100 }),
+                ledger.LedgerError
+            );
+            
+            assert.deepEqual(await balances(user._id), { credits: 1, bonusCredits: 1 });
+            const entry = await Transaction.findOne({ user: user._id });
+            assert.equal(entry.status, 'failed');
+        });
+        
+        it('rejects a reused Idempotency-Key with a 409', async () => {
+            const user = await createUser({ credits: 5 });
+            await Transaction.init();
+            
+            await ledger.debit({ userId: user._id, credits: 1, type: 'unlock', amount: 100, idempotencyKey: 'key-1' });
+            
+            await assert.rejects(
+                ledger.debit({ userId: user._id, credits: 1, type: 'unlock', amount: 100, idempotencyKey: 'key-1' }),
+                error => error instanceof ledger.LedgerError && error.status === 409
+            );
+            assert.deepEqual(await balances(user._id), { credits: 4, bonusCredits: 0 });
+        });
+    });
+    
+    describe('refund', () => {
+        it('puts credits back into the balances they came from, once', async () => {
+            const user = await createUser({ credits: 5, bonusCredits: 2 });
+            const debit = await ledger.debit({ userId: user._id, credits: 3, type: 'unlock', amount: 100 });
+            
+            const refund = await ledger.refund(debit._id, { reason: 'test' });
+            
+            assert.deepEqual(await balances(user._id), { credits: 5, bonusCredits: 2 });
+            assert.equal(refund.type, 'refund');
+            assert.equal(refund.credits, 1);
+            assert.equal(refund.bonusCredits, 2);
+            assert.ok(refund.refundOf.equals(debit._id));
+            assert.equal((await Transaction.findById(debit._id)).status, 'refunded');
+            
+            assert.equal(await ledger.refund(debit._id), null);
+            assert.deepEqual(await balances(user._id), { credits: 5, bonusCredits: 2 });
+        });
+        
+        it('leaves the ledger matching the stored balances', async () => {
+            const user = await createUser();
+            await ledger.credit({ userId: user._id, credits: 4, bonusCredits: 1, type: 'bonus', amount: 0 });
+            const debit = await ledger.debit({ userId: user._id, credits: 2, type: 'unlock', amount: 100 });
+            await ledger.refund(debit._id);
+            
+            const fromLedger = await ledger.ledgerBalance(user._id);
+            assert.deepEqual(fromLedger, { credits: 4, bonus: 1 });
+            assert.deepEqual(await balances(user._id), { credits: 4, bonusCredits: 1 });
+        });
+    });
+    
+    describe('deduct', () => {
+        it('takes only from the named balance', async () => {
+            const user = await createUser({ credits: 3, bonusCredits: 5 });
+            
+            const entry = await ledger.deduct({ userId: user._id, credits: 2, type: 'adjustment', amount: 0 });
+            
+            assert.deepEqual(await balances(user._id), { credits: 1, bonusCredits: 5 });
+            assert.equal(entry.status, 'completed');
+            assert.equal(entry.credits, -2);
+        });
+        
+        it('refuses to take a balance below zero', async () => {
+            const user = await createUser({ credits: 3, bonusCredits: 5 });
+            
+            await assert.rejects(
+                ledger.deduct({ userId: user._id, bonusCredits: 6, type: 'adjustment', amount: 0 }),
+                ledger.LedgerError
+            );
+            assert.deepEqual(await balances(user._id), { credits: 3, bonusCredits: 5 });
+        });
+    });
+});
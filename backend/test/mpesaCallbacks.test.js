@@ -0,0 +1,195 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { createUser } = require('./helpers/fixtures');
+const mpesa = require('../services/mpesa');
+const wallet = require('../services/wallet');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+
+const TOKEN = 'test-callback-token';
+
+let server;
+let baseUrl;
+
+const post = (path, body, token = TOKEN) => fetch(`${baseUrl}${path}${token ? `?token=${token}` : ''}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+});
+
+const stkCallback = (checkoutRequestId, { amount, receipt, resultCode = 0 }) => ({
+    Body: {
+        stkCallback: {
+            MerchantRequestID: 'merchant-1',
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: resultCode,
+            ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+            CallbackMetadata: resultCode === 0 ? {
+                Item: [
+                    { Name: 'Amount', Value: amount },
+                    { Name: 'MpesaReceiptNumber', Value: receipt },
+                    { Name: 'PhoneNumber', Value: 254712345678 }
+                ]
+            } : undefined
+        }
+    }
+});
+
+const pendingPurchase = (user, checkoutRequestId) => Transaction.create({
+    user: user._id,
+    amount: 500,
+    credits: 5,
+    type: 'credit_purchase',
+    status: 'pending',
+    checkoutRequestId
+});
+
+const creditsOf = async (userId) => (await User.findById(userId).select('credits')).credits;
+
+describe('M-Pesa callbacks', () => {
+    before(async () => {
+        process.env.MPESA_CALLBACK_TOKEN = TOKEN;
+        await db.start();
+        
+        // Required late so it connects to the test database
+        const app = require('../server');
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        await Transaction.init();
+    });
+    
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await db.stop();
+    });
+    
+    beforeEach(db.clear);
+    
+    describe('STK push', () => {
+        it('credits a paid purchase once, however often the callback arrives', async () => {
+            const user = await createUser();
+            const purchase = await pendingPurchase(user, 'ws_CO_1');
+            
+            for (let i = 0; i < 2; i++) {
+                const response = await post('/api/mpesa/callback', stkCallback('ws_CO_1', { amount: 500, receipt: 'RCT001' }));
+                assert.equal(response.status, 200);
+                assert.equal((await response.json()).ResultCode, 0);
+            }
+            
+            assert.equal(await creditsOf(user._id), 5);
+            const settled = await Transaction.findById(purchase._id);
+            assert.equal(settled.status, 'completed');
+            assert.equal(settled.mpesaCode, 'RCT001');
+            assert.ok(settled.receiptNumber);
+        });
+        
+        it('refuses callbacks without the shared secret', async () => {
+            const user = await createUser();
+            const purchase = await pendingPurchase(user, 'ws_CO_2');
+            
+            const response = await post('/api/mpesa/callback', stkCallback('ws_CO_2', { amount: 500, receipt: 'RCT002' }), null);
+            assert.equal(response.status, 403);
+            
+            const wrong = await post('/api/mpesa/callback', stkCallback('ws_CO_2', { amount: 500, receipt: 'RCT002' }), 'guess');
+            assert.equal(wrong.status, 403);
+            
+            assert.equal(await creditsOf(user._id), 0);
+            assert.equal((await Transaction.findById(purchase._id)).status, 'pending');
+        });
+        
+        it('fails a purchase paid with the wrong amount', async () => {
+            const user = await createUser();
+            const purchase = await pendingPurchase(user, 'ws_CO_3');
+            
+            await post('/api/mpesa/callback', stkCallback('ws_CO_3', { amount: 1, receipt: 'RCT003' }));
+            
+            assert.equal(await creditsOf(user._id), 0);
+            assert.equal((await Transaction.findById(purchase._id)).status, 'failed');
+        });
+        
+        it('fails a purchase the customer cancelled', async () => {
+            const user = await createUser();
+            const purchase = await pendingPurchase(user, 'ws_CO_4');
+            
+            await post('/api/mpesa/callback', stkCallback('ws_CO_4', { resultCode: 1032 }));
+            
+            assert.equal(await creditsOf(user._id), 0);
+            assert.equal((await Transaction.findById(purchase._id)).status, 'failed');
+        });
+        
+        it('will not credit the same M-Pesa receipt twice', async () => {
+            const user = await createUser();
+            await pendingPurchase(user, 'ws_CO_5');
+            const second = await pendingPurchase(user, 'ws_CO_6');
+            
+            await post('/api/mpesa/callback', stkCallback('ws_CO_5', { amount: 500, receipt: 'RCT005' }));
+            await post('/api/mpesa/callback', stkCallback('ws_CO_6', { amount: 500, receipt: 'RCT005' }));
+            
+            assert.equal(await creditsOf(user._id), 5);
+            assert.equal((await Transaction.findById(second._id)).status, 'failed');
+        });
+    });
+    
+    describe('withdrawal status results', () => {
+        const statusResult = (conversationId, transactionStatus, amount) => ({
+            Result: {
+                ResultType: 0,
+                ResultCode: 0,
+                ResultDesc: 'The service request is processed successfully.',
+                ConversationID: conversationId,
+                ResultParameters: {
+                    ResultParameter: [
+                        { Key: 'ReceiptNo', Value: 'PAY001' },
+                        { Key: 'TransactionStatus', Value: transactionStatus },
+                        { Key: 'Amount', Value: amount }
+                    ]
+                }
+            }
+        });
+        
+        // A withdrawal of 500 from a 2000 wallet, with a status query sent
+        const pendingWithdrawal = async (conversationId) => {
+            const user = await createUser({ role: 'fulfiller', walletBalance: 2000 });
+            const transaction = await wallet.reserveWithdrawal({ userId: user._id, amount: 500, phone: '254712345678' });
+            
+            mpesa.setClient({ transactionStatus: async () => ({ conversationId }) });
+            await wallet.checkWithdrawal(transaction);
+            
+            return { user, transaction };
+        };
+        
+        const walletOf = async (userId) => (await User.findById(userId).select('walletBalance')).walletBalance;
+        
+        it('completes a withdrawal M-Pesa reports as paid', async () => {
+            const { user, transaction } = await pendingWithdrawal('AG_1');
+            
+            const response = await post('/api/mpesa/status/result', statusResult('AG_1', 'Completed', 500));
+            assert.equal(response.status, 200);
+            
+            const settled = await Transaction.findById(transaction._id);
+            assert.equal(settled.status, 'completed');
+            assert.equal(settled.mpesaCode, 'PAY001');
+            assert.equal(await walletOf(user._id), 1500);
+        });
+        
+        it('puts the money back when M-Pesa reports the payout failed', async () => {
+            const { user, transaction } = await pendingWithdrawal('AG_2');
+            
+            await post('/api/mpesa/status/result', statusResult('AG_2', 'Failed', 500));
+            
+            assert.equal((await Transaction.findById(transaction._id)).status, 'failed');
+            assert.equal(await walletOf(user._id), 2000);
+        });
+        
+        it('leaves the withdrawal pending when the answer settles nothing', async () => {
+            const { user, transaction } = await pendingWithdrawal('AG_3');
+            
+            await post('/api/mpesa/status/result', statusResult('AG_3', 'Completed', 499));
+            
+            assert.equal((await Transaction.findById(transaction._id)).status, 'pending');
+            assert.equal(await walletOf(user._id), 1500);
+        });
+    });
+});
@@ -1,10 +1,11 @@
 // Service Worker for FulfillME PWA
 
-const CACHE_NAME = 'fulfillme-v1.0';
+const CACHE_NAME = 'fulfillme-v1.2';
 const urlsToCache = [
     '/',
     '/index.html',
     '/style.css',
+    '/api.js',
     '/app.js',
     '/manifest.json',
     '/pages/dashboard.html',
@@ -50,6 +51,9 @@ self.addEventListener('fetch', event => {
     // Skip Chrome extensions
     if (event.request.url.startsWith('chrome-extension://')) return;
     
+    // API responses must always come from the server
+    if (new URL(event.request.url).pathname.startsWith('/api/')) return;
+    
     event.respondWith(
         caches.match(event.request)
             .then(response => {
@@ -166,14 +170,18 @@ self.addEventListener('push', event => {
         badge: '/icons/icon-96x96.png',
         vibrate: [100, 50, 100],
         data: {
-            url: data.url || '/'
+            url: data.url || '/',
+            unsubscribeUrl: data.unsubscribeUrl
         },
         actions: [
             {
                 action: 'view',
                 title: 'View'
             },
-            {
+            data.unsubscribeUrl ? {
+                action: 'unsubscribe',
+                title: 'Stop alerts'
+            } : {
                 action: 'close',
                 title: 'Close'
             }
@@ -193,6 +201,12 @@ self.addEventListener('notificationclick', event => {
         return;
     }
     
+    // Saved search alerts: open the confirmation page for turning them off
+    if (event.action === 'unsubscribe') {
+        event.waitUntil(clients.openWindow(event.notification.data.unsubscribeUrl));
+        return;
+    }
+    
     event.waitUntil(
         clients.matchAll({ type: 'window' }).then(clientList => {
             for (const client of clientList) {